@@ -0,0 +1,90 @@
+<?php
+/**
+ * Admin Auth API
+ * 
+ * GET: returns the signed-in user, their permissions and the session's
+ * CSRF token
+ * POST {action: "login", username, password}: signs a user in
+ * POST {action: "logout"}: signs the user out (needs the CSRF token)
+ */
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-CSRF-Token');
+
+// Handle preflight
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit(0);
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET' && $_SERVER['REQUEST_METHOD'] !== 'POST') {
+    http_response_code(405);
+    echo json_encode(['error' => 'Method not allowed']);
+    exit;
+}
+
+require_once __DIR__ . '/../../src/php/FileStorage.php';
+require_once __DIR__ . '/../../src/php/AdminAuth.php';
+
+try {
+    $storage = new FileStorage(__DIR__ . '/../../data');
+    $auth = new AdminAuth($storage);
+    
+    if ($_SERVER['REQUEST_METHOD'] === 'POST') {
+        // Get JSON payload
+        $input = file_get_contents('php://input');
+        $data = json_decode($input, true) ?: [];
+        $action = $data['action'] ?? '';
+        
+        if ($action === 'login') {
+            if (!$auth->login($data['username'] ?? '', $data['password'] ?? '')) {
+                http_response_code(401);
+                echo json_encode([
+                    'success' => false,
+                    'error' => 'invalid_credentials',
+                    'message' => 'Wrong username or password'
+                ]);
+                exit;
+            }
+        } elseif ($action === 'logout') {
+            if (!$auth->verifyCsrfToken($_SERVER['HTTP_X_CSRF_TOKEN'] ?? '')) {
+                http_response_code(403);
+                echo json_encode([
+                    'success' => false,
+                    'error' => 'invalid_csrf_token',
+                    'message' => 'Missing or invalid CSRF token'
+                ]);
+                exit;
+            }
+            
+            $auth->logout();
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'success' => false,
+                'error' => 'invalid_request',
+                'message' => 'Action must be "login" or "logout"'
+            ]);
+            exit;
+        }
+    }
+    
+    $user = $auth->getUser();
+    
+    echo json_encode([
+        'success' => true,
+        'authenticated' => $user !== null,
+        'user' => $user,
+        'permissions' => $user ? $auth->getPermissions($user['role']) : [],
+        'csrfToken' => $auth->getCsrfToken()
+    ]);
+
+} catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to authenticate',
+        'message' => $e->getMessage()
+    ]);
+}
@@ -0,0 +1,37 @@
+<?php
+/**
+ * Admin Detected Cookies API
+ * 
+ * Returns uncategorized cookies reported by the SDK from live pages
+ */
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+
+require_once __DIR__ . '/../../src/php/FileStorage.php';
+require_once __DIR__ . '/../../src/php/CookieDatabase.php';
+require_once __DIR__ . '/../../src/php/AdminAuth.php';
+
+try {
+    $storage = new FileStorage(__DIR__ . '/../../data');
+    $auth = new AdminAuth($storage);
+    $auth->requirePermission('edit_config');
+    
+    $db = new CookieDatabase($storage);
+    
+    $cookies = $db->getDetected();
+    
+    echo json_encode([
+        'success' => true,
+        'cookies' => $cookies,
+        'count' => count($cookies)
+    ]);
+
+} catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to load detected cookies',
+        'message' => $e->getMessage()
+    ]);
+}
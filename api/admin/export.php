@@ -2,28 +2,41 @@
 /**
  * Admin Export API
  * 
- * Exports consent logs as CSV
+ * Exports consent logs as CSV (?siteId= selects the site)
  */
 
-header('Content-Type: text/csv');
-header('Content-Disposition: attachment; filename="consent-logs-' . date('Y-m-d') . '.csv"');
+header('Content-Type: application/json');
 header('Access-Control-Allow-Origin: *');
 
 require_once __DIR__ . '/../../src/php/FileStorage.php';
 require_once __DIR__ . '/../../src/php/ConsentLogger.php';
+require_once __DIR__ . '/../../src/php/SiteConfig.php';
+require_once __DIR__ . '/../../src/php/AdminAuth.php';
 
 try {
     $storage = new FileStorage(__DIR__ . '/../../data');
-    $logger = new ConsentLogger($storage);
+    $auth = new AdminAuth($storage);
+    $auth->requirePermission('export_data');
+    
+    header('Content-Type: text/csv');
+    header('Content-Disposition: attachment; filename="consent-logs-' . date('Y-m-d') . '.csv"');
+    
+    $site = new SiteConfig($storage, $_GET['siteId'] ?? SiteConfig::DEFAULT_SITE);
+    
+    if (!$site->isRegistered()) {
+        throw new Exception('Unknown site: ' . $site->getSiteId());
+    }
+    
+    $logger = new ConsentLogger($storage, $site->getSiteId());
     
     // Get days parameter (0 = all)
     $days = isset($_GET['days']) ? (int)$_GET['days'] : 0;
     
     // Export to CSV
-    $csv = $logger->exportToCSV($days);
+    $csv = $logger->exportToCSV($days, array_keys($site->getCategories()));
     
     echo $csv;
-    
+
 } catch (Exception $e) {
     http_response_code(500);
     header('Content-Type: application/json');
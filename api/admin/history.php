@@ -0,0 +1,121 @@
+<?php
+/**
+ * Admin Config History API (needs the edit_config permission)
+ * 
+ * GET: lists the site's configuration versions (?siteId= selects the site)
+ * with the number of consents recorded against each
+ * GET ?id=: returns the changes of a version against the previous one,
+ * or against the version given by ?compare=
+ * POST {siteId, action: "rollback", id, reason}: restores a version
+ */
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-CSRF-Token');
+
+// Handle preflight
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit(0);
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET' && $_SERVER['REQUEST_METHOD'] !== 'POST') {
+    http_response_code(405);
+    echo json_encode(['error' => 'Method not allowed']);
+    exit;
+}
+
+require_once __DIR__ . '/../../src/php/FileStorage.php';
+require_once __DIR__ . '/../../src/php/SiteConfig.php';
+require_once __DIR__ . '/../../src/php/ConsentLogger.php';
+require_once __DIR__ . '/../../src/php/ConfigHistory.php';
+require_once __DIR__ . '/../../src/php/AdminAuth.php';
+
+try {
+    $storage = new FileStorage(__DIR__ . '/../../data');
+    $auth = new AdminAuth($storage);
+    $user = $auth->requirePermission('edit_config');
+    
+    if ($_SERVER['REQUEST_METHOD'] === 'POST') {
+        // Get JSON payload
+        $input = file_get_contents('php://input');
+        $data = json_decode($input, true) ?: [];
+        
+        $site = new SiteConfig($storage, $data['siteId'] ?? SiteConfig::DEFAULT_SITE);
+        $history = new ConfigHistory($storage, $site);
+        
+        try {
+            if (($data['action'] ?? '') !== 'rollback') {
+                throw new InvalidArgumentException('Action must be "rollback"');
+            }
+            
+            $version = $history->rollback($data['id'] ?? '', $user, is_string($data['reason'] ?? null) ? $data['reason'] : '');
+            if ($version === null) {
+                throw new InvalidArgumentException('The configuration already matches this version');
+            }
+        } catch (InvalidArgumentException $e) {
+            http_response_code(400);
+            echo json_encode([
+                'success' => false,
+                'error' => 'invalid_request',
+                'message' => $e->getMessage()
+            ]);
+            exit;
+        }
+        
+        echo json_encode([
+            'success' => true,
+            'siteId' => $site->getSiteId(),
+            'version' => $version
+        ]);
+        exit;
+    }
+    
+    $site = new SiteConfig($storage, $_GET['siteId'] ?? SiteConfig::DEFAULT_SITE);
+    $history = new ConfigHistory($storage, $site);
+    
+    if (!isset($_GET['id'])) {
+        $logger = new ConsentLogger($storage, $site->getSiteId());
+        
+        echo json_encode([
+            'success' => true,
+            'siteId' => $site->getSiteId(),
+            'versions' => $history->getVersions(),
+            'consents' => (object) $logger->countByConfigVersion()
+        ]);
+        exit;
+    }
+    
+    $version = $history->getVersion($_GET['id']);
+    if ($version === null) {
+        http_response_code(404);
+        echo json_encode([
+            'success' => false,
+            'error' => 'not_found',
+            'message' => 'Unknown version'
+        ]);
+        exit;
+    }
+    
+    // Compare with the given version, or show the changes recorded with the version
+    $compare = isset($_GET['compare']) ? $history->getVersion($_GET['compare']) : null;
+    $changes = $compare ? $history->diff($compare['snapshot'], $version['snapshot']) : $version['changes'];
+    
+    $summaries = array_column($history->getVersions(), null, 'id');
+    
+    echo json_encode([
+        'success' => true,
+        'siteId' => $site->getSiteId(),
+        'version' => $summaries[$version['id']] ?? null,
+        'compare' => $compare ? ($summaries[$compare['id']] ?? null) : null,
+        'changes' => $changes
+    ]);
+
+} catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to process configuration history',
+        'message' => $e->getMessage()
+    ]);
+}
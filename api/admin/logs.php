@@ -2,7 +2,7 @@
 /**
  * Admin Logs API
  * 
- * Returns consent logs for the admin dashboard
+ * Returns consent logs for the admin dashboard (?siteId= selects the site)
  */
 
 header('Content-Type: application/json');
@@ -10,10 +10,21 @@ header('Access-Control-Allow-Origin: *');
 
 require_once __DIR__ . '/../../src/php/FileStorage.php';
 require_once __DIR__ . '/../../src/php/ConsentLogger.php';
+require_once __DIR__ . '/../../src/php/SiteConfig.php';
+require_once __DIR__ . '/../../src/php/AdminAuth.php';
 
 try {
     $storage = new FileStorage(__DIR__ . '/../../data');
-    $logger = new ConsentLogger($storage);
+    $auth = new AdminAuth($storage);
+    $auth->requirePermission('view_logs');
+    
+    $site = new SiteConfig($storage, $_GET['siteId'] ?? SiteConfig::DEFAULT_SITE);
+    
+    if (!$site->isRegistered()) {
+        throw new Exception('Unknown site: ' . $site->getSiteId());
+    }
+    
+    $logger = new ConsentLogger($storage, $site->getSiteId());
     
     // Get parameters
     $limit = isset($_GET['limit']) ? (int)$_GET['limit'] : 100;
@@ -25,11 +36,12 @@ try {
     $response = [
         'success' => true,
         'logs' => $logs,
+        'categories' => $site->getCategories(),
         'count' => count($logs)
     ];
     
     echo json_encode($response);
-    
+
 } catch (Exception $e) {
     http_response_code(500);
     echo json_encode([
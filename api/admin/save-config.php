@@ -2,13 +2,18 @@
 /**
  * Admin Save Config API
  * 
- * Saves widget configuration from the setup wizard
+ * Saves widget configuration from the setup wizard to the site given
+ * by "siteId" in the payload (default site if omitted). With "partial"
+ * set (widget and translation editors), the widget, preference center
+ * and translations sections only carry changed values, which are merged
+ * into the stored files. Every save is recorded as a new configuration
+ * version with the signed-in user and the optional "reason".
  */
 
 header('Content-Type: application/json');
 header('Access-Control-Allow-Origin: *');
 header('Access-Control-Allow-Methods: POST, OPTIONS');
-header('Access-Control-Allow-Headers: Content-Type');
+header('Access-Control-Allow-Headers: Content-Type, X-CSRF-Token');
 
 // Handle preflight
 if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
@@ -23,8 +28,15 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
 }
 
 require_once __DIR__ . '/../../src/php/FileStorage.php';
+require_once __DIR__ . '/../../src/php/SiteConfig.php';
+require_once __DIR__ . '/../../src/php/AdminAuth.php';
+require_once __DIR__ . '/../../src/php/ConfigHistory.php';
 
 try {
+    $storage = new FileStorage(__DIR__ . '/../../data');
+    $auth = new AdminAuth($storage);
+    $user = $auth->requirePermission('edit_config');
+    
     // Get JSON payload
     $input = file_get_contents('php://input');
     $data = json_decode($input, true);
@@ -33,28 +45,51 @@ try {
         throw new Exception('Invalid JSON payload');
     }
     
-    $storage = new FileStorage(__DIR__ . '/../../data');
+    $siteId = $data['siteId'] ?? SiteConfig::DEFAULT_SITE;
+    if (!SiteConfig::isValidId($siteId)) {
+        throw new Exception("Invalid site ID: $siteId");
+    }
+    
+    $site = new SiteConfig($storage, $siteId);
+    $partial = !empty($data['partial']);
     
-    // Save widget configuration
-    if (isset($data['widget'])) {
-        $storage->write('config/widget.json', $data['widget']);
+    $history = new ConfigHistory($storage, $site);
+    $before = $history->snapshot();
+    
+    // Save widget, preference center and translation configuration
+    $sections = ['widget' => 'widget', 'preferenceCenter' => 'preference-center', 'translations' => 'translations'];
+    foreach ($sections as $key => $name) {
+        if (!isset($data[$key]) || !is_array($data[$key])) {
+            continue;
+        }
+        
+        if ($partial) {
+            $site->update($name, $data[$key]);
+        } else {
+            $site->write($name, $data[$key]);
+        }
     }
     
-    // Save preference center configuration
-    if (isset($data['preferenceCenter'])) {
-        $storage->write('config/preference-center.json', $data['preferenceCenter']);
+    // Save blocking configuration
+    if (isset($data['blocking'])) {
+        $site->write('blocking', $data['blocking']);
     }
     
     // Save wizard state
     if (isset($data['wizard'])) {
-        $storage->write('config/wizard.json', $data['wizard']);
+        $site->write('wizard', $data['wizard']);
     }
     
+    // Version the change (null if nothing actually changed)
+    $version = $history->record($before, $user, is_string($data['reason'] ?? null) ? $data['reason'] : '');
+    
     echo json_encode([
         'success' => true,
+        'siteId' => $site->getSiteId(),
+        'version' => $version ?: $history->getCurrent(),
         'message' => 'Configuration saved successfully'
     ]);
-    
+
 } catch (Exception $e) {
     http_response_code(500);
     echo json_encode([
@@ -0,0 +1,103 @@
+<?php
+/**
+ * Admin Scan API
+ * 
+ * GET: returns the latest (or ?id=) scan report and the report history
+ * POST: crawls the given or configured URLs and returns the new report
+ */
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-CSRF-Token');
+
+// Handle preflight
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit(0);
+}
+
+require_once __DIR__ . '/../../src/php/FileStorage.php';
+require_once __DIR__ . '/../../src/php/CookieScanner.php';
+require_once __DIR__ . '/../../src/php/AdminAuth.php';
+
+try {
+    $storage = new FileStorage(__DIR__ . '/../../data');
+    $auth = new AdminAuth($storage);
+    $auth->requirePermission('edit_config');
+    
+    $scanner = new CookieScanner($storage);
+    
+    if ($_SERVER['REQUEST_METHOD'] === 'GET') {
+        echo json_encode([
+            'success' => true,
+            'urls' => $scanner->getConfig()['urls'],
+            'report' => $scanner->getReport($_GET['id'] ?? null),
+            'reports' => $scanner->getReports()
+        ]);
+        exit;
+    }
+    
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode(['error' => 'Method not allowed']);
+        exit;
+    }
+    
+    // Get JSON payload (an empty body scans the configured URLs)
+    $input = file_get_contents('php://input');
+    $data = json_decode($input, true) ?: [];
+    
+    $urls = array_values(array_filter(array_map('trim', $data['urls'] ?? [])));
+    
+    if (!empty($urls)) {
+        foreach ($urls as $url) {
+            if (!preg_match('#^https?://#i', $url) || !filter_var($url, FILTER_VALIDATE_URL)) {
+                http_response_code(400);
+                echo json_encode([
+                    'success' => false,
+                    'error' => 'invalid_request',
+                    'message' => "Invalid URL: $url"
+                ]);
+                exit;
+            }
+        }
+        
+        // Remember the URLs for the next scan
+        $scanner->saveUrls($urls);
+    } else {
+        $urls = $scanner->getConfig()['urls'];
+    }
+    
+    if (empty($urls)) {
+        http_response_code(400);
+        echo json_encode([
+            'success' => false,
+            'error' => 'invalid_request',
+            'message' => 'No URLs configured to scan'
+        ]);
+        exit;
+    }
+    
+    // Crawling several pages can take a while
+    set_time_limit(300);
+    
+    $options = [];
+    if (isset($data['maxPages'])) {
+        $options['maxPages'] = min(100, max(1, (int)$data['maxPages']));
+    }
+    
+    $report = $scanner->scan($urls, $options);
+    
+    echo json_encode([
+        'success' => true,
+        'report' => $report
+    ]);
+
+} catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to scan',
+        'message' => $e->getMessage()
+    ]);
+}
@@ -0,0 +1,93 @@
+<?php
+/**
+ * Admin Sites API
+ * 
+ * GET: lists the registered sites
+ * POST: registers a new site ({id, name, domains}); it inherits the
+ * default site's configuration until its own is saved
+ */
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-CSRF-Token');
+
+// Handle preflight
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit(0);
+}
+
+require_once __DIR__ . '/../../src/php/FileStorage.php';
+require_once __DIR__ . '/../../src/php/SiteConfig.php';
+require_once __DIR__ . '/../../src/php/AdminAuth.php';
+
+try {
+    $storage = new FileStorage(__DIR__ . '/../../data');
+    $auth = new AdminAuth($storage);
+    
+    // Any signed-in user may list sites, registering one edits config
+    $auth->requirePermission($_SERVER['REQUEST_METHOD'] === 'GET' ? null : 'edit_config');
+    
+    $sites = new SiteConfig($storage);
+    
+    if ($_SERVER['REQUEST_METHOD'] === 'GET') {
+        echo json_encode([
+            'success' => true,
+            'sites' => $sites->getSites()
+        ]);
+        exit;
+    }
+    
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode(['error' => 'Method not allowed']);
+        exit;
+    }
+    
+    // Get JSON payload
+    $input = file_get_contents('php://input');
+    $data = json_decode($input, true);
+    $data = is_array($data) ? $data : [];
+    
+    $id = $data['id'] ?? '';
+    
+    if (!SiteConfig::isValidId($id) || isset($sites->getSites()[$id])) {
+        http_response_code(400);
+        echo json_encode([
+            'success' => false,
+            'error' => 'invalid_request',
+            'message' => 'Site ID must be unique and contain only letters, digits, "-" and "_"'
+        ]);
+        exit;
+    }
+    
+    $name = $data['name'] ?? '';
+    $domains = $data['domains'] ?? [];
+    
+    if (!is_string($name) || !is_array($domains) || array_values($domains) !== $domains ||
+        count(array_filter($domains, 'is_string')) !== count($domains)) {
+        http_response_code(400);
+        echo json_encode([
+            'success' => false,
+            'error' => 'invalid_request',
+            'message' => 'Site name must be a string and domains a list of strings'
+        ]);
+        exit;
+    }
+    
+    $domains = array_values(array_filter(array_map('trim', $domains)));
+    $sites->addSite($id, trim($name), $domains);
+    
+    echo json_encode([
+        'success' => true,
+        'sites' => $sites->getSites()
+    ]);
+
+} catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to manage sites',
+        'message' => $e->getMessage()
+    ]);
+}
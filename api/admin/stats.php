@@ -2,7 +2,7 @@
 /**
  * Admin Stats API
  * 
- * Returns consent statistics for the admin dashboard
+ * Returns consent statistics for the admin dashboard (?siteId= selects the site)
  */
 
 header('Content-Type: application/json');
@@ -10,10 +10,21 @@ header('Access-Control-Allow-Origin: *');
 
 require_once __DIR__ . '/../../src/php/FileStorage.php';
 require_once __DIR__ . '/../../src/php/ConsentLogger.php';
+require_once __DIR__ . '/../../src/php/SiteConfig.php';
+require_once __DIR__ . '/../../src/php/AdminAuth.php';
 
 try {
     $storage = new FileStorage(__DIR__ . '/../../data');
-    $logger = new ConsentLogger($storage);
+    $auth = new AdminAuth($storage);
+    $auth->requirePermission('view_logs');
+    
+    $site = new SiteConfig($storage, $_GET['siteId'] ?? SiteConfig::DEFAULT_SITE);
+    
+    if (!$site->isRegistered()) {
+        throw new Exception('Unknown site: ' . $site->getSiteId());
+    }
+    
+    $logger = new ConsentLogger($storage, $site->getSiteId());
     
     // Get statistics for last 30 days
     $stats = $logger->getStats(30);
@@ -27,13 +38,15 @@ try {
         'acceptedAll' => $stats['acceptedAll'] ?? 0,
         'rejectedAll' => $stats['rejectedAll'] ?? 0,
         'customized' => $stats['customized'] ?? 0,
+        'objected' => $stats['objected'] ?? 0,
+        'categories' => $site->getCategories(),
         'byCategory' => $stats['byCategory'] ?? [],
         'byDay' => $stats['byDay'] ?? [],
         'recentLogs' => $recentLogs
     ];
     
     echo json_encode($response);
-    
+
 } catch (Exception $e) {
     http_response_code(500);
     echo json_encode([
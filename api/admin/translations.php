@@ -0,0 +1,70 @@
+<?php
+/**
+ * Admin Translations API
+ * 
+ * Returns what the translation editor needs for a site: its translation
+ * settings and own translations, the texts to translate (default locale)
+ * and the built-in translation of those texts for every offered locale
+ * and built-in language. Changes are saved through save-config.php.
+ */
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-CSRF-Token');
+
+// Handle preflight
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit(0);
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    http_response_code(405);
+    echo json_encode(['error' => 'Method not allowed']);
+    exit;
+}
+
+require_once __DIR__ . '/../../src/php/FileStorage.php';
+require_once __DIR__ . '/../../src/php/SiteConfig.php';
+require_once __DIR__ . '/../../src/php/Translations.php';
+require_once __DIR__ . '/../../src/php/AdminAuth.php';
+
+try {
+    $storage = new FileStorage(__DIR__ . '/../../data');
+    $auth = new AdminAuth($storage);
+    $auth->requirePermission('edit_config');
+    
+    $site = new SiteConfig($storage, $_GET['siteId'] ?? SiteConfig::DEFAULT_SITE);
+    $translations = new Translations($storage, $site);
+    
+    $config = $translations->getConfig();
+    $languages = $translations->getBuiltinLanguages();
+    
+    $builtin = [];
+    foreach (array_unique(array_merge($config['locales'], array_keys($languages))) as $locale) {
+        $bundle = $translations->getBuiltin($locale);
+        if ($bundle !== null) {
+            $builtin[$locale] = $bundle;
+        }
+    }
+    
+    echo json_encode([
+        'success' => true,
+        'siteId' => $site->getSiteId(),
+        'defaultLocale' => $config['defaultLocale'],
+        'locales' => $config['locales'],
+        'fallbacks' => (object) $config['fallbacks'],
+        'bundles' => (object) $config['bundles'],
+        'source' => $translations->getSourceTexts(),
+        'builtin' => (object) $builtin,
+        'languages' => (object) $languages
+    ]);
+
+} catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to load translations',
+        'message' => $e->getMessage()
+    ]);
+}
@@ -17,9 +17,13 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
 
 require_once __DIR__ . '/../../src/php/FileStorage.php';
 require_once __DIR__ . '/../../src/php/CookieDatabase.php';
+require_once __DIR__ . '/../../src/php/AdminAuth.php';
 
 try {
     $storage = new FileStorage(__DIR__ . '/../../data');
+    $auth = new AdminAuth($storage);
+    $auth->requirePermission('edit_config');
+    
     $db = new CookieDatabase($storage);
     
     // Force refresh of the database
@@ -36,7 +40,7 @@ try {
     } else {
         throw new Exception('Failed to update database');
     }
-    
+
 } catch (Exception $e) {
     http_response_code(500);
     echo json_encode([
@@ -0,0 +1,76 @@
+<?php
+/**
+ * Admin Users API (needs the manage_users permission)
+ * 
+ * GET: lists the admin users and roles
+ * POST {action: "create", username, password, role}: adds a user
+ * POST {action: "set_role", id, role}: changes a user's role
+ * POST {action: "reset_password", id, password}: sets a new password
+ */
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-CSRF-Token');
+
+// Handle preflight
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit(0);
+}
+
+require_once __DIR__ . '/../../src/php/FileStorage.php';
+require_once __DIR__ . '/../../src/php/AdminAuth.php';
+
+try {
+    $storage = new FileStorage(__DIR__ . '/../../data');
+    $auth = new AdminAuth($storage);
+    $auth->requirePermission('manage_users');
+    
+    if ($_SERVER['REQUEST_METHOD'] === 'POST') {
+        // Get JSON payload
+        $input = file_get_contents('php://input');
+        $data = json_decode($input, true) ?: [];
+        
+        try {
+            switch ($data['action'] ?? '') {
+                case 'create':
+                    $auth->createUser($data['username'] ?? '', $data['password'] ?? '', $data['role'] ?? '');
+                    break;
+                case 'set_role':
+                    $auth->setRole($data['id'] ?? '', $data['role'] ?? '');
+                    break;
+                case 'reset_password':
+                    $auth->setPassword($data['id'] ?? '', $data['password'] ?? '');
+                    break;
+                default:
+                    throw new InvalidArgumentException('Action must be "create", "set_role" or "reset_password"');
+            }
+        } catch (InvalidArgumentException $e) {
+            http_response_code(400);
+            echo json_encode([
+                'success' => false,
+                'error' => 'invalid_request',
+                'message' => $e->getMessage()
+            ]);
+            exit;
+        }
+    } elseif ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+        http_response_code(405);
+        echo json_encode(['error' => 'Method not allowed']);
+        exit;
+    }
+    
+    echo json_encode([
+        'success' => true,
+        'users' => $auth->getUsers(),
+        'roles' => $auth->getRoles()
+    ]);
+
+} catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to manage users',
+        'message' => $e->getMessage()
+    ]);
+}
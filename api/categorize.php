@@ -0,0 +1,83 @@
+<?php
+/**
+ * Categorize API Endpoint
+ * 
+ * Categorizes a batch of cookies against the cookie database
+ */
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type');
+
+// Handle preflight
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit(0);
+}
+
+// Only accept POST
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    http_response_code(405);
+    echo json_encode(['error' => 'Method not allowed']);
+    exit;
+}
+
+require_once __DIR__ . '/../src/php/FileStorage.php';
+require_once __DIR__ . '/../src/php/CookieDatabase.php';
+
+try {
+    // Get JSON payload
+    $input = file_get_contents('php://input');
+    $data = json_decode($input, true);
+    
+    if (!$data || !isset($data['cookies']) || !is_array($data['cookies'])) {
+        http_response_code(400);
+        echo json_encode([
+            'success' => false,
+            'error' => 'invalid_request',
+            'message' => 'Expected a "cookies" array'
+        ]);
+        exit;
+    }
+    
+    $storage = new FileStorage(__DIR__ . '/../data');
+    $db = new CookieDatabase($storage);
+    
+    // Limit batch size
+    $maxBatchSize = 100;
+    $results = [];
+    
+    foreach (array_slice($data['cookies'], 0, $maxBatchSize) as $cookie) {
+        $name = is_array($cookie) ? trim((string)($cookie['name'] ?? '')) : '';
+        $domain = is_array($cookie) ? trim((string)($cookie['domain'] ?? '')) : '';
+        
+        if ($name === '') {
+            continue;
+        }
+        
+        $match = $db->categorize($name, $domain);
+        $matched = $match['matched'] ?? [];
+        
+        $results[] = [
+            'name' => $name,
+            'domain' => $domain,
+            'category' => $match['category'],
+            'confidence' => $match['confidence'],
+            'dataController' => $matched['dataController'] ?? '',
+            'platform' => $matched['platform'] ?? ''
+        ];
+    }
+    
+    echo json_encode([
+        'success' => true,
+        'cookies' => $results
+    ]);
+    
+} catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to categorize cookies',
+        'message' => $e->getMessage()
+    ]);
+}
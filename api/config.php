@@ -2,10 +2,13 @@
 /**
  * Config API Endpoint
  * 
- * Returns configuration for the CMP widget based on site ID
+ * Returns configuration for the CMP widget based on site ID.
+ * Unknown site IDs receive the default site's configuration.
+ * The jurisdiction is resolved per visitor, so responses are private.
  */
 
 header('Content-Type: application/json');
+header('Cache-Control: private, no-cache');
 header('Access-Control-Allow-Origin: *');
 header('Access-Control-Allow-Methods: GET, OPTIONS');
 header('Access-Control-Allow-Headers: Content-Type');
@@ -16,21 +19,49 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 }
 
 require_once __DIR__ . '/../src/php/FileStorage.php';
+require_once __DIR__ . '/../src/php/SiteConfig.php';
+require_once __DIR__ . '/../src/php/JurisdictionResolver.php';
+require_once __DIR__ . '/../src/php/Translations.php';
+require_once __DIR__ . '/../src/php/ConfigHistory.php';
 
 try {
     $storage = new FileStorage(__DIR__ . '/../data');
     
     // Get site ID from query parameter
-    $siteId = $_GET['siteId'] ?? 'default';
+    $siteId = $_GET['siteId'] ?? SiteConfig::DEFAULT_SITE;
+    $site = new SiteConfig($storage, $siteId);
     
     // Load widget config
-    $widgetConfig = $storage->read('config/widget.json');
+    $widgetConfig = $site->read('widget');
     
     // Load preference center config
-    $preferenceConfig = $storage->read('config/preference-center.json');
+    $preferenceConfig = $site->read('preference-center');
     
     // Load blocking config
-    $blockingConfig = $storage->read('config/blocking.json');
+    $blockingConfig = $site->read('blocking');
+    
+    // Load IAB TCF config
+    $tcfConfig = $site->read('tcf');
+    
+    // Load IAB GPP config
+    $gppConfig = $site->read('gpp');
+    
+    // Load vendor registry
+    $vendorConfig = $site->read('vendors');
+    
+    // Resolve the texts of the other offered languages
+    $translations = new Translations($storage, $site);
+    
+    // Configuration version being served, logged with each consent
+    $history = new ConfigHistory($storage, $site);
+    $currentVersion = $history->getCurrent();
+    
+    // Resolve the visitor's jurisdiction, falling back to the one chosen for the site
+    $wizardConfig = $site->read('wizard');
+    $siteJurisdiction = $widgetConfig['jurisdiction'] ?? ($wizardConfig['steps']['jurisdiction']['selected'] ?? 'gdpr');
+    
+    $resolver = new JurisdictionResolver($storage, $site->read('jurisdictions'));
+    $resolved = $resolver->resolve($_SERVER, $siteJurisdiction);
     
     // Combine into single response
     $response = [
@@ -39,7 +70,15 @@ try {
         'widget' => $widgetConfig,
         'preferenceCenter' => $preferenceConfig,
         'blocking' => $blockingConfig,
-        'policyVersion' => $widgetConfig['version'] ?? '1.0.0'
+        'tcf' => $tcfConfig,
+        'gpp' => $gppConfig,
+        'vendors' => (object) ($vendorConfig['vendors'] ?? []),
+        'i18n' => $translations->getClientConfig(),
+        'jurisdiction' => $resolved['jurisdiction'],
+        'jurisdictionProfile' => $resolved['profile'],
+        'location' => $resolved['location'],
+        'policyVersion' => $widgetConfig['policyVersion'] ?? $widgetConfig['version'] ?? '1.0.0',
+        'configVersion' => $currentVersion['id'] ?? null
     ];
     
     echo json_encode($response);
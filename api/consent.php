@@ -2,12 +2,14 @@
 /**
  * Consent API Endpoint
  * 
- * Logs consent events from the frontend SDK
+ * POST logs consent events from the frontend SDK and returns the consent
+ * ID the record was logged under, with its token.
+ * GET ?consentId= returns the latest record and history of a consent ID.
  */
 
 header('Content-Type: application/json');
 header('Access-Control-Allow-Origin: *');
-header('Access-Control-Allow-Methods: POST, OPTIONS');
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
 header('Access-Control-Allow-Headers: Content-Type');
 
 // Handle preflight
@@ -15,8 +17,8 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
     exit(0);
 }
 
-// Only accept POST
-if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+// Only accept GET and POST
+if ($_SERVER['REQUEST_METHOD'] !== 'POST' && $_SERVER['REQUEST_METHOD'] !== 'GET') {
     http_response_code(405);
     echo json_encode(['error' => 'Method not allowed']);
     exit;
@@ -24,8 +26,48 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
 
 require_once __DIR__ . '/../src/php/FileStorage.php';
 require_once __DIR__ . '/../src/php/ConsentLogger.php';
+require_once __DIR__ . '/../src/php/SiteConfig.php';
+require_once __DIR__ . '/../src/php/ConfigHistory.php';
 
 try {
+    if ($_SERVER['REQUEST_METHOD'] === 'GET') {
+        $consentId = $_GET['consentId'] ?? '';
+        
+        if (!ConsentLogger::isValidConsentId($consentId)) {
+            http_response_code(400);
+            echo json_encode([
+                'success' => false,
+                'error' => 'invalid_request',
+                'message' => 'A valid consentId is required'
+            ]);
+            exit;
+        }
+        
+        $storage = new FileStorage(__DIR__ . '/../data');
+        $site = new SiteConfig($storage, $_GET['siteId'] ?? SiteConfig::DEFAULT_SITE);
+        $logger = new ConsentLogger($storage, $site->isRegistered() ? $site->getSiteId() : SiteConfig::DEFAULT_SITE);
+        
+        $history = $logger->getConsentHistory($consentId);
+        
+        if (empty($history)) {
+            http_response_code(404);
+            echo json_encode([
+                'success' => false,
+                'error' => 'not_found',
+                'message' => 'No consent recorded for this ID'
+            ]);
+            exit;
+        }
+        
+        echo json_encode([
+            'success' => true,
+            'consentId' => $consentId,
+            'latest' => $history[count($history) - 1],
+            'history' => $history
+        ]);
+        exit;
+    }
+    
     // Get JSON payload
     $input = file_get_contents('php://input');
     $data = json_decode($input, true);
@@ -40,7 +82,29 @@ try {
     }
     
     $storage = new FileStorage(__DIR__ . '/../data');
-    $logger = new ConsentLogger($storage);
+    
+    // Registered sites log to their own file, everything else to the default log
+    $site = new SiteConfig($storage, $data['siteId'] ?? SiteConfig::DEFAULT_SITE);
+    $logger = new ConsentLogger($storage, $site->isRegistered() ? $site->getSiteId() : SiteConfig::DEFAULT_SITE);
+    
+    // Vendor choices are kept as booleans keyed by vendor ID
+    $vendorState = [];
+    foreach (is_array($data['vendorState'] ?? null) ? $data['vendorState'] : [] as $vendorId => $allowed) {
+        if (preg_match('/^[A-Za-z0-9_-]{1,64}$/', (string) $vendorId)) {
+            $vendorState[$vendorId] = (bool) $allowed;
+        }
+    }
+    
+    // Legal basis per category: consent or legitimate interest
+    $legalBasis = [];
+    foreach (is_array($data['legalBasis'] ?? null) ? $data['legalBasis'] : [] as $category => $basis) {
+        if (preg_match('/^[A-Za-z0-9_-]{1,64}$/', (string) $category)) {
+            $legalBasis[$category] = $basis === 'legitimateInterest' ? 'legitimateInterest' : 'consent';
+        }
+    }
+    
+    // Only the holder of an ID's token may add records to it
+    $claim = $logger->claimConsentId($data['consentId'] ?? null, $data['consentToken'] ?? null);
     
     // Log the consent
     $success = $logger->log(
@@ -50,14 +114,23 @@ try {
         $data['policyVersion'] ?? '1.0.0',
         [
             'siteId' => $data['siteId'] ?? 'default',
-            'jurisdiction' => $data['jurisdiction'] ?? 'unknown'
-        ]
+            'jurisdiction' => $data['jurisdiction'] ?? 'unknown',
+            'source' => $data['source'] ?? 'user',
+            'gpc' => !empty($data['gpc']),
+            'widgetHash' => $data['widgetHash'] ?? '',
+            'configVersion' => ConfigHistory::isValidId($data['configVersion'] ?? null) ? $data['configVersion'] : '',
+            'vendors' => (object) $vendorState,
+            'legalBasis' => (object) $legalBasis
+        ],
+        $claim['consentId']
     );
     
     if ($success) {
         echo json_encode([
             'success' => true,
-            'message' => 'Consent logged successfully'
+            'message' => 'Consent logged successfully',
+            'consentId' => $claim['consentId'],
+            'consentToken' => $claim['consentToken']
         ]);
     } else {
         throw new Exception('Failed to log consent');
@@ -0,0 +1,78 @@
+<?php
+/**
+ * Cookie Report API Endpoint
+ * 
+ * Receives uncategorized cookies discovered by the frontend SDK on live pages.
+ * Anyone can call it, so each client is limited to 30 reports per 10 minutes.
+ */
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type');
+
+// Handle preflight
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit(0);
+}
+
+// Only accept POST
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    http_response_code(405);
+    echo json_encode(['error' => 'Method not allowed']);
+    exit;
+}
+
+require_once __DIR__ . '/../src/php/FileStorage.php';
+require_once __DIR__ . '/../src/php/CookieDatabase.php';
+require_once __DIR__ . '/../src/php/RateLimiter.php';
+
+try {
+    // Beacons are sent as text/plain, so always parse the raw body
+    $input = file_get_contents('php://input');
+    $data = json_decode($input, true);
+    
+    if (!$data || !isset($data['cookies']) || !is_array($data['cookies'])) {
+        http_response_code(400);
+        echo json_encode([
+            'success' => false,
+            'error' => 'invalid_request',
+            'message' => 'Expected a "cookies" array'
+        ]);
+        exit;
+    }
+    
+    $storage = new FileStorage(__DIR__ . '/../data');
+    
+    $limiter = new RateLimiter($storage);
+    if (!$limiter->hit('cookie-report', $_SERVER['REMOTE_ADDR'] ?? 'unknown', 30, 600)) {
+        http_response_code(429);
+        echo json_encode([
+            'success' => false,
+            'error' => 'rate_limited',
+            'message' => 'Too many reports, try again later'
+        ]);
+        exit;
+    }
+    
+    $db = new CookieDatabase($storage);
+    
+    $recorded = $db->recordDetected(
+        $data['cookies'],
+        is_string($data['siteId'] ?? null) ? substr($data['siteId'], 0, 64) : 'default',
+        is_string($data['page'] ?? null) ? $data['page'] : ''
+    );
+    
+    echo json_encode([
+        'success' => true,
+        'recorded' => $recorded
+    ]);
+
+} catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to record cookies',
+        'message' => $e->getMessage()
+    ]);
+}
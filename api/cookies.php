@@ -0,0 +1,98 @@
+<?php
+/**
+ * Cookie Declaration API Endpoint
+ * 
+ * Returns the cookies used by a site, grouped by category, with provider,
+ * purpose, duration and privacy portal from the cookie database. The list
+ * combines the site's vendor registry, cookies reported from its live
+ * pages (only those the database or an admin knows) and the latest scan
+ * report. Shown in the preference center's advanced mode.
+ */
+
+header('Content-Type: application/json');
+header('Cache-Control: public, max-age=300');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type');
+
+// Handle preflight
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit(0);
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    http_response_code(405);
+    echo json_encode(['error' => 'Method not allowed']);
+    exit;
+}
+
+require_once __DIR__ . '/../src/php/FileStorage.php';
+require_once __DIR__ . '/../src/php/SiteConfig.php';
+require_once __DIR__ . '/../src/php/CookieDatabase.php';
+require_once __DIR__ . '/../src/php/CookieScanner.php';
+
+try {
+    $storage = new FileStorage(__DIR__ . '/../data');
+    $site = new SiteConfig($storage, $_GET['siteId'] ?? SiteConfig::DEFAULT_SITE);
+    $siteId = $site->isRegistered() ? $site->getSiteId() : SiteConfig::DEFAULT_SITE;
+    
+    try {
+        $vendors = $site->read('vendors')['vendors'] ?? [];
+    } catch (Exception $e) {
+        $vendors = [];
+    }
+    
+    $db = new CookieDatabase($storage);
+    $cookies = [];
+    
+    // Cookies the SDK reported from the site's pages. Reports are
+    // unauthenticated, so unknown names are not published.
+    foreach ($db->getDetected() as $cookie) {
+        if (in_array($siteId, $cookie['sites'] ?? [], true) && $db->isVerified($cookie, $vendors)) {
+            $cookies[] = $cookie;
+        }
+    }
+    
+    // Cookies from the latest scan, limited to pages on the site's domains.
+    // Scans are not tied to a site, so a site without domains only gets
+    // them if it is the default site.
+    $domains = array_map('strtolower', $site->getSites()[$siteId]['domains'] ?? []);
+    $report = (new CookieScanner($storage, $db))->getReport();
+    
+    foreach ($report['findings'] ?? [] as $finding) {
+        if ($finding['type'] !== 'cookie') {
+            continue;
+        }
+        
+        if (!empty($domains)) {
+            $onSite = false;
+            foreach ($finding['pages'] ?? [] as $page) {
+                if (in_array(strtolower((string)parse_url($page, PHP_URL_HOST)), $domains, true)) {
+                    $onSite = true;
+                    break;
+                }
+            }
+            if (!$onSite) {
+                continue;
+            }
+        } elseif ($siteId !== SiteConfig::DEFAULT_SITE) {
+            continue;
+        }
+        
+        $cookies[] = $finding;
+    }
+    
+    echo json_encode([
+        'success' => true,
+        'siteId' => $siteId,
+        'categories' => (object) $db->describeCookies($cookies, $vendors)
+    ]);
+    
+} catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to load cookie declaration',
+        'message' => $e->getMessage()
+    ]);
+}
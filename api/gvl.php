@@ -0,0 +1,45 @@
+<?php
+/**
+ * Global Vendor List API Endpoint
+ * 
+ * Returns the IAB TCF Global Vendor List from data/tcf/vendor-list.json,
+ * limited to the vendors configured for the site (all if none are listed)
+ */
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type');
+
+// Handle preflight
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit(0);
+}
+
+require_once __DIR__ . '/../src/php/FileStorage.php';
+require_once __DIR__ . '/../src/php/SiteConfig.php';
+
+try {
+    $storage = new FileStorage(__DIR__ . '/../data');
+    $site = new SiteConfig($storage, $_GET['siteId'] ?? SiteConfig::DEFAULT_SITE);
+    
+    $tcfConfig = $site->read('tcf');
+    $gvl = $storage->read('tcf/vendor-list.json');
+    
+    $vendorIds = array_map('strval', $tcfConfig['vendors'] ?? []);
+    if (!empty($vendorIds)) {
+        $gvl['vendors'] = array_intersect_key($gvl['vendors'], array_flip($vendorIds));
+    }
+    
+    // Keep vendors as an object even when none are left
+    $gvl['vendors'] = (object)$gvl['vendors'];
+    
+    echo json_encode($gvl);
+    
+} catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+        'error' => 'Failed to load vendor list',
+        'message' => $e->getMessage()
+    ]);
+}
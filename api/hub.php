@@ -0,0 +1,59 @@
+<?php
+/**
+ * Consent Hub Endpoint
+ * 
+ * Serves the hidden iframe page that keeps one consent for sites on
+ * unrelated domains (widget.hub). Only origins listed in the site's
+ * hub.allowedOrigins may frame the page or talk to it.
+ */
+
+require_once __DIR__ . '/../src/php/FileStorage.php';
+require_once __DIR__ . '/../src/php/SiteConfig.php';
+
+$storage = new FileStorage(__DIR__ . '/../data');
+$site = new SiteConfig($storage, $_GET['siteId'] ?? SiteConfig::DEFAULT_SITE);
+
+try {
+    $widgetConfig = $site->read('widget');
+} catch (Exception $e) {
+    $widgetConfig = [];
+}
+
+$hub = $widgetConfig['hub'] ?? [];
+
+// Origins are scheme://host[:port] without a trailing slash
+$allowedOrigins = [];
+if (!empty($hub['enabled'])) {
+    foreach ($hub['allowedOrigins'] ?? [] as $origin) {
+        if (is_string($origin) && preg_match('#^https?://[A-Za-z0-9.-]+(:\d{1,5})?$#', $origin)) {
+            $allowedOrigins[] = $origin;
+        }
+    }
+}
+
+// Sites with the same group share one consent
+$group = $hub['group'] ?? '';
+if (!is_string($group) || !preg_match('/^[A-Za-z0-9_-]{1,64}$/', $group)) {
+    $group = $site->getSiteId();
+}
+
+$hubConfig = [
+    'allowedOrigins' => $allowedOrigins,
+    'cookieName' => 'cmp_hub_' . $group,
+    'maxAgeDays' => $widgetConfig['storage']['maxAgeDays'] ?? 395
+];
+
+header('Content-Type: text/html; charset=utf-8');
+header('Cache-Control: no-cache');
+header('Content-Security-Policy: frame-ancestors ' . (empty($allowedOrigins) ? "'none'" : implode(' ', $allowedOrigins)));
+?>
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Consent Hub</title>
+    <script>window.CMP_HUB = <?php echo json_encode($hubConfig, JSON_HEX_TAG | JSON_HEX_AMP | JSON_UNESCAPED_SLASHES); ?>;</script>
+    <script src="../src/js/consent-hub.js"></script>
+</head>
+<body></body>
+</html>
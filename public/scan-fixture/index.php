@@ -0,0 +1,39 @@
+<?php
+/**
+ * Cookie Scanner Fixture Site
+ * 
+ * A small local site with known cookies, scripts, iframes and pixels
+ * for testing the admin cookie scanner:
+ * 
+ *   php -S localhost:8000
+ *   Scan http://localhost:8000/public/scan-fixture/index.php
+ */
+
+setcookie('PHPSESSID', 'fixture-session', 0, '/');
+setcookie('_ga', 'GA1.1.123.456', time() + 63072000, '/');
+setcookie('fixture_pref', 'dark', time() + 86400, '/');
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Scanner Fixture - Home</title>
+    <script src="https://www.googletagmanager.com/gtag/js?id=G-FIXTURE"></script>
+    <script src="/src/js/cmp.js" data-site-id="scan-fixture"></script>
+</head>
+<body>
+    <h1>Scanner Fixture</h1>
+    
+    <iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ" width="560" height="315"></iframe>
+    
+    <noscript>
+        <img src="https://www.facebook.com/tr?id=FIXTURE&ev=PageView" alt="">
+    </noscript>
+    
+    <img src="https://pixel.example-ads.net/p.gif" width="1" height="1" alt="">
+    <img src="logo.png" width="120" height="40" alt="Not a pixel">
+    
+    <a href="about.html">About</a>
+    <a href="https://external.example.org/">External (not crawled)</a>
+</body>
+</html>
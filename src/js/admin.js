@@ -6,6 +6,9 @@
  * - Consent log viewing
  * - Cookie scanning
  * - Widget customization
+ * - Translations
+ * - Sign-in and user management
+ * - Configuration history and rollback
  */
 
 (function() {
@@ -13,21 +16,317 @@
     
     const Admin = {
         apiBase: '/api/admin',
+        siteId: 'default',
+        sites: {},
+        editor: null,
+        previewView: 'banner',
+        translations: null,
+        translationLocale: null,
+        user: null,
+        permissions: [],
+        csrfToken: null,
+        roles: {},
+        started: false,
+        history: null,
         
         /**
          * Initialize admin dashboard
          */
-        init: function() {
+        init: async function() {
             console.log('Admin: Initializing');
             
-            // Setup navigation
-            this.setupNavigation();
+            this.siteId = localStorage.getItem('cmp_admin_site') || 'default';
+            
+            document.getElementById('login-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.login();
+            });
+            
+            await this.loadSession();
+            if (this.user) {
+                this.start();
+            } else {
+                this.showLogin();
+            }
+        },
+        
+        /**
+         * Show the dashboard for the signed-in user
+         */
+        start: function() {
+            document.getElementById('login-screen').classList.add('hidden');
+            document.getElementById('admin-app').classList.remove('hidden');
+            this.applyPermissions();
+            
+            // Load site list for the switcher
+            this.loadSites();
             
             // Load dashboard data
             this.loadDashboard();
             
+            if (this.started) {
+                // Signed in again, possibly as a user who may not see the open section
+                document.querySelector('.nav-link[href="#dashboard"]').click();
+                return;
+            }
+            
+            // Setup navigation
+            this.setupNavigation();
+            
             // Setup event listeners
             this.setupEventListeners();
+            
+            this.started = true;
+        },
+        
+        /**
+         * Load the signed-in user, their permissions and the CSRF token
+         */
+        loadSession: async function() {
+            try {
+                const response = await fetch(this.apiBase + '/auth.php');
+                if (!response.ok) {
+                    throw new Error('Failed to load session');
+                }
+                
+                this.setSession(await response.json());
+            } catch (error) {
+                console.error('Failed to load session:', error);
+                this.setSession({});
+            }
+        },
+        
+        /**
+         * Keep the session returned by the auth API
+         */
+        setSession: function(data) {
+            this.user = data.authenticated ? data.user : null;
+            this.permissions = data.permissions || [];
+            this.csrfToken = data.csrfToken || null;
+        },
+        
+        /**
+         * Check whether the signed-in user has a permission
+         */
+        hasPermission: function(permission) {
+            return this.permissions.indexOf(permission) !== -1;
+        },
+        
+        /**
+         * Hide what the signed-in user may not use
+         */
+        applyPermissions: function() {
+            document.querySelectorAll('[data-permission]').forEach(element => {
+                element.classList.toggle('hidden', !this.hasPermission(element.getAttribute('data-permission')));
+            });
+            
+            document.getElementById('current-user').textContent = this.user.username;
+        },
+        
+        /**
+         * Show the login screen
+         */
+        showLogin: function(message) {
+            document.getElementById('admin-app').classList.add('hidden');
+            document.getElementById('login-screen').classList.remove('hidden');
+            document.getElementById('login-password').value = '';
+            this.setLoginError(message || '');
+            document.getElementById('login-username').focus();
+        },
+        
+        /**
+         * Show or clear the login error
+         */
+        setLoginError: function(message) {
+            const error = document.getElementById('login-error');
+            error.textContent = message;
+            error.classList.toggle('hidden', !message);
+        },
+        
+        /**
+         * Sign in with the login form's credentials
+         */
+        login: async function() {
+            const button = document.querySelector('#login-form button[type="submit"]');
+            button.disabled = true;
+            
+            try {
+                const response = await fetch(this.apiBase + '/auth.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        action: 'login',
+                        username: document.getElementById('login-username').value.trim(),
+                        password: document.getElementById('login-password').value
+                    })
+                });
+                const data = await response.json();
+                
+                if (!response.ok || !data.success) {
+                    throw new Error(data.message || 'Failed to sign in');
+                }
+                
+                this.setSession(data);
+                this.start();
+            } catch (error) {
+                console.error('Failed to sign in:', error);
+                this.setLoginError(error.message);
+            } finally {
+                button.disabled = false;
+            }
+        },
+        
+        /**
+         * Sign out
+         */
+        logout: async function() {
+            try {
+                const response = await this.request(this.apiBase + '/auth.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ action: 'logout' })
+                });
+                this.setSession(await response.json());
+            } catch (error) {
+                console.error('Failed to sign out:', error);
+                this.setSession({});
+            }
+            
+            this.showLogin();
+        },
+        
+        /**
+         * Call the admin API
+         * 
+         * Requests that change data carry the session's CSRF token. When the
+         * session has expired the login screen is shown.
+         */
+        request: async function(url, options = {}) {
+            const method = (options.method || 'GET').toUpperCase();
+            if (method !== 'GET') {
+                options.headers = Object.assign({}, options.headers, { 'X-CSRF-Token': this.csrfToken || '' });
+            }
+            
+            const response = await fetch(url, options);
+            if (response.status === 401 && this.user) {
+                this.setSession({});
+                this.showLogin('Your session has expired. Please sign in again.');
+            }
+            
+            return response;
+        },
+        
+        /**
+         * Build an admin API URL scoped to the selected site
+         */
+        siteUrl: function(path) {
+            return this.apiBase + path + '?siteId=' + encodeURIComponent(this.siteId);
+        },
+        
+        /**
+         * Load registered sites into the site switcher
+         */
+        loadSites: async function() {
+            try {
+                const response = await this.request(this.apiBase + '/sites.php');
+                if (!response.ok) {
+                    throw new Error('Failed to load sites');
+                }
+                
+                const data = await response.json();
+                this.sites = data.sites || {};
+            } catch (error) {
+                console.error('Failed to load sites:', error);
+                this.sites = { default: { name: 'Default' } };
+            }
+            
+            // Selected site may have been removed since it was stored
+            if (!this.sites[this.siteId]) {
+                this.switchSite('default');
+            }
+            
+            this.renderSiteSwitcher();
+        },
+        
+        /**
+         * Render the site switcher options
+         */
+        renderSiteSwitcher: function() {
+            const select = document.getElementById('site-switcher');
+            if (!select) return;
+            
+            select.innerHTML = Object.entries(this.sites).map(([id, site]) => `
+                <option value="${this.escapeHtml(id)}">${this.escapeHtml(site.name || id)}</option>
+            `).join('');
+            select.value = this.siteId;
+        },
+        
+        /**
+         * Switch the dashboard to another site
+         */
+        switchSite: function(siteId) {
+            if (siteId === this.siteId) return;
+            
+            this.siteId = siteId;
+            localStorage.setItem('cmp_admin_site', siteId);
+            
+            // Reload site-scoped data
+            this.loadDashboard();
+            const logsSection = document.getElementById('consent-logs-section');
+            if (logsSection && !logsSection.classList.contains('hidden')) {
+                this.loadConsentLogs();
+            }
+            
+            const editorSection = document.getElementById('widget-editor-section');
+            if (editorSection && !editorSection.classList.contains('hidden')) {
+                this.loadWidgetEditor();
+            }
+            
+            const translationsSection = document.getElementById('translations-section');
+            if (translationsSection && !translationsSection.classList.contains('hidden')) {
+                this.loadTranslations();
+            }
+            
+            const historySection = document.getElementById('history-section');
+            if (historySection && !historySection.classList.contains('hidden')) {
+                this.loadHistory();
+            }
+        },
+        
+        /**
+         * Register a new site
+         */
+        addSite: async function() {
+            const id = prompt('Site ID (letters, digits, "-" and "_"), as used in data-site-id:');
+            if (!id) return;
+            
+            const name = prompt('Display name:', id) || id;
+            
+            try {
+                const response = await this.request(this.apiBase + '/sites.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ id: id.trim(), name: name.trim() })
+                });
+                const data = await response.json();
+                
+                if (!response.ok || !data.success) {
+                    throw new Error(data.message || 'Failed to add site');
+                }
+                
+                this.sites = data.sites;
+                this.switchSite(id.trim());
+                this.renderSiteSwitcher();
+            } catch (error) {
+                console.error('Failed to add site:', error);
+                alert(error.message);
+            }
         },
         
         /**
@@ -72,6 +371,17 @@
                 // Load section-specific data
                 if (sectionName === 'consent-logs') {
                     this.loadConsentLogs();
+                } else if (sectionName === 'cookie-scanner') {
+                    this.loadScanReport();
+                    this.loadDetectedCookies();
+                } else if (sectionName === 'widget-editor') {
+                    this.loadWidgetEditor();
+                } else if (sectionName === 'translations') {
+                    this.loadTranslations();
+                } else if (sectionName === 'users') {
+                    this.loadUsers();
+                } else if (sectionName === 'history') {
+                    this.loadHistory();
                 }
             }
         },
@@ -81,7 +391,7 @@
          */
         loadDashboard: async function() {
             try {
-                const response = await fetch(this.apiBase + '/stats.php');
+                const response = await this.request(this.siteUrl('/stats.php'));
                 if (!response.ok) {
                     throw new Error('Failed to load stats');
                 }
@@ -90,11 +400,23 @@
                 this.updateDashboard(data);
             } catch (error) {
                 console.error('Failed to load dashboard:', error);
-                // Use mock data for demo
-                this.updateDashboard(this.getMockStats());
+                this.showDashboardError(error.message);
             }
         },
         
+        /**
+         * Show a load error instead of the dashboard statistics
+         */
+        showDashboardError: function(message) {
+            ['stat-total', 'stat-accepted', 'stat-rejected', 'stat-customized'].forEach(id => {
+                document.getElementById(id).textContent = '–';
+            });
+            
+            const html = `<p class="text-sm text-red-600">${this.escapeHtml(message)}</p>`;
+            document.getElementById('category-chart').innerHTML = html;
+            document.getElementById('recent-activity').innerHTML = html;
+        },
+        
         /**
          * Update dashboard with statistics
          */
@@ -105,21 +427,30 @@
             document.getElementById('stat-rejected').textContent = stats.rejectedAll || 0;
             document.getElementById('stat-customized').textContent = stats.customized || 0;
             
-            // Update category chart
+            // Update category chart (necessary is always accepted)
             if (stats.byCategory) {
                 const total = stats.total || 1; // Avoid division by zero
+                const categories = stats.categories || this.getCategoryNames(Object.keys(stats.byCategory));
+                const colors = ['bg-green-600', 'bg-blue-600', 'bg-purple-600', 'bg-yellow-500', 'bg-pink-600', 'bg-teal-600'];
                 
-                const categories = ['analytics', 'marketing', 'preferences'];
-                categories.forEach(category => {
-                    const categoryData = stats.byCategory[category];
-                    if (categoryData) {
-                        const accepted = categoryData.accepted || 0;
-                        const percent = Math.round((accepted / total) * 100);
+                document.getElementById('category-chart').innerHTML = Object.entries(categories)
+                    .filter(([category]) => category !== 'necessary')
+                    .map(([category, name], index) => {
+                        const categoryData = stats.byCategory[category] || {};
+                        const percent = Math.round(((categoryData.accepted || 0) / total) * 100);
                         
-                        document.getElementById(category + '-percent').textContent = percent + '%';
-                        document.getElementById(category + '-bar').style.width = percent + '%';
-                    }
-                });
+                        return `
+                            <div>
+                                <div class="flex justify-between text-sm mb-1">
+                                    <span>${this.escapeHtml(name)}</span>
+                                    <span>${percent}%</span>
+                                </div>
+                                <div class="w-full bg-gray-200 rounded-full h-2.5">
+                                    <div class="${colors[index % colors.length]} h-2.5 rounded-full" style="width: ${percent}%"></div>
+                                </div>
+                            </div>
+                        `;
+                    }).join('');
             }
             
             // Update recent activity
@@ -161,28 +492,50 @@
          */
         loadConsentLogs: async function() {
             try {
-                const response = await fetch(this.apiBase + '/logs.php');
+                const response = await this.request(this.siteUrl('/logs.php'));
                 if (!response.ok) {
                     throw new Error('Failed to load logs');
                 }
                 
                 const data = await response.json();
-                this.displayConsentLogs(data.logs || []);
+                this.displayConsentLogs(data.logs || [], data.categories);
             } catch (error) {
                 console.error('Failed to load consent logs:', error);
-                // Use mock data for demo
-                this.displayConsentLogs(this.getMockLogs());
+                const table = document.getElementById('consent-logs-table');
+                const columns = table.querySelectorAll('thead th').length;
+                table.querySelector('tbody').innerHTML = `<tr><td colspan="${columns}" class="px-6 py-4 text-center text-sm text-red-600">${this.escapeHtml(error.message)}</td></tr>`;
             }
         },
         
         /**
-         * Display consent logs in table
+         * Display consent logs in table, one column per category
+         * 
+         * Without the site's category list the categories found in the
+         * logs are shown.
          */
-        displayConsentLogs: function(logs) {
-            const tbody = document.querySelector('#consent-logs-table tbody');
+        displayConsentLogs: function(logs, categories) {
+            const table = document.getElementById('consent-logs-table');
+            const tbody = table.querySelector('tbody');
+            
+            if (!categories) {
+                const ids = ['necessary'];
+                (logs || []).forEach(log => {
+                    Object.keys(log.consentState || {}).forEach(id => {
+                        if (ids.indexOf(id) === -1) ids.push(id);
+                    });
+                });
+                categories = this.getCategoryNames(ids);
+            }
+            
+            const headerClass = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+            table.querySelector('thead tr').innerHTML = `
+                <th class="${headerClass}">Timestamp</th>
+                <th class="${headerClass}">Session ID</th>
+                ${Object.values(categories).map(name => `<th class="${headerClass}">${this.escapeHtml(name)}</th>`).join('')}
+            `;
             
             if (!logs || logs.length === 0) {
-                tbody.innerHTML = '<tr><td colspan="6" class="px-6 py-4 text-center text-sm text-gray-500">No logs found</td></tr>';
+                tbody.innerHTML = `<tr><td colspan="${2 + Object.keys(categories).length}" class="px-6 py-4 text-center text-sm text-gray-500">No logs found</td></tr>`;
                 return;
             }
             
@@ -197,18 +550,11 @@
                         <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                             ${log.sessionId.substring(0, 12)}...
                         </td>
-                        <td class="px-6 py-4 whitespace-nowrap text-sm">
-                            ${this.formatBool(state.necessary)}
-                        </td>
-                        <td class="px-6 py-4 whitespace-nowrap text-sm">
-                            ${this.formatBool(state.preferences)}
-                        </td>
-                        <td class="px-6 py-4 whitespace-nowrap text-sm">
-                            ${this.formatBool(state.analytics)}
-                        </td>
-                        <td class="px-6 py-4 whitespace-nowrap text-sm">
-                            ${this.formatBool(state.marketing)}
-                        </td>
+                        ${Object.keys(categories).map(category => `
+                            <td class="px-6 py-4 whitespace-nowrap text-sm">
+                                ${this.formatBool(state[category])}
+                            </td>
+                        `).join('')}
                     </tr>
                 `;
             });
@@ -217,128 +563,1692 @@
         },
         
         /**
-         * Format boolean as badge
+         * Turn category IDs into display names ("social_media" becomes "Social media")
          */
-        formatBool: function(value) {
-            if (value) {
-                return '<span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">✓</span>';
-            } else {
-                return '<span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">✗</span>';
-            }
+        getCategoryNames: function(ids) {
+            const names = {};
+            ids.forEach(id => {
+                names[id] = id.charAt(0).toUpperCase() + id.slice(1).replace(/[_-]/g, ' ');
+            });
+            return names;
         },
         
         /**
-         * Format date
+         * Load the latest scan report and configured URLs
          */
-        formatDate: function(dateString) {
-            const date = new Date(dateString);
-            return date.toLocaleString();
+        loadScanReport: async function() {
+            try {
+                const response = await this.request(this.apiBase + '/scan.php');
+                if (!response.ok) {
+                    throw new Error('Failed to load scan report');
+                }
+                
+                const data = await response.json();
+                const urlsInput = document.getElementById('scan-urls');
+                if (urlsInput && !urlsInput.value) {
+                    urlsInput.value = (data.urls || []).join('\n');
+                }
+                
+                if (data.report) {
+                    this.displayScanReport(data.report);
+                }
+            } catch (error) {
+                console.error('Failed to load scan report:', error);
+            }
         },
         
         /**
-         * Get time ago string
+         * Crawl the configured pages
          */
-        getTimeAgo: function(date) {
-            const seconds = Math.floor((new Date() - date) / 1000);
+        runScan: async function() {
+            const resultsDiv = document.getElementById('scan-results');
+            const contentDiv = document.getElementById('scan-results-content');
+            const scanBtn = document.getElementById('scan-btn');
+            const urls = document.getElementById('scan-urls').value
+                .split('\n')
+                .map(url => url.trim())
+                .filter(url => url);
             
-            if (seconds < 60) return seconds + ' seconds ago';
-            const minutes = Math.floor(seconds / 60);
-            if (minutes < 60) return minutes + ' minute' + (minutes > 1 ? 's' : '') + ' ago';
-            const hours = Math.floor(minutes / 60);
-            if (hours < 24) return hours + ' hour' + (hours > 1 ? 's' : '') + ' ago';
-            const days = Math.floor(hours / 24);
-            return days + ' day' + (days > 1 ? 's' : '') + ' ago';
+            resultsDiv.classList.remove('hidden');
+            contentDiv.innerHTML = '<p class="text-sm text-gray-500">Scanning pages...</p>';
+            scanBtn.disabled = true;
+            
+            try {
+                const response = await this.request(this.apiBase + '/scan.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ urls: urls })
+                });
+                
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.message || 'Scan failed');
+                }
+                
+                this.displayScanReport(data.report);
+            } catch (error) {
+                console.error('Failed to scan:', error);
+                contentDiv.innerHTML = `<p class="text-sm text-red-600">Scan failed: ${this.escapeHtml(error.message)}</p>`;
+            } finally {
+                scanBtn.disabled = false;
+            }
         },
         
         /**
-         * Setup event listeners
+         * Display a scan report
          */
-        setupEventListeners: function() {
-            // Refresh button if present
-            const refreshBtn = document.querySelector('[onclick="refreshLogs()"]');
-            if (refreshBtn) {
-                refreshBtn.onclick = () => this.loadConsentLogs();
+        displayScanReport: function(report) {
+            const resultsDiv = document.getElementById('scan-results');
+            const contentDiv = document.getElementById('scan-results-content');
+            resultsDiv.classList.remove('hidden');
+            
+            const failedPages = (report.pages || []).filter(page => page.error || page.status >= 400);
+            const byCategory = (report.summary && report.summary.byCategory) || {};
+            
+            let html = `
+                <p class="text-sm text-gray-500 mb-4">
+                    Scanned ${(report.pages || []).length} page(s) on ${this.formatDate(report.finishedAt)}
+                    &middot; ${Object.entries(byCategory).map(([category, count]) => this.escapeHtml(category) + ': ' + count).join(', ') || 'nothing found'}
+                </p>
+            `;
+            
+            failedPages.forEach(page => {
+                html += `
+                    <p class="text-sm text-red-600 mb-2">
+                        ${this.escapeHtml(page.url)}: ${this.escapeHtml(page.error || 'HTTP ' + page.status)}
+                    </p>
+                `;
+            });
+            
+            if (!report.findings || report.findings.length === 0) {
+                contentDiv.innerHTML = html + '<p class="text-sm text-gray-500">No cookies or third-party resources found</p>';
+                return;
             }
+            
+            html += `
+                <div class="overflow-x-auto">
+                    <table class="min-w-full divide-y divide-gray-200">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name / URL</th>
+                                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Confidence</th>
+                                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vendor</th>
+                                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pages</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+            `;
+            
+            report.findings.forEach(finding => {
+                html += `
+                    <tr>
+                        <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-500">${this.escapeHtml(finding.type)}</td>
+                        <td class="px-4 py-3 text-sm font-medium text-gray-900 break-all">${this.escapeHtml(finding.name)}</td>
+                        <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-500">${this.escapeHtml(finding.category)}</td>
+                        <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-500">${this.escapeHtml(finding.confidence)}</td>
+                        <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-500">${this.escapeHtml(finding.vendor || '-')}</td>
+                        <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-500">${(finding.pages || []).length}</td>
+                    </tr>
+                `;
+            });
+            
+            html += '</tbody></table></div>';
+            contentDiv.innerHTML = html;
         },
         
         /**
-         * Get mock statistics for demo
+         * Load cookies reported from live pages
          */
-        getMockStats: function() {
-            return {
-                total: 150,
-                acceptedAll: 85,
-                rejectedAll: 25,
-                customized: 40,
-                byCategory: {
-                    analytics: { accepted: 95, rejected: 55 },
-                    marketing: { accepted: 70, rejected: 80 },
-                    preferences: { accepted: 110, rejected: 40 }
-                },
-                recentLogs: [
-                    { timestamp: new Date(Date.now() - 60000).toISOString() },
-                    { timestamp: new Date(Date.now() - 180000).toISOString() },
-                    { timestamp: new Date(Date.now() - 300000).toISOString() }
-                ]
-            };
+        loadDetectedCookies: async function() {
+            try {
+                const response = await this.request(this.apiBase + '/detected-cookies.php');
+                if (!response.ok) {
+                    throw new Error('Failed to load detected cookies');
+                }
+                
+                const data = await response.json();
+                this.displayDetectedCookies(data.cookies || []);
+            } catch (error) {
+                console.error('Failed to load detected cookies:', error);
+                this.displayDetectedCookies([]);
+            }
         },
         
         /**
-         * Get mock logs for demo
+         * Display detected cookies in table
          */
-        getMockLogs: function() {
-            const logs = [];
-            for (let i = 0; i < 10; i++) {
-                logs.push({
-                    timestamp: new Date(Date.now() - i * 3600000).toISOString(),
-                    sessionId: 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-                        const r = Math.random() * 16 | 0;
-                        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
-                    }),
-                    consentState: {
-                        necessary: true,
-                        preferences: Math.random() > 0.5,
-                        analytics: Math.random() > 0.5,
-                        marketing: Math.random() > 0.5
-                    }
-                });
-            }
-            return logs;
-        }
-    };
-    
-    // Global functions for onclick handlers
-    window.refreshLogs = function() {
-        Admin.loadConsentLogs();
-    };
-    
-    window.updateCookieDatabase = async function() {
-        if (confirm('Update the cookie database from Open Cookie Database? This may take a moment.')) {
-            try {
-                const response = await fetch(Admin.apiBase + '/update-database.php', {
-                    method: 'POST'
-                });
-                if (response.ok) {
-                    alert('Cookie database updated successfully!');
-                } else {
-                    alert('Failed to update database. Please try again.');
-                }
-            } catch (error) {
-                console.error('Failed to update database:', error);
-                alert('Failed to update database. Please try again.');
+        displayDetectedCookies: function(cookies) {
+            const tbody = document.querySelector('#detected-cookies-table tbody');
+            
+            if (!cookies || cookies.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="5" class="px-6 py-4 text-center text-sm text-gray-500">No cookies reported yet</td></tr>';
+                return;
             }
-        }
+            
+            let html = '';
+            cookies.forEach(cookie => {
+                html += `
+                    <tr>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            ${this.escapeHtml(cookie.name)}
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            ${this.escapeHtml(cookie.domain)}
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            ${this.escapeHtml(cookie.category)}
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            ${cookie.count || 0}
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            ${this.formatDate(cookie.lastSeen)}
+                        </td>
+                    </tr>
+                `;
+            });
+            
+            tbody.innerHTML = html;
+        },
+        
+        /**
+         * Load the selected site's widget and preference center config into the editor
+         */
+        loadWidgetEditor: async function() {
+            const form = document.getElementById('widget-editor-form');
+            
+            try {
+                const response = await fetch('/api/config.php?siteId=' + encodeURIComponent(this.siteId));
+                if (!response.ok) {
+                    throw new Error('Failed to load configuration');
+                }
+                
+                const config = await response.json();
+                const edited = {
+                    widget: config.widget || {},
+                    preferenceCenter: config.preferenceCenter || {}
+                };
+                
+                this.editor = {
+                    base: config,
+                    original: JSON.parse(JSON.stringify(edited)),
+                    config: edited
+                };
+            } catch (error) {
+                console.error('Failed to load widget config:', error);
+                this.editor = null;
+                form.innerHTML = `<div class="bg-white shadow rounded-lg p-6 text-sm text-red-600">${this.escapeHtml(error.message)}</div>`;
+                return;
+            }
+            
+            this.renderWidgetEditor();
+            this.updateEditorState();
+            
+            // The preview asks for the config once it has loaded
+            document.getElementById('widget-preview').src = 'preview.html?siteId=' + encodeURIComponent(this.siteId);
+        },
+        
+        /**
+         * Render the editor form
+         * 
+         * Texts come from the config itself, so texts added to the widget later
+         * are editable too.
+         */
+        renderWidgetEditor: function() {
+            const form = document.getElementById('widget-editor-form');
+            const config = this.editor.config;
+            
+            const textFields = (path, known) => {
+                const texts = this.getConfigValue(path) || {};
+                return known.concat(Object.keys(texts).filter(key => known.indexOf(key) === -1)).map(key => ({
+                    path: path + '.' + key,
+                    label: this.formatLabel(key),
+                    type: /description/i.test(key) || String(texts[key] || '').length > 80 ? 'textarea' : 'text'
+                }));
+            };
+            
+            const groups = [
+                {
+                    title: 'Layout',
+                    fields: [
+                        { path: 'widget.layout', label: 'Banner layout', type: 'select', options: { popup: 'Popup', 'bottom-full': 'Bottom (full width)', 'top-full': 'Top (full width)', 'bottom-left': 'Bottom left' } },
+                        { path: 'widget.position', label: 'Banner position', type: 'select', options: { 'bottom-right': 'Bottom right', 'bottom-left': 'Bottom left', 'top-right': 'Top right', 'top-left': 'Top left' } },
+                        { path: 'preferenceCenter.layout', label: 'Preference center layout', type: 'select', options: { popup: 'Popup', sidebar: 'Sidebar', center: 'Center modal', bottom: 'Bottom', top: 'Top' } },
+                        { path: 'preferenceCenter.showAdvancedMode', label: 'Show cookie details in the preference center', type: 'checkbox' }
+                    ]
+                },
+                {
+                    title: 'Theme',
+                    fields: [
+                        { path: 'widget.theme.backgroundColor', label: 'Background color', type: 'color' },
+                        { path: 'widget.theme.textColor', label: 'Text color', type: 'color' },
+                        { path: 'widget.theme.primaryColor', label: 'Primary color', type: 'color' },
+                        { path: 'widget.theme.secondaryColor', label: 'Secondary color', type: 'color' },
+                        { path: 'widget.theme.overlayColor', label: 'Overlay color', type: 'text' },
+                        { path: 'widget.theme.borderRadius', label: 'Border radius', type: 'text' },
+                        { path: 'widget.theme.fontFamily', label: 'Font family', type: 'text' },
+                        { path: 'widget.theme.darkMode', label: 'Dark mode', type: 'checkbox' }
+                    ]
+                },
+                {
+                    title: 'Banner Texts',
+                    fields: textFields('widget.texts', ['title', 'description', 'acceptAll', 'rejectAll', 'customize', 'savePreferences', 'optOutDescription', 'acknowledge', 'doNotSell', 'embedBlocked', 'embedCategory', 'embedLoad', 'embedAllow'])
+                },
+                {
+                    title: 'Preference Center Texts',
+                    fields: textFields('preferenceCenter.texts', ['title', 'description', 'save', 'cancel'])
+                },
+                {
+                    title: 'Behavior',
+                    fields: [
+                        { path: 'widget.behavior.showOnLoad', label: 'Show the banner on page load', type: 'checkbox' },
+                        { path: 'widget.behavior.respectDoNotTrack', label: 'Respect Do Not Track', type: 'checkbox' },
+                        { path: 'widget.behavior.respectGlobalPrivacyControl', label: 'Respect Global Privacy Control', type: 'checkbox' },
+                        { path: 'widget.behavior.gpcOptOutCategories', label: 'Categories opted out by Global Privacy Control', type: 'categories' },
+                        { path: 'widget.behavior.consentLifetimeDays', label: 'Ask for consent again after (days, 0 = never)', type: 'number' },
+                        { path: 'widget.behavior.autoHideAfter', label: 'Hide the banner after (seconds, 0 = never)', type: 'number' },
+                        { path: 'widget.behavior.animation', label: 'Animation', type: 'select', options: { fade: 'Fade', slide: 'Slide', none: 'None' } }
+                    ]
+                }
+            ];
+            
+            const categories = Object.entries((config.preferenceCenter && config.preferenceCenter.categories) || {})
+                .filter(([id]) => id !== 'necessary');
+            
+            form.innerHTML = groups.map(group => `
+                <div class="bg-white shadow rounded-lg p-6">
+                    <h3 class="text-lg font-medium text-gray-900 mb-4">${this.escapeHtml(group.title)}</h3>
+                    <div class="space-y-4">
+                        ${group.fields.map(field => this.renderEditorField(field, categories)).join('')}
+                    </div>
+                </div>
+            `).join('');
+            
+            form.querySelectorAll('[data-path]').forEach(input => {
+                this.setInputValue(input, this.getConfigValue(input.getAttribute('data-path')));
+            });
+        },
+        
+        /**
+         * Render one editor field (values are filled in afterwards)
+         */
+        renderEditorField: function(field, categories) {
+            const id = 'editor-' + field.path.replace(/[^A-Za-z0-9_-]/g, '-');
+            const path = this.escapeHtml(field.path).replace(/"/g, '&quot;');
+            const label = this.escapeHtml(field.label);
+            const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm';
+            const labelTag = `<label for="${id}" class="block text-sm font-medium text-gray-700 mb-1">${label}</label>`;
+            
+            switch (field.type) {
+                case 'checkbox':
+                    return `
+                        <label class="flex items-center space-x-2 text-sm text-gray-700">
+                            <input type="checkbox" id="${id}" data-path="${path}" data-type="boolean" class="rounded border-gray-300">
+                            <span>${label}</span>
+                        </label>
+                    `;
+                
+                case 'categories':
+                    return `
+                        <fieldset>
+                            <legend class="block text-sm font-medium text-gray-700 mb-1">${label}</legend>
+                            <div class="flex flex-wrap gap-4">
+                                ${categories.map(([category, config]) => `
+                                    <label class="flex items-center space-x-2 text-sm text-gray-700">
+                                        <input type="checkbox" value="${this.escapeHtml(category).replace(/"/g, '&quot;')}" data-path="${path}" data-type="list" class="rounded border-gray-300">
+                                        <span>${this.escapeHtml(config.name || category)}</span>
+                                    </label>
+                                `).join('')}
+                            </div>
+                        </fieldset>
+                    `;
+                
+                case 'select':
+                    return labelTag + `
+                        <select id="${id}" data-path="${path}" class="${inputClass}">
+                            ${Object.entries(field.options).map(([value, name]) => `<option value="${value}">${this.escapeHtml(name)}</option>`).join('')}
+                        </select>
+                    `;
+                
+                case 'textarea':
+                    return labelTag + `<textarea id="${id}" data-path="${path}" rows="3" class="${inputClass}"></textarea>`;
+                
+                case 'color':
+                    return labelTag + `
+                        <div class="flex space-x-2">
+                            <input type="color" data-path="${path}" data-type="color" aria-label="${label}" class="h-9 w-12 border border-gray-300 rounded-md">
+                            <input type="text" id="${id}" data-path="${path}" class="${inputClass}">
+                        </div>
+                    `;
+                
+                case 'number':
+                    return labelTag + `<input type="number" min="0" id="${id}" data-path="${path}" data-type="number" class="${inputClass}">`;
+                
+                default:
+                    return labelTag + `<input type="text" id="${id}" data-path="${path}" class="${inputClass}">`;
+            }
+        },
+        
+        /**
+         * Show a config value in an editor input
+         */
+        setInputValue: function(input, value) {
+            switch (input.getAttribute('data-type')) {
+                case 'boolean':
+                    input.checked = !!value;
+                    break;
+                case 'list':
+                    input.checked = Array.isArray(value) && value.indexOf(input.value) !== -1;
+                    break;
+                case 'color':
+                    // Color pickers only take #rrggbb; other values stay in the text field
+                    if (/^#[0-9a-f]{6}$/i.test(value || '')) {
+                        input.value = value;
+                    }
+                    break;
+                default:
+                    input.value = value == null ? '' : value;
+            }
+        },
+        
+        /**
+         * Apply an edit to the config and refresh the preview
+         */
+        handleEditorInput: function(event) {
+            const input = event.target;
+            const path = input.getAttribute && input.getAttribute('data-path');
+            if (!path || !this.editor) return;
+            
+            const form = document.getElementById('widget-editor-form');
+            const inputs = Array.from(form.querySelectorAll('[data-path]')).filter(other => other.getAttribute('data-path') === path);
+            let value;
+            
+            switch (input.getAttribute('data-type')) {
+                case 'boolean':
+                    value = input.checked;
+                    break;
+                case 'list':
+                    value = inputs.filter(other => other.checked).map(other => other.value);
+                    break;
+                case 'number':
+                    value = Math.max(0, parseInt(input.value, 10) || 0);
+                    break;
+                default:
+                    value = input.value;
+            }
+            
+            this.setConfigValue(path, value);
+            
+            // Keep a color picker and its text field in step
+            inputs.forEach(other => {
+                if (other !== input && other.getAttribute('data-type') !== 'list') {
+                    this.setInputValue(other, value);
+                }
+            });
+            
+            this.updateEditorState();
+            this.updatePreview();
+        },
+        
+        /**
+         * Read a value from the edited config by dotted path (e.g. "widget.texts.title")
+         */
+        getConfigValue: function(path) {
+            return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), this.editor.config);
+        },
+        
+        /**
+         * Set a value in the edited config by dotted path
+         */
+        setConfigValue: function(path, value) {
+            const keys = path.split('.');
+            const last = keys.pop();
+            let target = this.editor.config;
+            
+            keys.forEach(key => {
+                if (!target[key] || typeof target[key] !== 'object' || Array.isArray(target[key])) {
+                    target[key] = {};
+                }
+                target = target[key];
+            });
+            
+            target[last] = value;
+        },
+        
+        /**
+         * Get the edited values that differ from what was loaded, per config file
+         */
+        getEditorChanges: function() {
+            const changes = {};
+            
+            ['widget', 'preferenceCenter'].forEach(section => {
+                const diff = this.diffConfig(this.editor.original[section], this.editor.config[section]);
+                if (Object.keys(diff).length > 0) {
+                    changes[section] = diff;
+                }
+            });
+            
+            return changes;
+        },
+        
+        /**
+         * Collect the values of `edited` that differ from `original`
+         * 
+         * Objects are compared key by key; lists and other values are taken
+         * whole, matching how the server merges partial updates.
+         */
+        diffConfig: function(original, edited) {
+            const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+            const changes = {};
+            
+            Object.keys(edited || {}).forEach(key => {
+                const before = isObject(original) ? original[key] : undefined;
+                const after = edited[key];
+                
+                if (isObject(before) && isObject(after)) {
+                    const nested = this.diffConfig(before, after);
+                    if (Object.keys(nested).length > 0) {
+                        changes[key] = nested;
+                    }
+                } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+                    changes[key] = after;
+                }
+            });
+            
+            return changes;
+        },
+        
+        /**
+         * Enable saving while there are unsaved changes
+         */
+        updateEditorState: function() {
+            const dirty = !!this.editor && Object.keys(this.getEditorChanges()).length > 0;
+            document.getElementById('widget-editor-save').disabled = !dirty;
+            this.setEditorStatus(dirty ? 'Unsaved changes' : '');
+        },
+        
+        /**
+         * Show a status message next to the save button
+         */
+        setEditorStatus: function(message, isError = false) {
+            const status = document.getElementById('widget-editor-status');
+            status.textContent = message;
+            status.className = 'text-sm ' + (isError ? 'text-red-600' : 'text-gray-500');
+        },
+        
+        /**
+         * Send the edited config to the preview frame
+         */
+        updatePreview: function() {
+            const frame = document.getElementById('widget-preview');
+            if (!this.editor || !frame || !frame.contentWindow) return;
+            
+            frame.contentWindow.postMessage({
+                __cmpPreview: {
+                    config: Object.assign({}, this.editor.base, this.editor.config),
+                    view: this.previewView
+                }
+            }, window.location.origin);
+        },
+        
+        /**
+         * Switch the preview between the banner and the preference center
+         */
+        setPreviewView: function(view) {
+            this.previewView = view;
+            
+            document.querySelectorAll('.preview-view-btn').forEach(button => {
+                const active = button.getAttribute('data-preview-view') === view;
+                button.classList.toggle('bg-indigo-600', active);
+                button.classList.toggle('text-white', active);
+                button.classList.toggle('bg-gray-100', !active);
+                button.classList.toggle('text-gray-700', !active);
+            });
+            
+            this.updatePreview();
+        },
+        
+        /**
+         * Save the changed values of the widget and preference center config
+         */
+        saveWidgetConfig: async function() {
+            if (!this.editor) return;
+            
+            const changes = this.getEditorChanges();
+            if (Object.keys(changes).length === 0) return;
+            
+            const reason = this.askChangeReason();
+            if (reason === null) return;
+            
+            // Consent records identify the widget they were given for by its
+            // hash, which covers the banner and the preference center
+            const hash = window.generateConfigHash({
+                widget: Object.assign({}, this.editor.config.widget, { hash: '' }),
+                preferenceCenter: this.editor.config.preferenceCenter
+            });
+            this.editor.config.widget.hash = hash;
+            changes.widget = Object.assign(changes.widget || {}, { hash: hash });
+            
+            const saveBtn = document.getElementById('widget-editor-save');
+            saveBtn.disabled = true;
+            this.setEditorStatus('Saving...');
+            
+            try {
+                const response = await this.request(this.apiBase + '/save-config.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(Object.assign({ siteId: this.siteId, partial: true, reason: reason }, changes))
+                });
+                const data = await response.json();
+                
+                if (!response.ok || !data.success) {
+                    throw new Error(data.message || 'Failed to save configuration');
+                }
+                
+                this.editor.original = JSON.parse(JSON.stringify(this.editor.config));
+                this.updateEditorState();
+                this.setEditorStatus('Saved');
+            } catch (error) {
+                console.error('Failed to save widget config:', error);
+                saveBtn.disabled = false;
+                this.setEditorStatus('Save failed: ' + error.message, true);
+            }
+        },
+        
+        /**
+         * Load the selected site's translations into the translation editor
+         */
+        loadTranslations: async function() {
+            try {
+                const response = await this.request(this.siteUrl('/translations.php'));
+                const data = await response.json();
+                
+                if (!response.ok || !data.success) {
+                    throw new Error(data.message || 'Failed to load translations');
+                }
+                
+                const edited = {
+                    defaultLocale: data.defaultLocale,
+                    locales: data.locales,
+                    fallbacks: data.fallbacks || {},
+                    bundles: data.bundles || {}
+                };
+                
+                this.translations = {
+                    data: data,
+                    original: JSON.parse(JSON.stringify(edited)),
+                    config: edited
+                };
+            } catch (error) {
+                console.error('Failed to load translations:', error);
+                this.translations = null;
+                document.getElementById('translations-languages').innerHTML = `<span class="text-red-600">${this.escapeHtml(error.message)}</span>`;
+                document.getElementById('translations-editor').innerHTML = '';
+                return;
+            }
+            
+            const config = this.translations.config;
+            if (config.locales.indexOf(this.translationLocale) === -1) {
+                this.translationLocale = config.locales.find(locale => locale !== config.defaultLocale) || config.defaultLocale;
+            }
+            
+            this.renderTranslations();
+            this.updateTranslationsState();
+        },
+        
+        /**
+         * Render the language list and the texts of the selected language
+         */
+        renderTranslations: function() {
+            const config = this.translations.config;
+            const locale = this.translationLocale;
+            const isDefault = locale === config.defaultLocale;
+            const selectClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm';
+            const attr = value => this.escapeHtml(value).replace(/"/g, '&quot;');
+            
+            const addable = Object.keys(this.translations.data.languages || {}).filter(code => config.locales.indexOf(code) === -1);
+            
+            const tabs = config.locales.map(code => {
+                const active = code === locale;
+                const missing = code === config.defaultLocale ? 0 : this.countMissingTranslations(code);
+                
+                return `
+                    <button type="button" data-translation-locale="${attr(code)}" class="px-3 py-1 rounded-md text-sm ${active ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700'}">
+                        ${this.escapeHtml(this.getLanguageName(code))} <span class="text-xs opacity-75">${this.escapeHtml(code)}</span>
+                        ${code === config.defaultLocale ? '<span class="text-xs opacity-75">(default)</span>' : ''}
+                        <span data-missing-count="${attr(code)}" class="ml-1 px-2 rounded-full text-xs bg-yellow-100 text-yellow-800${missing ? '' : ' hidden'}" title="Missing translations">${missing}</span>
+                    </button>
+                `;
+            }).join('');
+            
+            const settings = isDefault ? '' : `
+                <div>
+                    <label for="translations-direction" class="block text-sm font-medium text-gray-700 mb-1">Text direction</label>
+                    <select id="translations-direction" data-translation-setting="direction" class="${selectClass}">
+                        <option value="">Automatic</option>
+                        <option value="ltr">Left to right</option>
+                        <option value="rtl">Right to left</option>
+                    </select>
+                </div>
+                <div>
+                    <label for="translations-fallbacks" class="block text-sm font-medium text-gray-700 mb-1">Fallback languages</label>
+                    <input type="text" id="translations-fallbacks" data-translation-setting="fallbacks" placeholder="e.g. de, fr" class="${selectClass}">
+                    <p class="text-xs text-gray-500 mt-1">Tried before the parent language and the default language</p>
+                </div>
+                <div class="flex items-end">
+                    <button type="button" data-translation-remove="${attr(locale)}" class="text-sm text-red-600 hover:text-red-800">Remove ${this.escapeHtml(this.getLanguageName(locale))}</button>
+                </div>
+            `;
+            
+            document.getElementById('translations-languages').innerHTML = `
+                <div class="flex flex-wrap items-center gap-2">
+                    ${tabs}
+                    <select id="translations-add" aria-label="Add language" class="border border-gray-300 rounded-md text-sm px-2 py-1">
+                        <option value="">+ Add language</option>
+                        ${addable.map(code => `<option value="${attr(code)}">${this.escapeHtml(this.getLanguageName(code))} (${this.escapeHtml(code)})</option>`).join('')}
+                        <option value="other">Other...</option>
+                    </select>
+                </div>
+                <div class="grid grid-cols-1 gap-4 mt-6 md:grid-cols-4">
+                    <div>
+                        <label for="translations-default" class="block text-sm font-medium text-gray-700 mb-1">Default language</label>
+                        <select id="translations-default" data-translation-setting="defaultLocale" class="${selectClass}">
+                            ${config.locales.map(code => `<option value="${attr(code)}">${this.escapeHtml(this.getLanguageName(code))} (${this.escapeHtml(code)})</option>`).join('')}
+                        </select>
+                        <p class="text-xs text-gray-500 mt-1">Language of the texts in the Widget Editor</p>
+                    </div>
+                    ${settings}
+                </div>
+            `;
+            
+            document.getElementById('translations-default').value = config.defaultLocale;
+            if (!isDefault) {
+                const bundle = config.bundles[locale] || {};
+                document.getElementById('translations-direction').value = bundle.direction || '';
+                document.getElementById('translations-fallbacks').value = (config.fallbacks[locale] || []).join(', ');
+            }
+            
+            this.renderTranslationTexts();
+        },
+        
+        /**
+         * Render the text tables of the selected language
+         */
+        renderTranslationTexts: function() {
+            const container = document.getElementById('translations-editor');
+            const config = this.translations.config;
+            const locale = this.translationLocale;
+            const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm';
+            const attr = value => this.escapeHtml(value).replace(/"/g, '&quot;');
+            
+            if (locale === config.defaultLocale) {
+                container.innerHTML = `
+                    <div class="bg-white shadow rounded-lg p-6 text-sm text-gray-500">
+                        The texts of the default language (${this.escapeHtml(this.getLanguageName(locale))}) are edited in the <a href="#widget-editor" data-section-link="widget-editor" class="text-indigo-600 hover:text-indigo-800">Widget Editor</a>.
+                    </div>
+                `;
+                return;
+            }
+            
+            const groups = this.getTranslationGroups();
+            
+            container.innerHTML = `
+                <div id="translations-missing" class="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800 hidden"></div>
+            ` + groups.map(group => `
+                <div class="bg-white shadow rounded-lg p-6">
+                    <h3 class="text-lg font-medium text-gray-900 mb-4">${this.escapeHtml(group.title)}</h3>
+                    <table class="min-w-full divide-y divide-gray-200">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Text</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${this.escapeHtml(this.getLanguageName(config.defaultLocale))}</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${this.escapeHtml(this.getLanguageName(locale))}</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody class="divide-y divide-gray-200">
+                            ${group.rows.map(row => {
+                                const input = row.long
+                                    ? `<textarea data-translation-path="${attr(row.path)}" rows="3" dir="auto" lang="${attr(locale)}" aria-label="${attr(row.label)}" class="${inputClass}"></textarea>`
+                                    : `<input type="text" data-translation-path="${attr(row.path)}" dir="auto" lang="${attr(locale)}" aria-label="${attr(row.label)}" class="${inputClass}">`;
+                                
+                                return `
+                                    <tr data-translation-row="${attr(row.path)}">
+                                        <td class="px-4 py-3 text-sm font-medium text-gray-700 align-top">${this.escapeHtml(row.label)}</td>
+                                        <td class="px-4 py-3 text-sm text-gray-500 align-top w-1/3">${this.escapeHtml(row.text)}</td>
+                                        <td class="px-4 py-3 align-top w-1/3">${input}</td>
+                                        <td class="px-4 py-3 text-xs align-top whitespace-nowrap" data-translation-status></td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `).join('');
+            
+            container.querySelectorAll('[data-translation-path]').forEach(input => {
+                input.value = this.getBundleText(config.bundles[locale], input.getAttribute('data-translation-path')) || '';
+            });
+            
+            this.updateTranslationStatus();
+        },
+        
+        /**
+         * Get the texts to translate, grouped like the widget
+         */
+        getTranslationGroups: function() {
+            const source = this.translations.data.source || {};
+            const rows = (section, texts) => Object.keys(texts || {}).map(key => ({
+                path: section + '.' + key,
+                label: this.formatLabel(key),
+                text: texts[key],
+                long: /description/i.test(key) || String(texts[key]).length > 80
+            }));
+            
+            const categories = [];
+            Object.entries(source.categories || {}).forEach(([id, texts]) => {
+                Object.keys(texts).forEach(key => {
+                    categories.push({
+                        path: 'categories.' + id + '.' + key,
+                        label: (source.categories[id].name || id) + ': ' + this.formatLabel(key),
+                        text: texts[key],
+                        long: key === 'description'
+                    });
+                });
+            });
+            
+            return [
+                { title: 'Banner Texts', rows: rows('widget', source.widget) },
+                { title: 'Preference Center Texts', rows: rows('preferenceCenter', source.preferenceCenter) },
+                { title: 'Categories', rows: categories }
+            ].filter(group => group.rows.length > 0);
+        },
+        
+        /**
+         * Read a text from a bundle by path (e.g. "categories.analytics.name")
+         */
+        getBundleText: function(bundle, path) {
+            const text = path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), bundle);
+            return typeof text === 'string' && text !== '' ? text : null;
+        },
+        
+        /**
+         * Get the locales whose texts a locale falls back to, the locale first
+         * 
+         * Same order as the SDK: configured fallbacks, then the parent
+         * language ("de-at" falls back to "de").
+         */
+        getTranslationChain: function(locale) {
+            const fallbacks = this.translations.config.fallbacks || {};
+            const chain = [];
+            
+            const add = (tag) => {
+                if (!tag || chain.indexOf(tag) !== -1) return;
+                
+                chain.push(tag);
+                (fallbacks[tag] || []).forEach(add);
+                
+                if (tag.indexOf('-') !== -1) {
+                    add(tag.slice(0, tag.lastIndexOf('-')));
+                }
+            };
+            
+            add(locale);
+            return chain;
+        },
+        
+        /**
+         * Find where the text shown for a locale comes from
+         * 
+         * Returns the source ('translated', 'builtin', 'fallback' or
+         * 'missing'), the locale that provides the text and the text.
+         */
+        resolveTranslation: function(locale, path) {
+            const config = this.translations.config;
+            const builtin = this.translations.data.builtin || {};
+            
+            for (const tag of this.getTranslationChain(locale)) {
+                if (tag === config.defaultLocale || config.locales.indexOf(tag) === -1) {
+                    continue;
+                }
+                
+                const own = this.getBundleText(config.bundles[tag], path);
+                const provided = own || this.getBundleText(builtin[tag], path);
+                
+                if (provided) {
+                    return {
+                        source: tag !== locale ? 'fallback' : (own ? 'translated' : 'builtin'),
+                        locale: tag,
+                        text: provided
+                    };
+                }
+            }
+            
+            return { source: 'missing', locale: config.defaultLocale, text: null };
+        },
+        
+        /**
+         * Count the texts a locale shows in the default language
+         */
+        countMissingTranslations: function(locale) {
+            return this.getTranslationGroups().reduce((count, group) => {
+                return count + group.rows.filter(row => this.resolveTranslation(locale, row.path).source === 'missing').length;
+            }, 0);
+        },
+        
+        /**
+         * Refresh the status column, the placeholders and the missing-text warnings
+         */
+        updateTranslationStatus: function() {
+            const config = this.translations.config;
+            const locale = this.translationLocale;
+            const labels = {
+                translated: '<span class="text-green-700">Translated</span>',
+                builtin: '<span class="text-gray-500">Built-in</span>',
+                missing: '<span class="px-2 rounded-full bg-yellow-100 text-yellow-800">Missing</span>'
+            };
+            let missing = 0;
+            
+            document.querySelectorAll('#translations-editor [data-translation-row]').forEach(row => {
+                const path = row.getAttribute('data-translation-row');
+                const own = this.getBundleText(config.bundles[locale], path);
+                const resolved = this.resolveTranslation(locale, path);
+                const input = row.querySelector('[data-translation-path]');
+                
+                // Show what visitors see while the field is empty
+                const inherited = own ? null : resolved;
+                input.placeholder = inherited && inherited.text ? inherited.text : '';
+                
+                row.querySelector('[data-translation-status]').innerHTML = labels[resolved.source] ||
+                    `<span class="text-gray-500">From ${this.escapeHtml(resolved.locale)}</span>`;
+                row.classList.toggle('bg-yellow-50', resolved.source === 'missing');
+                
+                if (resolved.source === 'missing') {
+                    missing++;
+                }
+            });
+            
+            const warning = document.getElementById('translations-missing');
+            if (warning) {
+                warning.textContent = missing + (missing === 1 ? ' text has' : ' texts have') + ' no ' +
+                    this.getLanguageName(locale) + ' translation and ' + (missing === 1 ? 'is' : 'are') +
+                    ' shown in ' + this.getLanguageName(config.defaultLocale) + '.';
+                warning.classList.toggle('hidden', missing === 0);
+            }
+            
+            document.querySelectorAll('[data-missing-count]').forEach(badge => {
+                const code = badge.getAttribute('data-missing-count');
+                const count = code === config.defaultLocale ? 0 : (code === locale ? missing : this.countMissingTranslations(code));
+                badge.textContent = count;
+                badge.classList.toggle('hidden', count === 0);
+            });
+        },
+        
+        /**
+         * Apply an edit in the translation editor
+         */
+        handleTranslationInput: function(event) {
+            const input = event.target;
+            if (!this.translations || !input.getAttribute) return;
+            
+            const config = this.translations.config;
+            const locale = this.translationLocale;
+            const path = input.getAttribute('data-translation-path');
+            const setting = input.getAttribute('data-translation-setting');
+            
+            if (path) {
+                const keys = path.split('.');
+                const last = keys.pop();
+                
+                if (!config.bundles[locale] || typeof config.bundles[locale] !== 'object' || Array.isArray(config.bundles[locale])) {
+                    config.bundles[locale] = {};
+                }
+                
+                // Empty maps come back from the server as lists
+                let target = config.bundles[locale];
+                keys.forEach(key => {
+                    if (!target[key] || typeof target[key] !== 'object' || Array.isArray(target[key])) {
+                        target[key] = {};
+                    }
+                    target = target[key];
+                });
+                
+                // An empty field means "not translated"
+                target[last] = input.value.trim() === '' ? '' : input.value;
+                this.updateTranslationStatus();
+            } else if (setting === 'direction') {
+                if (!config.bundles[locale] || typeof config.bundles[locale] !== 'object' || Array.isArray(config.bundles[locale])) {
+                    config.bundles[locale] = {};
+                }
+                config.bundles[locale].direction = input.value;
+            } else if (setting === 'fallbacks') {
+                const fallbacks = input.value.split(/[\s,]+/)
+                    .map(code => this.normalizeLocale(code))
+                    .filter(code => code && code !== locale);
+                
+                if (fallbacks.length > 0 || this.translations.original.fallbacks[locale]) {
+                    config.fallbacks[locale] = fallbacks;
+                } else {
+                    delete config.fallbacks[locale];
+                }
+                this.updateTranslationStatus();
+            } else if (setting === 'defaultLocale' && event.type === 'change') {
+                config.defaultLocale = input.value;
+                this.renderTranslations();
+            } else {
+                return;
+            }
+            
+            this.updateTranslationsState();
+        },
+        
+        /**
+         * Show another language in the translation editor
+         */
+        selectTranslationLocale: function(locale) {
+            this.translationLocale = locale;
+            this.renderTranslations();
+        },
+        
+        /**
+         * Offer another language
+         */
+        addTranslationLocale: function(value) {
+            const locale = this.normalizeLocale(value === 'other' ? prompt('Language code (e.g. "de", "pt-br", "ar"):') : value);
+            
+            if (!locale) {
+                if (value === 'other') {
+                    alert('Invalid language code');
+                }
+                this.renderTranslations();
+                return;
+            }
+            
+            if (this.translations.config.locales.indexOf(locale) === -1) {
+                this.translations.config.locales.push(locale);
+            }
+            
+            this.selectTranslationLocale(locale);
+            this.updateTranslationsState();
+        },
+        
+        /**
+         * Stop offering a language (its translations are kept)
+         */
+        removeTranslationLocale: function(locale) {
+            const config = this.translations.config;
+            if (locale === config.defaultLocale || !confirm('Stop offering ' + this.getLanguageName(locale) + '? Its translations are kept.')) {
+                return;
+            }
+            
+            config.locales = config.locales.filter(code => code !== locale);
+            this.selectTranslationLocale(config.locales.find(code => code !== config.defaultLocale) || config.defaultLocale);
+            this.updateTranslationsState();
+        },
+        
+        /**
+         * Enable saving while there are unsaved translation changes
+         */
+        updateTranslationsState: function() {
+            const dirty = !!this.translations && Object.keys(this.diffConfig(this.translations.original, this.translations.config)).length > 0;
+            document.getElementById('translations-save').disabled = !dirty;
+            this.setTranslationsStatus(dirty ? 'Unsaved changes' : '');
+        },
+        
+        /**
+         * Show a status message next to the translations save button
+         */
+        setTranslationsStatus: function(message, isError = false) {
+            const status = document.getElementById('translations-status');
+            status.textContent = message;
+            status.className = 'text-sm ' + (isError ? 'text-red-600' : 'text-gray-500');
+        },
+        
+        /**
+         * Save the changed translation settings and texts
+         */
+        saveTranslations: async function() {
+            if (!this.translations) return;
+            
+            const changes = this.diffConfig(this.translations.original, this.translations.config);
+            if (Object.keys(changes).length === 0) return;
+            
+            const reason = this.askChangeReason();
+            if (reason === null) return;
+            
+            const saveBtn = document.getElementById('translations-save');
+            saveBtn.disabled = true;
+            this.setTranslationsStatus('Saving...');
+            
+            try {
+                const response = await this.request(this.apiBase + '/save-config.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ siteId: this.siteId, partial: true, reason: reason, translations: changes })
+                });
+                const data = await response.json();
+                
+                if (!response.ok || !data.success) {
+                    throw new Error(data.message || 'Failed to save translations');
+                }
+                
+                // Built-in translations depend on the offered languages, so reload
+                await this.loadTranslations();
+                this.setTranslationsStatus('Saved');
+            } catch (error) {
+                console.error('Failed to save translations:', error);
+                saveBtn.disabled = false;
+                this.setTranslationsStatus('Save failed: ' + error.message, true);
+            }
+        },
+        
+        /**
+         * Get a language's display name from the built-in list or the browser
+         */
+        getLanguageName: function(locale) {
+            const languages = (this.translations && this.translations.data.languages) || {};
+            if (languages[locale]) {
+                return languages[locale];
+            }
+            
+            try {
+                return new Intl.DisplayNames(['en'], { type: 'language' }).of(locale) || locale;
+            } catch (error) {
+                return locale;
+            }
+        },
+        
+        /**
+         * Normalize a language code ("pt_BR" becomes "pt-br"), null if it is not one
+         */
+        normalizeLocale: function(locale) {
+            const normalized = String(locale || '').trim().replace(/_/g, '-').toLowerCase();
+            return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(normalized) ? normalized : null;
+        },
+        
+        /**
+         * Load the admin users and roles
+         */
+        loadUsers: async function() {
+            try {
+                const response = await this.request(this.apiBase + '/users.php');
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.message || 'Failed to load users');
+                }
+                
+                this.renderUsers(data);
+            } catch (error) {
+                console.error('Failed to load users:', error);
+                this.setUsersStatus(error.message, true);
+            }
+        },
+        
+        /**
+         * Render the user table and the role choices of the add form
+         */
+        renderUsers: function(data) {
+            this.roles = data.roles || {};
+            
+            const roleOptions = (selected) => Object.entries(this.roles).map(([id, role]) => `
+                <option value="${this.escapeHtml(id).replace(/"/g, '&quot;')}"${id === selected ? ' selected' : ''}>${this.escapeHtml(role.name || id)}</option>
+            `).join('');
+            
+            document.getElementById('user-add-role').innerHTML = roleOptions('viewer');
+            
+            const tbody = document.querySelector('#users-table tbody');
+            tbody.innerHTML = (data.users || []).map(user => {
+                const id = this.escapeHtml(user.id).replace(/"/g, '&quot;');
+                return `
+                    <tr>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            ${this.escapeHtml(user.username)}${this.user && user.id === this.user.id ? ' <span class="text-xs text-gray-500">(you)</span>' : ''}
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            <select data-user-role="${id}" class="border border-gray-300 rounded-md text-sm px-2 py-1">${roleOptions(user.role)}</select>
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            ${user.created ? this.formatDate(user.created) : '-'}
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            ${user.lastLogin ? this.formatDate(user.lastLogin) : 'Never'}
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm">
+                            <button data-user-password="${id}" class="text-indigo-600 hover:text-indigo-800">Reset Password</button>
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        },
+        
+        /**
+         * Send a user change and show the updated list
+         */
+        updateUsers: async function(payload, message) {
+            try {
+                const response = await this.request(this.apiBase + '/users.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(payload)
+                });
+                const data = await response.json();
+                
+                if (!response.ok || !data.success) {
+                    throw new Error(data.message || 'Failed to update users');
+                }
+                
+                this.renderUsers(data);
+                this.setUsersStatus(message);
+                return true;
+            } catch (error) {
+                console.error('Failed to update users:', error);
+                this.setUsersStatus(error.message, true);
+                return false;
+            }
+        },
+        
+        /**
+         * Add a user from the add form
+         */
+        createUser: async function() {
+            const username = document.getElementById('user-add-username');
+            const password = document.getElementById('user-add-password');
+            
+            const created = await this.updateUsers({
+                action: 'create',
+                username: username.value.trim(),
+                password: password.value,
+                role: document.getElementById('user-add-role').value
+            }, 'User added');
+            
+            if (created) {
+                username.value = '';
+                password.value = '';
+            }
+        },
+        
+        /**
+         * Change a user's role
+         * 
+         * Changing one's own role applies to the open dashboard right away.
+         */
+        setUserRole: async function(id, role) {
+            const updated = await this.updateUsers({ action: 'set_role', id: id, role: role }, 'Role changed');
+            
+            if (!updated) {
+                this.loadUsers();
+            } else if (this.user && id === this.user.id) {
+                await this.loadSession();
+                if (!this.user) {
+                    this.showLogin();
+                    return;
+                }
+                
+                this.applyPermissions();
+                if (!this.hasPermission('manage_users')) {
+                    document.querySelector('.nav-link[href="#dashboard"]').click();
+                }
+            }
+        },
+        
+        /**
+         * Set a new password for a user
+         */
+        resetUserPassword: function(id) {
+            const password = prompt('New password for ' + id + ' (at least 8 characters):');
+            if (!password) return;
+            
+            this.updateUsers({ action: 'reset_password', id: id, password: password }, 'Password changed');
+        },
+        
+        /**
+         * Show a message next to the user table
+         */
+        setUsersStatus: function(message, isError = false) {
+            const status = document.getElementById('users-status');
+            status.textContent = message;
+            status.className = 'text-sm ' + (isError ? 'text-red-600' : 'text-gray-500');
+        },
+        
+        /**
+         * Ask why the configuration is changed (null if the save is cancelled)
+         */
+        askChangeReason: function() {
+            const reason = prompt('Reason for this change (optional, shown in the History tab):', '');
+            return reason === null ? null : reason.trim();
+        },
+        
+        /**
+         * Load the selected site's configuration versions
+         */
+        loadHistory: async function() {
+            try {
+                const response = await this.request(this.siteUrl('/history.php'));
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.message || 'Failed to load history');
+                }
+                
+                this.history = {
+                    versions: data.versions || [],
+                    consents: data.consents || {}
+                };
+            } catch (error) {
+                console.error('Failed to load history:', error);
+                this.history = null;
+                this.setHistoryStatus(error.message, true);
+                return;
+            }
+            
+            this.renderHistory();
+            
+            if (this.history.versions.length > 0) {
+                this.loadHistoryChanges(this.history.versions[0].id);
+            } else {
+                document.getElementById('history-changes').innerHTML = '';
+            }
+        },
+        
+        /**
+         * Render the version list, newest first
+         */
+        renderHistory: function() {
+            const tbody = document.querySelector('#history-table tbody');
+            const versions = this.history.versions;
+            
+            if (versions.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="7" class="px-6 py-4 text-center text-sm text-gray-500">No changes recorded yet. Versions are recorded from the next save on.</td></tr>';
+                return;
+            }
+            
+            tbody.innerHTML = versions.map((version, index) => {
+                const id = this.escapeHtml(version.id).replace(/"/g, '&quot;');
+                const action = index === 0
+                    ? '<span class="text-green-700 font-medium">Current</span>'
+                    : `<button data-history-rollback="${id}" class="text-indigo-600 hover:text-indigo-800">Roll Back</button>`;
+                
+                return `
+                    <tr data-history-row="${id}">
+                        <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">#${version.number}</td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            ${this.formatDate(version.timestamp)}<br>
+                            <span class="text-xs">${version.author ? this.escapeHtml(version.author.username) : 'System'}</span>
+                        </td>
+                        <td class="px-6 py-4 text-sm text-gray-700">
+                            ${this.escapeHtml(this.getHistoryActionLabel(version))}
+                            ${version.reason ? '<br><span class="text-xs text-gray-500">' + this.escapeHtml(version.reason) + '</span>' : ''}
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${version.changes}</td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            ${this.escapeHtml(version.policyVersion)}${version.widgetHash ? '<br><span class="text-xs">' + this.escapeHtml(version.widgetHash) + '</span>' : ''}
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${this.history.consents[version.id] || 0}</td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm space-x-3">
+                            <button data-history-view="${id}" class="text-indigo-600 hover:text-indigo-800">Changes</button>
+                            ${action}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        },
+        
+        /**
+         * Describe what created a version
+         */
+        getHistoryActionLabel: function(version) {
+            if (version.action === 'rollback') {
+                const target = this.history.versions.find(v => v.id === version.rollbackOf);
+                return 'Rolled back to ' + (target ? '#' + target.number : 'an earlier version');
+            }
+            
+            return {
+                baseline: 'Configuration before history',
+                external: 'Changed outside the dashboard'
+            }[version.action] || 'Saved';
+        },
+        
+        /**
+         * Load and show the changes of a version
+         * 
+         * Without compareId the changes against the previous version are shown.
+         */
+        loadHistoryChanges: async function(id, compareId) {
+            const container = document.getElementById('history-changes');
+            
+            try {
+                let url = this.siteUrl('/history.php') + '&id=' + encodeURIComponent(id);
+                if (compareId) {
+                    url += '&compare=' + encodeURIComponent(compareId);
+                }
+                
+                const response = await this.request(url);
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.message || 'Failed to load changes');
+                }
+                
+                this.renderHistoryChanges(data);
+            } catch (error) {
+                console.error('Failed to load changes:', error);
+                container.innerHTML = `<div class="bg-white shadow rounded-lg p-6 text-sm text-red-600">${this.escapeHtml(error.message)}</div>`;
+            }
+        },
+        
+        /**
+         * Render the changes between two versions
+         */
+        renderHistoryChanges: function(data) {
+            const version = data.version;
+            const options = this.history.versions
+                .filter(v => v.id !== version.id)
+                .map(v => `<option value="${this.escapeHtml(v.id).replace(/"/g, '&quot;')}"${data.compare && data.compare.id === v.id ? ' selected' : ''}>#${v.number} (${this.escapeHtml(this.formatDate(v.timestamp))})</option>`)
+                .join('');
+            
+            const rows = (data.changes || []).map(change => `
+                <tr>
+                    <td class="px-6 py-3 text-sm text-gray-500">${this.escapeHtml(change.file)}</td>
+                    <td class="px-6 py-3 text-sm font-mono text-gray-900">${this.escapeHtml(change.path)}</td>
+                    <td class="px-6 py-3 text-sm font-mono text-red-700 bg-red-50 break-all">${this.formatHistoryValue(change.before)}</td>
+                    <td class="px-6 py-3 text-sm font-mono text-green-700 bg-green-50 break-all">${this.formatHistoryValue(change.after)}</td>
+                </tr>
+            `).join('');
+            
+            document.getElementById('history-changes').innerHTML = `
+                <div class="bg-white shadow rounded-lg p-6">
+                    <div class="flex justify-between items-center mb-4">
+                        <h3 class="text-lg font-medium text-gray-900">Changes in #${version.number}</h3>
+                        <div class="flex items-center space-x-2">
+                            <label for="history-compare" class="text-sm text-gray-500">Compared with</label>
+                            <select id="history-compare" data-history-version="${this.escapeHtml(version.id).replace(/"/g, '&quot;')}" class="border border-gray-300 rounded-md text-sm px-2 py-1">
+                                <option value="">Previous version</option>
+                                ${options}
+                            </select>
+                        </div>
+                    </div>
+                    ${rows ? `
+                        <div class="overflow-x-auto">
+                            <table class="min-w-full divide-y divide-gray-200">
+                                <thead class="bg-gray-50">
+                                    <tr>
+                                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">File</th>
+                                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Setting</th>
+                                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Before</th>
+                                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">After</th>
+                                    </tr>
+                                </thead>
+                                <tbody class="divide-y divide-gray-200">${rows}</tbody>
+                            </table>
+                        </div>
+                    ` : '<p class="text-sm text-gray-500">No differences.</p>'}
+                </div>
+            `;
+            
+            document.querySelectorAll('[data-history-row]').forEach(row => {
+                row.classList.toggle('bg-indigo-50', row.getAttribute('data-history-row') === version.id);
+            });
+        },
+        
+        /**
+         * Format a setting value for the change table
+         */
+        formatHistoryValue: function(value) {
+            if (value === null || value === undefined) {
+                return '<span class="italic text-gray-400">not set</span>';
+            }
+            
+            return this.escapeHtml(typeof value === 'string' ? value : JSON.stringify(value));
+        },
+        
+        /**
+         * Restore a version after asking for the reason
+         */
+        rollbackHistory: async function(id) {
+            const version = this.history.versions.find(v => v.id === id);
+            const reason = prompt('Roll back to version #' + (version ? version.number : id) + '? The current configuration stays in the history.\n\nReason:', '');
+            if (reason === null) return;
+            
+            try {
+                const response = await this.request(this.apiBase + '/history.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ siteId: this.siteId, action: 'rollback', id: id, reason: reason.trim() })
+                });
+                const data = await response.json();
+                
+                if (!response.ok || !data.success) {
+                    throw new Error(data.message || 'Failed to roll back');
+                }
+                
+                await this.loadHistory();
+                this.setHistoryStatus('Rolled back to #' + (version ? version.number : id));
+            } catch (error) {
+                console.error('Failed to roll back:', error);
+                this.setHistoryStatus(error.message, true);
+            }
+        },
+        
+        /**
+         * Show a message next to the version list
+         */
+        setHistoryStatus: function(message, isError = false) {
+            const status = document.getElementById('history-status');
+            status.textContent = message;
+            status.className = 'text-sm ' + (isError ? 'text-red-600' : 'text-gray-500');
+        },
+        
+        /**
+         * Turn a config key into a label ("acceptAll" becomes "Accept all")
+         */
+        formatLabel: function(key) {
+            const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+            return words.charAt(0).toUpperCase() + words.slice(1);
+        },
+        
+        /**
+         * Escape HTML to prevent XSS
+         */
+        escapeHtml: function(text) {
+            const div = document.createElement('div');
+            div.textContent = text == null ? '' : String(text);
+            return div.innerHTML;
+        },
+        
+        /**
+         * Format boolean as badge
+         */
+        formatBool: function(value) {
+            if (value) {
+                return '<span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">✓</span>';
+            } else {
+                return '<span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">✗</span>';
+            }
+        },
+        
+        /**
+         * Format date
+         */
+        formatDate: function(dateString) {
+            const date = new Date(dateString);
+            return date.toLocaleString();
+        },
+        
+        /**
+         * Get time ago string
+         */
+        getTimeAgo: function(date) {
+            const seconds = Math.floor((new Date() - date) / 1000);
+            
+            if (seconds < 60) return seconds + ' seconds ago';
+            const minutes = Math.floor(seconds / 60);
+            if (minutes < 60) return minutes + ' minute' + (minutes > 1 ? 's' : '') + ' ago';
+            const hours = Math.floor(minutes / 60);
+            if (hours < 24) return hours + ' hour' + (hours > 1 ? 's' : '') + ' ago';
+            const days = Math.floor(hours / 24);
+            return days + ' day' + (days > 1 ? 's' : '') + ' ago';
+        },
+        
+        /**
+         * Setup event listeners
+         */
+        setupEventListeners: function() {
+            // Refresh button if present
+            const refreshBtn = document.querySelector('[onclick="refreshLogs()"]');
+            if (refreshBtn) {
+                refreshBtn.onclick = () => this.loadConsentLogs();
+            }
+            
+            // Site switcher
+            const siteSwitcher = document.getElementById('site-switcher');
+            if (siteSwitcher) {
+                siteSwitcher.addEventListener('change', (e) => this.switchSite(e.target.value));
+            }
+            
+            // Widget editor
+            const editorForm = document.getElementById('widget-editor-form');
+            if (editorForm) {
+                editorForm.addEventListener('input', (e) => this.handleEditorInput(e));
+                editorForm.addEventListener('change', (e) => this.handleEditorInput(e));
+            }
+            
+            document.querySelectorAll('.preview-view-btn').forEach(button => {
+                button.addEventListener('click', () => this.setPreviewView(button.getAttribute('data-preview-view')));
+            });
+            
+            // Translation editor
+            const translationsSection = document.getElementById('translations-section');
+            if (translationsSection) {
+                translationsSection.addEventListener('input', (e) => this.handleTranslationInput(e));
+                translationsSection.addEventListener('change', (e) => {
+                    if (e.target.id === 'translations-add') {
+                        this.addTranslationLocale(e.target.value);
+                    } else {
+                        this.handleTranslationInput(e);
+                    }
+                });
+                translationsSection.addEventListener('click', (e) => {
+                    const tab = e.target.closest('[data-translation-locale]');
+                    const remove = e.target.closest('[data-translation-remove]');
+                    const sectionLink = e.target.closest('[data-section-link]');
+                    
+                    if (tab) {
+                        this.selectTranslationLocale(tab.getAttribute('data-translation-locale'));
+                    } else if (remove) {
+                        this.removeTranslationLocale(remove.getAttribute('data-translation-remove'));
+                    } else if (sectionLink) {
+                        e.preventDefault();
+                        const navLink = document.querySelector('.nav-link[href="#' + sectionLink.getAttribute('data-section-link') + '"]');
+                        if (navLink) {
+                            navLink.click();
+                        }
+                    }
+                });
+            }
+            
+            // User management
+            const usersSection = document.getElementById('users-section');
+            if (usersSection) {
+                document.getElementById('user-add-form').addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.createUser();
+                });
+                usersSection.addEventListener('change', (e) => {
+                    if (e.target.hasAttribute('data-user-role')) {
+                        this.setUserRole(e.target.getAttribute('data-user-role'), e.target.value);
+                    }
+                });
+                usersSection.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-user-password]');
+                    if (button) {
+                        this.resetUserPassword(button.getAttribute('data-user-password'));
+                    }
+                });
+            }
+            
+            // Configuration history
+            const historySection = document.getElementById('history-section');
+            if (historySection) {
+                historySection.addEventListener('click', (e) => {
+                    const view = e.target.closest('[data-history-view]');
+                    const rollback = e.target.closest('[data-history-rollback]');
+                    
+                    if (view) {
+                        this.loadHistoryChanges(view.getAttribute('data-history-view'));
+                    } else if (rollback) {
+                        this.rollbackHistory(rollback.getAttribute('data-history-rollback'));
+                    }
+                });
+                historySection.addEventListener('change', (e) => {
+                    if (e.target.id === 'history-compare') {
+                        this.loadHistoryChanges(e.target.getAttribute('data-history-version'), e.target.value);
+                    }
+                });
+            }
+            
+            // Send the config once the preview frame has loaded
+            window.addEventListener('message', (e) => {
+                if (e.origin === window.location.origin && e.data && e.data.__cmpPreviewReady) {
+                    this.updatePreview();
+                }
+            });
+        }
+    };
+    
+    // Global functions for onclick handlers
+    window.addSite = function() {
+        Admin.addSite();
+    };
+    
+    window.logout = function() {
+        Admin.logout();
+    };
+    
+    window.refreshLogs = function() {
+        Admin.loadConsentLogs();
+    };
+    
+    window.refreshDetectedCookies = function() {
+        Admin.loadDetectedCookies();
+    };
+    
+    window.updateCookieDatabase = async function() {
+        if (confirm('Update the cookie database from Open Cookie Database? This may take a moment.')) {
+            try {
+                const response = await Admin.request(Admin.apiBase + '/update-database.php', {
+                    method: 'POST'
+                });
+                if (response.ok) {
+                    alert('Cookie database updated successfully!');
+                } else {
+                    alert('Failed to update database. Please try again.');
+                }
+            } catch (error) {
+                console.error('Failed to update database:', error);
+                alert('Failed to update database. Please try again.');
+            }
+        }
     };
     
     window.exportConsentLogs = async function() {
         try {
-            const response = await fetch(Admin.apiBase + '/export.php');
+            const response = await Admin.request(Admin.siteUrl('/export.php'));
             if (response.ok) {
                 const blob = await response.blob();
                 const url = window.URL.createObjectURL(blob);
                 const a = document.createElement('a');
                 a.href = url;
-                a.download = 'consent-logs-' + new Date().toISOString().split('T')[0] + '.csv';
+                a.download = 'consent-logs-' + Admin.siteId + '-' + new Date().toISOString().split('T')[0] + '.csv';
                 document.body.appendChild(a);
                 a.click();
                 window.URL.revokeObjectURL(url);
@@ -356,29 +2266,16 @@
         window.open('/', '_blank');
     };
     
+    window.saveWidgetConfig = function() {
+        Admin.saveWidgetConfig();
+    };
+    
+    window.saveTranslations = function() {
+        Admin.saveTranslations();
+    };
+    
     window.scanCookies = function() {
-        const resultsDiv = document.getElementById('scan-results');
-        const contentDiv = document.getElementById('scan-results-content');
-        
-        resultsDiv.classList.remove('hidden');
-        contentDiv.innerHTML = '<p class="text-sm text-gray-500">Scanning cookies...</p>';
-        
-        // Simulate scan
-        setTimeout(() => {
-            contentDiv.innerHTML = `
-                <div class="space-y-2">
-                    <div class="p-3 bg-gray-50 rounded">
-                        <strong>_ga</strong> - Analytics (Google Analytics)
-                    </div>
-                    <div class="p-3 bg-gray-50 rounded">
-                        <strong>_gid</strong> - Analytics (Google Analytics)
-                    </div>
-                    <div class="p-3 bg-gray-50 rounded">
-                        <strong>_fbp</strong> - Marketing (Facebook Pixel)
-                    </div>
-                </div>
-            `;
-        }, 1000);
+        Admin.runScan();
     };
     
     // Initialize on DOM ready
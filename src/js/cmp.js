@@ -24,6 +24,14 @@
     const scriptTag = document.currentScript || document.querySelector('script[data-site-id]');
     const siteId = scriptTag ? scriptTag.getAttribute('data-site-id') : 'default';
     const apiBase = scriptTag ? (scriptTag.getAttribute('data-api-base') || '/api') : '/api';
+    const scriptLocale = scriptTag ? scriptTag.getAttribute('data-lang') : null;
+    const scriptSrc = scriptTag ? scriptTag.src : '';
+    
+    // Elements whose content is blocked like scripts
+    const EMBED_SELECTOR = 'iframe, embed, img, video';
+    
+    // Languages written right to left
+    const RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
     
     // CMP Core Object
     const CMP = {
@@ -32,8 +40,27 @@
         apiBase: apiBase,
         config: null,
         consent: null,
+        jurisdiction: 'gdpr',
+        locale: null,
+        direction: 'ltr',
+        sourceTexts: null,
         cookies: [],
+        pendingCategorization: [],
         blockedScripts: [],
+        releasedScripts: new WeakSet(),
+        blockedElements: [],
+        scriptQueue: Promise.resolve(),
+        scriptGuardActive: false,
+        scriptObserver: null,
+        blockedCookies: [],
+        cookieGuardActive: false,
+        nativeCookie: null,
+        cookieDomain: null,
+        hubFrame: null,
+        hubOrigin: null,
+        hubReady: null,
+        hubCallbacks: {},
+        previewMode: false,
         initialized: false,
         
         /**
@@ -47,15 +74,53 @@
             // Load configuration
             await this.loadConfig();
             
+            // Re-emit consent mode defaults if the configuration changed
+            this.refreshConsentMode();
+            
+            // Show the texts in the visitor's language
+            this.applyLocale(this.resolveLocale());
+            
+            this.jurisdiction = this.config.jurisdiction || 'gdpr';
+            
             // Load existing consent
             this.loadConsent();
             
+            // Pick up consent given on the other domains of the consent hub
+            if (this.getHubConfig().enabled) {
+                await this.syncHubConsent();
+            }
+            
+            // Ask again when consent is too old or was given for another policy
+            const expiredReason = this.consent ? this.getConsentExpiryReason(this.consent) : null;
+            const expired = !!expiredReason;
+            if (expired) {
+                console.log('CMP: Consent expired (' + expiredReason + ')');
+                const previous = this.consent;
+                this.consent = null;
+                this.dispatchEvent('cmp:consent-expired', {
+                    reason: expiredReason,
+                    consent: previous.state,
+                    timestamp: previous.timestamp
+                });
+            }
+            
+            // Honor Global Privacy Control before anything is released
+            this.applyGlobalPrivacyControl();
+            
+            // Without consent Google tags follow the jurisdiction's defaults
+            if (!this.consent && (expired || this.isOptOutModel())) {
+                this.updateConsentMode(this.getDefaultConsentState());
+            }
+            
             // Scan cookies
             this.scanCookies();
             
             // Apply blocking
             if (this.config.blocking && this.config.blocking.enabled) {
                 this.applyBlocking();
+            } else {
+                this.disableScriptGuard();
+                this.cookieGuardActive = false;
             }
             
             // Show banner if needed
@@ -118,242 +183,2605 @@
                     analytics: { enabled: false },
                     marketing: { enabled: false }
                 }
-            };
+            };
+        },
+        
+        /**
+         * Get the translation settings (config.i18n)
+         */
+        getI18nConfig: function() {
+            const i18n = (this.config && this.config.i18n) || {};
+            
+            return {
+                defaultLocale: this.normalizeLocale(i18n.defaultLocale) || 'en',
+                locales: (i18n.locales || []).map(locale => this.normalizeLocale(locale)).filter(Boolean),
+                fallbacks: i18n.fallbacks || {},
+                bundles: i18n.bundles || {}
+            };
+        },
+        
+        /**
+         * Normalize a language tag ("pt_BR" becomes "pt-br"), null if it is not one
+         */
+        normalizeLocale: function(locale) {
+            const normalized = String(locale || '').trim().replace(/_/g, '-').toLowerCase();
+            return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(normalized) ? normalized : null;
+        },
+        
+        /**
+         * Get the languages asked for, most preferred first
+         * 
+         * data-lang on the script tag comes before the page's <html lang>,
+         * which comes before the browser's languages.
+         */
+        getRequestedLocales: function() {
+            const browser = navigator.languages && navigator.languages.length ? Array.from(navigator.languages) : [navigator.language];
+            
+            return [scriptLocale, document.documentElement.getAttribute('lang')].concat(browser)
+                .map(locale => this.normalizeLocale(locale))
+                .filter(Boolean);
+        },
+        
+        /**
+         * Get the fallback chain of a locale
+         * 
+         * A locale is followed by its configured fallbacks and then by its
+         * parent ("de-at" by "de"). The default locale, whose texts are the
+         * configured ones, is the final fallback of every chain.
+         */
+        getFallbackChain: function(locale) {
+            const fallbacks = this.getI18nConfig().fallbacks;
+            const chain = [];
+            
+            const add = (tag) => {
+                if (!tag || chain.indexOf(tag) !== -1) return;
+                
+                chain.push(tag);
+                (fallbacks[tag] || []).forEach(fallback => add(this.normalizeLocale(fallback)));
+                
+                if (tag.indexOf('-') !== -1) {
+                    add(tag.slice(0, tag.lastIndexOf('-')));
+                }
+            };
+            
+            add(this.normalizeLocale(locale));
+            return chain;
+        },
+        
+        /**
+         * Pick the offered locale that best matches the requested languages
+         */
+        resolveLocale: function(requested = this.getRequestedLocales()) {
+            const i18n = this.getI18nConfig();
+            const offered = [i18n.defaultLocale].concat(i18n.locales);
+            
+            for (const locale of requested) {
+                const match = this.getFallbackChain(locale).find(tag => offered.indexOf(tag) !== -1);
+                if (match) {
+                    return match;
+                }
+            }
+            
+            return i18n.defaultLocale;
+        },
+        
+        /**
+         * Translate the banner, preference center and category texts
+         * 
+         * Texts start out as configured (default locale); the bundles along
+         * the locale's fallback chain override them, the locale's own last.
+         */
+        applyLocale: function(locale) {
+            const i18n = this.getI18nConfig();
+            const widget = this.config.widget || (this.config.widget = this.getDefaultConfig().widget);
+            const preferenceCenter = this.config.preferenceCenter;
+            
+            // Keep the configured texts so the locale can be changed again
+            if (!this.sourceTexts) {
+                this.sourceTexts = {
+                    widget: Object.assign({}, widget.texts),
+                    preferenceCenter: Object.assign({}, preferenceCenter && preferenceCenter.texts),
+                    categories: {}
+                };
+                
+                Object.entries((preferenceCenter && preferenceCenter.categories) || {}).forEach(([id, category]) => {
+                    this.sourceTexts.categories[id] = { name: category.name, description: category.description };
+                });
+            }
+            
+            const chain = this.getFallbackChain(locale);
+            const bundles = chain.slice().reverse().map(tag => i18n.bundles[tag]).filter(Boolean);
+            const translate = (source, pick) => bundles.reduce((texts, bundle) => Object.assign(texts, pick(bundle)), Object.assign({}, source));
+            
+            widget.texts = translate(this.sourceTexts.widget, bundle => bundle.widget);
+            
+            if (preferenceCenter) {
+                preferenceCenter.texts = translate(this.sourceTexts.preferenceCenter, bundle => bundle.preferenceCenter);
+                
+                Object.keys(preferenceCenter.categories || {}).forEach(id => {
+                    Object.assign(preferenceCenter.categories[id], translate(this.sourceTexts.categories[id], bundle => bundle.categories && bundle.categories[id]));
+                });
+            }
+            
+            // The most specific bundle that sets a direction wins
+            const directed = chain.map(tag => i18n.bundles[tag]).find(bundle => bundle && bundle.direction);
+            
+            this.locale = chain[0] || i18n.defaultLocale;
+            this.direction = directed ? directed.direction : (RTL_LANGUAGES.indexOf(this.locale.split('-')[0]) !== -1 ? 'rtl' : 'ltr');
+        },
+        
+        /**
+         * Set the language and direction attributes of a widget element
+         */
+        applyLocaleAttributes: function(element) {
+            if (this.locale) {
+                element.setAttribute('lang', this.locale);
+            }
+            element.setAttribute('dir', this.direction);
+        },
+        
+        /**
+         * Load consent from the configured storage
+         */
+        loadConsent: function() {
+            try {
+                const stored = this.readStoredConsent();
+                if (stored) {
+                    this.consent = stored;
+                    console.log('CMP: Loaded existing consent', this.consent);
+                }
+            } catch (error) {
+                console.error('CMP: Failed to load consent', error);
+            }
+        },
+        
+        /**
+         * Save consent to the configured storage
+         */
+        saveConsent: function(consentState, source = 'user', vendorChoices = null) {
+            // The admin preview shows a choice without storing or logging it
+            if (this.previewMode) {
+                this.consent = {
+                    state: consentState,
+                    vendors: this.resolveVendorState(consentState, vendorChoices),
+                    timestamp: new Date().toISOString(),
+                    source: source
+                };
+                return;
+            }
+            
+            const consentId = this.getConsentId() || this.generateId();
+            const consentToken = this.getConsentToken(consentId);
+            this.storeConsentId(consentId, consentToken);
+            
+            this.consent = {
+                consentId: consentId,
+                consentToken: consentToken,
+                state: consentState,
+                vendors: this.resolveVendorState(consentState, vendorChoices),
+                legalBasis: this.getLegalBasisState(consentState),
+                timestamp: new Date().toISOString(),
+                version: this.version,
+                policyVersion: this.getPolicyVersion(),
+                source: source,
+                gpc: this.hasGlobalPrivacyControl()
+            };
+            
+            try {
+                this.writeStoredConsent(this.consent);
+                console.log('CMP: Consent saved', this.consent);
+            } catch (error) {
+                console.error('CMP: Failed to save consent', error);
+            }
+            
+            if (this.getHubConfig().enabled) {
+                this.hubRequest('set', this.encodeConsentCookie(this.consent));
+            }
+            
+            // Log consent to backend
+            this.logConsent(consentState, source);
+            
+            // Tell Google tags
+            this.updateConsentMode(consentState);
+            
+            // Apply consent
+            this.applyConsent();
+            
+            // Dispatch event
+            this.dispatchEvent('cmp:consent-changed', { consent: consentState });
+        },
+        
+        /**
+         * Get the consent storage settings (widget.storage)
+         * 
+         * The 'cookie' backend shares consent with every subdomain of
+         * cookieDomain ('auto' picks the broadest domain the browser accepts);
+         * the default 'localStorage' backend keeps it per origin.
+         */
+        getStorageConfig: function() {
+            const storage = (this.config && this.config.widget && this.config.widget.storage) || {};
+            
+            return {
+                type: storage.type === 'cookie' ? 'cookie' : 'localStorage',
+                cookieDomain: storage.cookieDomain || '',
+                sameSite: ['Strict', 'Lax', 'None'].includes(storage.sameSite) ? storage.sameSite : 'Lax',
+                maxAgeDays: storage.maxAgeDays || 395
+            };
+        },
+        
+        /**
+         * Read stored consent
+         * 
+         * The cookie backend falls back to localStorage, which also holds
+         * consent saved before the backend was switched; such entries are
+         * moved into the cookie.
+         */
+        readStoredConsent: function() {
+            const useCookie = this.getStorageConfig().type === 'cookie';
+            
+            if (useCookie) {
+                const consent = this.decodeConsentCookie(this.readCookie('cmp_consent'));
+                if (consent) {
+                    localStorage.removeItem('cmp_consent');
+                    return consent;
+                }
+            }
+            
+            const stored = localStorage.getItem('cmp_consent');
+            if (!stored) {
+                return null;
+            }
+            
+            const consent = JSON.parse(stored);
+            if (useCookie) {
+                try {
+                    this.writeStoredConsent(consent);
+                    console.log('CMP: Migrated consent to cookie storage');
+                } catch (error) {
+                    console.error('CMP: Failed to migrate consent', error);
+                }
+            }
+            
+            return consent;
+        },
+        
+        /**
+         * Write consent to the configured backend
+         * 
+         * If the cookie is too large or the browser refuses it, consent goes
+         * to localStorage and any older cookie is removed so it cannot win
+         * on the next load.
+         */
+        writeStoredConsent: function(consent) {
+            if (this.getStorageConfig().type === 'cookie') {
+                const value = this.encodeConsentCookie(consent);
+                
+                // Browsers drop cookies whose name and value exceed 4096 bytes
+                if (('cmp_consent=' + value).length <= 4000) {
+                    this.setCmpCookie('cmp_consent', value);
+                    
+                    if (this.readCookie('cmp_consent') === value) {
+                        localStorage.removeItem('cmp_consent');
+                        return;
+                    }
+                }
+                
+                console.warn('CMP: Consent cookie could not be written, using localStorage');
+                this.setCmpCookie('cmp_consent', '', 0);
+            }
+            
+            localStorage.setItem('cmp_consent', JSON.stringify(consent));
+        },
+        
+        /**
+         * Remove stored consent from every backend
+         */
+        clearStoredConsent: function() {
+            localStorage.removeItem('cmp_consent');
+            
+            if (this.readCookie('cmp_consent') !== null) {
+                this.setCmpCookie('cmp_consent', '', 0);
+            }
+        },
+        
+        /**
+         * Encode consent for the cookie backend
+         * 
+         * Short keys, 0/1 category states and a Unix timestamp keep the value
+         * small; the base64url payload is prefixed with a format version.
+         */
+        encodeConsentCookie: function(consent) {
+            const state = {};
+            Object.keys(consent.state || {}).forEach(key => {
+                state[key] = consent.state[key] ? 1 : 0;
+            });
+            
+            const vendors = {};
+            Object.keys(consent.vendors || {}).forEach(id => {
+                vendors[id] = consent.vendors[id] ? 1 : 0;
+            });
+            
+            const legalBasis = consent.legalBasis || {};
+            
+            const json = JSON.stringify({
+                i: consent.consentId,
+                k: consent.consentToken || undefined,
+                s: state,
+                d: vendors,
+                l: Object.keys(legalBasis).filter(key => legalBasis[key] === 'legitimateInterest'),
+                t: Math.floor(new Date(consent.timestamp).getTime() / 1000),
+                v: consent.version,
+                p: consent.policyVersion,
+                o: consent.source,
+                g: consent.gpc ? 1 : 0
+            });
+            
+            let binary = '';
+            new TextEncoder().encode(json).forEach(byte => {
+                binary += String.fromCharCode(byte);
+            });
+            
+            return '1.' + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        },
+        
+        /**
+         * Decode a consent cookie value (null if missing or unreadable)
+         */
+        decodeConsentCookie: function(value) {
+            if (!value || value.indexOf('1.') !== 0) {
+                return null;
+            }
+            
+            try {
+                const binary = atob(value.slice(2).replace(/-/g, '+').replace(/_/g, '/'));
+                const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+                const data = JSON.parse(new TextDecoder().decode(bytes));
+                
+                const state = {};
+                Object.keys(data.s || {}).forEach(key => {
+                    state[key] = data.s[key] === 1;
+                });
+                
+                const vendors = {};
+                Object.keys(data.d || {}).forEach(id => {
+                    vendors[id] = data.d[id] === 1;
+                });
+                
+                const legalBasis = {};
+                Object.keys(state).forEach(key => {
+                    legalBasis[key] = (data.l || []).indexOf(key) !== -1 ? 'legitimateInterest' : 'consent';
+                });
+                
+                return {
+                    consentId: data.i,
+                    consentToken: data.k || null,
+                    state: state,
+                    vendors: vendors,
+                    legalBasis: legalBasis,
+                    timestamp: new Date(data.t * 1000).toISOString(),
+                    version: data.v,
+                    policyVersion: data.p,
+                    source: data.o,
+                    gpc: data.g === 1
+                };
+            } catch (error) {
+                console.error('CMP: Failed to decode consent cookie', error);
+                return null;
+            }
+        },
+        
+        /**
+         * Read one of the CMP's own cookies
+         */
+        readCookie: function(name) {
+            const match = document.cookie.match(new RegExp('(?:^|;\\s*)' + name + '=([^;]*)'));
+            return match ? match[1] : null;
+        },
+        
+        /**
+         * Write one of the CMP's own cookies with the configured domain,
+         * SameSite and Secure attributes (Max-Age 0 deletes it)
+         */
+        setCmpCookie: function(name, value, maxAge) {
+            const storage = this.getStorageConfig();
+            const domain = this.getCookieDomain();
+            
+            if (maxAge === undefined) {
+                maxAge = storage.maxAgeDays * 24 * 60 * 60;
+            }
+            
+            let cookie = name + '=' + value + '; Max-Age=' + maxAge + '; Path=/; SameSite=' + storage.sameSite;
+            if (domain) {
+                cookie += '; Domain=' + domain;
+            }
+            if (location.protocol === 'https:' || storage.sameSite === 'None') {
+                cookie += '; Secure';
+            }
+            this.writeCookie(cookie);
+        },
+        
+        /**
+         * Get the Domain attribute for the CMP's cookies ('' = current host only)
+         * 
+         * With 'auto', the parent domains of the host are tried from the
+         * broadest down; browsers refuse public suffixes such as 'co.uk',
+         * so the first domain a probe cookie sticks to is the site's own.
+         */
+        getCookieDomain: function() {
+            if (this.cookieDomain !== null) {
+                return this.cookieDomain;
+            }
+            
+            const configured = this.getStorageConfig().cookieDomain;
+            this.cookieDomain = configured === 'auto' ? '' : configured.replace(/^\./, '');
+            
+            if (configured === 'auto') {
+                const parts = location.hostname.split('.');
+                
+                for (let i = parts.length - 2; i >= 0; i--) {
+                    const domain = parts.slice(i).join('.');
+                    this.writeCookie('cmp_domain_probe=1; Path=/; Domain=' + domain);
+                    
+                    if (this.readCookie('cmp_domain_probe') === '1') {
+                        this.writeCookie('cmp_domain_probe=; Max-Age=0; Path=/; Domain=' + domain);
+                        this.cookieDomain = domain;
+                        break;
+                    }
+                }
+            }
+            
+            return this.cookieDomain;
+        },
+        
+        /**
+         * Get the consent hub settings (widget.hub)
+         * 
+         * The hub is an iframe on the CMP host that keeps one consent for
+         * sites on unrelated domains; local storage stays the fallback.
+         */
+        getHubConfig: function() {
+            const hub = (this.config && this.config.widget && this.config.widget.hub) || {};
+            
+            return {
+                enabled: hub.enabled === true,
+                url: hub.url || (this.apiBase + '/hub.php?siteId=' + encodeURIComponent(this.siteId)),
+                timeout: hub.timeout || 1500
+            };
+        },
+        
+        /**
+         * Reconcile stored consent with the consent hub
+         * 
+         * The newer consent wins and is copied to the other side. If the hub
+         * does not answer, rejects this origin or only has partitioned
+         * storage, local storage is used on its own.
+         */
+        syncHubConsent: async function() {
+            const response = await this.hubRequest('get');
+            
+            if (!response || !response.success || !response.shared) {
+                console.log('CMP: Consent hub unavailable, using local storage');
+                return;
+            }
+            
+            // Compare in seconds, the precision of the encoded consent
+            const time = consent => Math.floor(new Date(consent.timestamp).getTime() / 1000);
+            const hubConsent = this.decodeConsentCookie(response.value);
+            const local = this.consent;
+            
+            if (hubConsent && (!local || time(hubConsent) > time(local))) {
+                this.consent = hubConsent;
+                this.writeStoredConsent(hubConsent);
+                if (hubConsent.consentId) {
+                    this.storeConsentId(hubConsent.consentId, hubConsent.consentToken);
+                }
+                console.log('CMP: Loaded consent from hub', hubConsent);
+            } else if (local && (!hubConsent || time(local) > time(hubConsent))) {
+                this.hubRequest('set', this.encodeConsentCookie(local));
+            }
+        },
+        
+        /**
+         * Load the hidden hub iframe once (resolves false if it does not load)
+         */
+        connectHub: function() {
+            if (this.hubReady) {
+                return this.hubReady;
+            }
+            
+            const hub = this.getHubConfig();
+            const url = new URL(hub.url, window.location.href);
+            this.hubOrigin = url.origin;
+            
+            window.addEventListener('message', (event) => {
+                const response = event.data && event.data.__cmpHubReturn;
+                if (event.origin !== this.hubOrigin || !response || !this.hubCallbacks[response.callId]) {
+                    return;
+                }
+                
+                this.hubCallbacks[response.callId](response);
+                delete this.hubCallbacks[response.callId];
+            });
+            
+            this.hubReady = new Promise((resolve) => {
+                const frame = document.createElement('iframe');
+                frame.src = url.href;
+                frame.title = 'Consent hub';
+                frame.tabIndex = -1;
+                frame.setAttribute('aria-hidden', 'true');
+                frame.style.display = 'none';
+                
+                const timer = setTimeout(() => resolve(false), hub.timeout);
+                frame.addEventListener('load', () => {
+                    clearTimeout(timer);
+                    this.hubFrame = frame;
+                    resolve(true);
+                });
+                
+                (document.body || document.documentElement).appendChild(frame);
+            });
+            
+            return this.hubReady;
+        },
+        
+        /**
+         * Send a command ('get', 'set' or 'clear') to the consent hub
+         * 
+         * Resolves with the hub's answer ({success, shared, value}) or null
+         * when the hub is unreachable or does not answer in time.
+         */
+        hubRequest: async function(command, value) {
+            if (!(await this.connectHub())) {
+                return null;
+            }
+            
+            return new Promise((resolve) => {
+                const callId = this.generateId();
+                const timer = setTimeout(() => {
+                    delete this.hubCallbacks[callId];
+                    resolve(null);
+                }, this.getHubConfig().timeout);
+                
+                this.hubCallbacks[callId] = (response) => {
+                    clearTimeout(timer);
+                    resolve(response);
+                };
+                
+                this.hubFrame.contentWindow.postMessage({
+                    __cmpHubCall: { callId: callId, command: command, value: value }
+                }, this.hubOrigin);
+            });
+        },
+        
+        /**
+         * Get default Google Consent Mode configuration
+         */
+        getDefaultConsentModeConfig: function() {
+            return {
+                enabled: true,
+                waitForUpdate: 500,
+                adsDataRedaction: true,
+                urlPassthrough: false,
+                mapping: {
+                    ad_storage: 'marketing',
+                    ad_user_data: 'marketing',
+                    ad_personalization: 'marketing',
+                    analytics_storage: 'analytics',
+                    functionality_storage: 'necessary',
+                    personalization_storage: 'preferences',
+                    security_storage: 'necessary'
+                },
+                regionDefaults: []
+            };
+        },
+        
+        /**
+         * Get the Google Consent Mode configuration
+         * 
+         * Before the configuration has loaded, the copy cached on the
+         * previous page load is used.
+         */
+        getConsentModeConfig: function() {
+            let consentMode = this.config && this.config.blocking && this.config.blocking.consentMode;
+            
+            if (!this.config) {
+                try {
+                    consentMode = JSON.parse(localStorage.getItem('cmp_consent_mode') || 'null');
+                } catch (error) {
+                    consentMode = null;
+                }
+            }
+            
+            return Object.assign(this.getDefaultConsentModeConfig(), consentMode || {});
+        },
+        
+        /**
+         * Emit consent mode defaults before any Google tag runs
+         * 
+         * Returning visitors get their stored consent as an update right away.
+         */
+        installConsentMode: function() {
+            const consentMode = this.getConsentModeConfig();
+            if (!consentMode.enabled) return;
+            
+            this.emitConsentModeDefaults(consentMode);
+            
+            this.loadConsent();
+            if (this.consent && this.consent.state) {
+                this.updateConsentMode(this.consent.state);
+            }
+        },
+        
+        /**
+         * Re-emit defaults when the loaded configuration differs from the cached one
+         * 
+         * Tags held by the script guard are only released after this.
+         */
+        refreshConsentMode: function() {
+            const consentMode = this.config.blocking && this.config.blocking.consentMode;
+            if (!consentMode) return;
+            
+            const serialized = JSON.stringify(consentMode);
+            if (serialized === localStorage.getItem('cmp_consent_mode')) return;
+            
+            try {
+                localStorage.setItem('cmp_consent_mode', serialized);
+            } catch (error) {
+                console.error('CMP: Failed to cache consent mode config', error);
+            }
+            
+            const resolved = this.getConsentModeConfig();
+            if (!resolved.enabled) return;
+            
+            this.emitConsentModeDefaults(resolved);
+            if (this.consent && this.consent.state) {
+                this.updateConsentMode(this.consent.state);
+            }
+        },
+        
+        /**
+         * Emit the global and region-specific consent defaults
+         */
+        emitConsentModeDefaults: function(consentMode) {
+            // Google applies the most specific matching region
+            (consentMode.regionDefaults || []).forEach(entry => {
+                this.gtag('consent', 'default', Object.assign(
+                    this.getConsentModeState(Object.assign({ necessary: true }, entry.categories), consentMode.mapping),
+                    { region: entry.region, wait_for_update: consentMode.waitForUpdate }
+                ));
+            });
+            
+            this.gtag('consent', 'default', Object.assign(
+                this.getConsentModeState({ necessary: true }, consentMode.mapping),
+                { wait_for_update: consentMode.waitForUpdate }
+            ));
+            
+            this.gtag('set', 'ads_data_redaction', !!consentMode.adsDataRedaction);
+            this.gtag('set', 'url_passthrough', !!consentMode.urlPassthrough);
+        },
+        
+        /**
+         * Send a consent mode update for a category consent state
+         */
+        updateConsentMode: function(consentState) {
+            const consentMode = this.getConsentModeConfig();
+            if (!consentMode.enabled) return;
+            
+            this.gtag('consent', 'update', this.getConsentModeState(consentState, consentMode.mapping));
+        },
+        
+        /**
+         * Map a category consent state to consent mode types
+         * 
+         * A type mapped to several categories needs all of them.
+         */
+        getConsentModeState: function(consentState, mapping) {
+            const result = {};
+            
+            for (const [type, categories] of Object.entries(mapping)) {
+                const list = Array.isArray(categories) ? categories : [categories];
+                const granted = list.every(category => category === 'necessary' || consentState[category]);
+                result[type] = granted ? 'granted' : 'denied';
+            }
+            
+            return result;
+        },
+        
+        /**
+         * Push a command onto the Google tag data layer
+         */
+        gtag: function() {
+            window.dataLayer = window.dataLayer || [];
+            window.dataLayer.push(arguments);
+        },
+        
+        /**
+         * Log consent to backend
+         */
+        logConsent: async function(consentState, source) {
+            try {
+                const sessionId = this.getSessionId();
+                const consentId = this.getConsentId();
+                
+                const response = await fetch(this.apiBase + '/consent.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        siteId: this.siteId,
+                        consentId: consentId,
+                        consentToken: this.getConsentToken(consentId),
+                        sessionId: sessionId,
+                        consentState: consentState,
+                        vendorState: (this.consent && this.consent.vendors) || {},
+                        legalBasis: (this.consent && this.consent.legalBasis) || {},
+                        widgetVersion: this.version,
+                        widgetHash: this.getWidgetHash(),
+                        configVersion: (this.config && this.config.configVersion) || '',
+                        policyVersion: this.getPolicyVersion(),
+                        jurisdiction: this.jurisdiction,
+                        source: source || 'user',
+                        gpc: this.hasGlobalPrivacyControl()
+                    })
+                });
+                
+                if (!response.ok) {
+                    console.error('CMP: Failed to log consent');
+                    return;
+                }
+                
+                const result = await response.json();
+                this.adoptConsentId(consentId, result.consentId, result.consentToken);
+            } catch (error) {
+                console.error('CMP: Failed to log consent', error);
+            }
+        },
+        
+        /**
+         * Keep the consent ID and token the server logged a choice under
+         * 
+         * The server issues a new ID when the one sent may belong to
+         * someone else; the stored consent (and the hub) switch to it.
+         */
+        adoptConsentId: function(sentId, consentId, consentToken) {
+            if (!this.consent || this.consent.consentId !== sentId || !consentId || !consentToken) {
+                return;
+            }
+            
+            if (consentId === sentId && consentToken === this.consent.consentToken) {
+                return;
+            }
+            
+            this.consent.consentId = consentId;
+            this.consent.consentToken = consentToken;
+            this.storeConsentId(consentId, consentToken);
+            
+            try {
+                this.writeStoredConsent(this.consent);
+            } catch (error) {
+                console.error('CMP: Failed to save consent', error);
+            }
+            
+            if (this.getHubConfig().enabled) {
+                this.hubRequest('set', this.encodeConsentCookie(this.consent));
+            }
+        },
+        
+        /**
+         * Get or create anonymous session ID
+         */
+        getSessionId: function() {
+            let sessionId = sessionStorage.getItem('cmp_session_id');
+            
+            if (!sessionId) {
+                // Generate a random session ID
+                sessionId = this.generateId();
+                sessionStorage.setItem('cmp_session_id', sessionId);
+            }
+            
+            return sessionId;
+        },
+        
+        /**
+         * Get the hash of the published widget configuration (empty if unpublished)
+         */
+        getWidgetHash: function() {
+            return (this.config && this.config.widget && this.config.widget.hash) || '';
+        },
+        
+        /**
+         * Get the visitor's durable consent ID
+         * 
+         * The ID lives in a first-party cookie so it is shared by all tabs
+         * and outlives the session ID; if the cookie was cleared the ID in
+         * the stored consent is reused.
+         */
+        getConsentId: function() {
+            const cookie = this.readCookie('cmp_consent_id');
+            if (cookie && /^[A-Za-z0-9-]{16,64}$/.test(cookie)) {
+                return cookie;
+            }
+            
+            return (this.consent && this.consent.consentId) || null;
+        },
+        
+        /**
+         * Get the token that lets this visitor add records to a consent ID
+         * 
+         * The server hands it out with the first record of the ID. It is
+         * kept next to the ID in the cmp_consent_token cookie and in the
+         * stored consent, and never shown to the visitor.
+         */
+        getConsentToken: function(consentId) {
+            const cookie = this.readCookie('cmp_consent_token');
+            if (cookie && /^[a-f0-9]{64}$/.test(cookie) && this.readCookie('cmp_consent_id') === consentId) {
+                return cookie;
+            }
+            
+            return (this.consent && this.consent.consentId === consentId && this.consent.consentToken) || null;
+        },
+        
+        /**
+         * Write the consent ID and token cookies (renewed on every save)
+         */
+        storeConsentId: function(consentId, consentToken) {
+            this.setCmpCookie('cmp_consent_id', consentId);
+            
+            if (consentToken) {
+                this.setCmpCookie('cmp_consent_token', consentToken);
+            } else if (this.readCookie('cmp_consent_token') !== null) {
+                this.setCmpCookie('cmp_consent_token', '', 0);
+            }
+        },
+        
+        /**
+         * Generate a random ID (version 4 UUID)
+         * 
+         * randomUUID() needs a secure context; elsewhere the UUID is built
+         * from getRandomValues().
+         */
+        generateId: function() {
+            if (typeof crypto.randomUUID === 'function') {
+                return crypto.randomUUID();
+            }
+            
+            const bytes = crypto.getRandomValues(new Uint8Array(16));
+            bytes[6] = (bytes[6] & 0x0f) | 0x40;
+            bytes[8] = (bytes[8] & 0x3f) | 0x80;
+            
+            const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+            return hex.slice(0, 8) + '-' + hex.slice(8, 12) + '-' + hex.slice(12, 16) + '-' +
+                hex.slice(16, 20) + '-' + hex.slice(20);
+        },
+        
+        /**
+         * Get the profile of the visitor's jurisdiction
+         * 
+         * The profile resolved by config.php is used as is; without one the
+         * US jurisdictions use the opt-out model and everything else opt-in.
+         */
+        getJurisdictionProfile: function() {
+            const optOut = this.jurisdiction === 'ccpa' || /^us/.test(this.jurisdiction || '');
+            
+            return Object.assign({
+                model: optOut ? 'opt-out' : 'opt-in',
+                rejectButton: !optOut,
+                defaults: this.buildConsentState(optOut)
+            }, this.config && this.config.jurisdictionProfile);
+        },
+        
+        /**
+         * Check whether the jurisdiction uses the opt-out model (US state laws)
+         */
+        isOptOutModel: function() {
+            return this.getJurisdictionProfile().model === 'opt-out';
+        },
+        
+        /**
+         * Get the category states that apply before the visitor chooses
+         * 
+         * Under the opt-out model these are in effect until the visitor opts
+         * out; under opt-in they only preset the preference center.
+         * Categories the profile has no default for follow its model; an
+         * honored GPC signal presets its categories to off.
+         */
+        getDefaultConsentState: function() {
+            const profile = this.getJurisdictionProfile();
+            const defaults = profile.defaults || {};
+            const state = this.buildConsentState(profile.model === 'opt-out');
+            
+            Object.keys(state).forEach(category => {
+                if (category in defaults && !this.isCategoryLocked(category)) {
+                    state[category] = !!defaults[category];
+                }
+            });
+            
+            this.withLegitimateInterest(state);
+            
+            if (this.isGpcHonored()) {
+                this.getGpcOptOutCategories().forEach(category => {
+                    state[category] = false;
+                });
+            }
+            
+            return state;
+        },
+        
+        /**
+         * Get the configured categories, keyed by category ID
+         * 
+         * The preference center config defines them; 'necessary' is always
+         * included and comes first.
+         */
+        getCategories: function() {
+            const config = this.config || this.getDefaultConfig();
+            const categories = (config.preferenceCenter && config.preferenceCenter.categories) || config.categories || {};
+            
+            return Object.assign({ necessary: { locked: true } }, categories);
+        },
+        
+        /**
+         * Check whether a category cannot be switched off ('necessary' and locked categories)
+         */
+        isCategoryLocked: function(category) {
+            const config = this.getCategories()[category];
+            return category === 'necessary' || !!(config && config.locked);
+        },
+        
+        /**
+         * Build a consent state with every category allowed or refused
+         * 
+         * Locked categories are always allowed.
+         */
+        buildConsentState: function(allowed) {
+            const state = {};
+            
+            Object.keys(this.getCategories()).forEach(category => {
+                state[category] = allowed || this.isCategoryLocked(category);
+            });
+            
+            return state;
+        },
+        
+        /**
+         * Get the legal basis of a category from the preference center config
+         * 
+         * Returns 'legitimateInterest' for categories declared that way and
+         * 'consent' for everything else.
+         */
+        getLegalBasis: function(category) {
+            const categories = this.getCategories();
+            return categories[category] && categories[category].legalBasis === 'legitimateInterest' && category !== 'necessary'
+                ? 'legitimateInterest'
+                : 'consent';
+        },
+        
+        /**
+         * Get the legal basis of every category in a consent state
+         */
+        getLegalBasisState: function(consentState) {
+            const legalBasis = {};
+            Object.keys(consentState).forEach(category => {
+                legalBasis[category] = this.getLegalBasis(category);
+            });
+            return legalBasis;
+        },
+        
+        /**
+         * Get the categories the visitor objected to
+         * 
+         * An objection is a legitimate-interest category that is off; a
+         * consent category that is off is a refusal.
+         */
+        getObjections: function() {
+            const state = (this.consent && this.consent.state) || {};
+            const legalBasis = (this.consent && this.consent.legalBasis) || {};
+            
+            return Object.keys(state).filter(category => legalBasis[category] === 'legitimateInterest' && !state[category]);
+        },
+        
+        /**
+         * Turn the legitimate-interest categories of a consent state on
+         * 
+         * Refusing consent (reject all, Do Not Track) is not an objection,
+         * so these categories only stay off if the visitor objected before.
+         */
+        withLegitimateInterest: function(consentState) {
+            const objections = this.getObjections();
+            
+            Object.keys(this.getCategories()).forEach(category => {
+                if (this.getLegalBasis(category) === 'legitimateInterest') {
+                    consentState[category] = objections.indexOf(category) === -1;
+                }
+            });
+            
+            return consentState;
+        },
+        
+        /**
+         * Get the privacy policy version consent is given for
+         */
+        getPolicyVersion: function() {
+            return (this.config && this.config.policyVersion) || '1.0.0';
+        },
+        
+        /**
+         * Get how many days consent is kept (0 = until it is withdrawn)
+         * 
+         * The site sets widget.behavior.consentLifetimeDays; a jurisdiction
+         * profile with its own reconsentDays overrides it.
+         */
+        getConsentLifetimeDays: function() {
+            const profile = this.getJurisdictionProfile();
+            if (typeof profile.reconsentDays === 'number') {
+                return profile.reconsentDays;
+            }
+            
+            const behavior = (this.config && this.config.widget && this.config.widget.behavior) || {};
+            return typeof behavior.consentLifetimeDays === 'number' ? behavior.consentLifetimeDays : 0;
+        },
+        
+        /**
+         * Check why stored consent no longer applies
+         * 
+         * Returns 'lifetime' once consent is older than the consent
+         * lifetime, 'policy-version' when the policy changed,
+         * 'categories' when categories were added or removed since it was
+         * given and 'legal-basis' when a category it covered on the basis of
+         * legitimate interest now needs consent; null while it is still
+         * valid. Consent saved before policy versions were stored counts as
+         * 1.0.0.
+         */
+        getConsentExpiryReason: function(consent) {
+            const days = this.getConsentLifetimeDays();
+            if (days && consent.timestamp &&
+                Date.now() - new Date(consent.timestamp).getTime() > days * 24 * 60 * 60 * 1000) {
+                return 'lifetime';
+            }
+            
+            if ((consent.policyVersion || '1.0.0') !== this.getPolicyVersion()) {
+                return 'policy-version';
+            }
+            
+            // Compare with the categories consent is saved for ('necessary' included)
+            if (this.config && consent.state) {
+                const served = Object.keys(this.getCategories()).sort().join(',');
+                const given = Object.keys(consent.state).sort().join(',');
+                
+                if (served !== given) {
+                    return 'categories';
+                }
+            }
+            
+            const legalBasis = consent.legalBasis || {};
+            if (Object.keys(legalBasis).some(category =>
+                legalBasis[category] === 'legitimateInterest' && this.getLegalBasis(category) === 'consent')) {
+                return 'legal-basis';
+            }
+            
+            return null;
+        },
+        
+        /**
+         * Opt out of the sale and sharing of personal information
+         * 
+         * Sale, sharing and targeted advertising map to the same categories
+         * as the GPC opt-out (marketing by default).
+         */
+        optOutOfSale: function() {
+            const state = Object.assign({}, this.getConsent() || this.getDefaultConsentState());
+            this.getGpcOptOutCategories().forEach(category => {
+                state[category] = false;
+            });
+            this.saveConsent(state);
+        },
+        
+        /**
+         * Check whether the browser sends the Global Privacy Control signal
+         */
+        hasGlobalPrivacyControl: function() {
+            return navigator.globalPrivacyControl === true;
+        },
+        
+        /**
+         * Check whether GPC is present and the site honors it
+         */
+        isGpcHonored: function() {
+            const behavior = (this.config && this.config.widget && this.config.widget.behavior) || {};
+            return this.hasGlobalPrivacyControl() && behavior.respectGlobalPrivacyControl !== false;
+        },
+        
+        /**
+         * Get the categories GPC opts out of (sale and sharing)
+         */
+        getGpcOptOutCategories: function() {
+            const behavior = (this.config && this.config.widget && this.config.widget.behavior) || {};
+            return Array.isArray(behavior.gpcOptOutCategories) ? behavior.gpcOptOutCategories : ['marketing'];
+        },
+        
+        /**
+         * Opt out of the GPC categories when the signal is present
+         * 
+         * Choices saved while the signal was present are kept, so visitors
+         * can still opt back in from the preference center. Earlier consent
+         * that conflicts with the signal is overridden. GPC only covers sale
+         * and sharing, so under opt-in nothing is saved for visitors who have
+         * not chosen yet: the banner is shown with the GPC categories preset
+         * to off (see getDefaultConsentState).
+         */
+        applyGlobalPrivacyControl: function() {
+            if (!this.isGpcHonored()) return;
+            
+            const current = this.consent && this.consent.state;
+            if (current && this.consent.gpc) return;
+            if (!current && !this.isOptOutModel()) return;
+            
+            const categories = this.getGpcOptOutCategories();
+            if (current && categories.every(category => !current[category])) return;
+            
+            const state = Object.assign({}, current || this.getDefaultConsentState());
+            categories.forEach(category => {
+                state[category] = false;
+            });
+            
+            console.log('CMP: Honoring Global Privacy Control');
+            this.saveConsent(state, 'gpc');
+        },
+        
+        /**
+         * Check if banner should be shown
+         */
+        shouldShowBanner: function() {
+            // Don't show if consent already given
+            if (this.consent && this.consent.state) {
+                return false;
+            }
+            
+            // Check Do Not Track
+            if (this.config.widget && this.config.widget.behavior && 
+                this.config.widget.behavior.respectDoNotTrack) {
+                if (navigator.doNotTrack === '1' || window.doNotTrack === '1') {
+                    // Auto-reject all except necessary
+                    this.saveConsent(this.withLegitimateInterest(this.buildConsentState(false)), 'dnt');
+                    return false;
+                }
+            }
+            
+            return true;
+        },
+        
+        /**
+         * Scan cookies on the page
+         * 
+         * Categories already known from earlier scans are attached right
+         * away; new cookie names are categorized by the backend.
+         */
+        scanCookies: function() {
+            const cookies = document.cookie.split(';');
+            this.cookies = [];
+            
+            const known = this.getCookieCategoryCache();
+            const unknown = [];
+            
+            for (const cookie of cookies) {
+                const parts = cookie.trim().split('=');
+                if (parts.length >= 1) {
+                    const name = parts[0].trim();
+                    if (name) {
+                        const entry = {
+                            name: name,
+                            domain: window.location.hostname,
+                            value: parts.slice(1).join('=')
+                        };
+                        
+                        if (known[name]) {
+                            Object.assign(entry, known[name]);
+                        } else if (this.pendingCategorization.indexOf(name) === -1) {
+                            unknown.push(name);
+                        }
+                        
+                        this.cookies.push(entry);
+                    }
+                }
+            }
+            
+            console.log('CMP: Scanned cookies', this.cookies);
+            
+            if (unknown.length > 0) {
+                this.categorizeCookies(unknown);
+            }
+        },
+        
+        /**
+         * Categorize cookies through the backend
+         */
+        categorizeCookies: async function(names) {
+            this.pendingCategorization = this.pendingCategorization.concat(names);
+            
+            try {
+                const response = await fetch(this.apiBase + '/categorize.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        siteId: this.siteId,
+                        cookies: names.map(name => ({ name: name, domain: window.location.hostname }))
+                    })
+                });
+                
+                if (!response.ok) {
+                    throw new Error('Failed to categorize cookies');
+                }
+                
+                const data = await response.json();
+                const known = this.getCookieCategoryCache();
+                const uncategorized = [];
+                
+                (data.cookies || []).forEach((result) => {
+                    known[result.name] = {
+                        category: result.category,
+                        confidence: result.confidence,
+                        dataController: result.dataController || ''
+                    };
+                    
+                    if (result.category === 'uncategorized') {
+                        uncategorized.push(result.name);
+                    }
+                });
+                
+                this.setCookieCategoryCache(known);
+                
+                // Attach the results to the current scan
+                this.cookies.forEach((cookie) => {
+                    if (known[cookie.name]) {
+                        Object.assign(cookie, known[cookie.name]);
+                    }
+                });
+                
+                if (uncategorized.length > 0) {
+                    this.reportCookies(uncategorized);
+                }
+                
+                this.dispatchEvent('cmp:cookies-categorized', { cookies: this.cookies });
+                
+                // Newly categorized cookies may belong to a blocked category
+                if (this.cookieGuardActive && this.initialized) {
+                    this.blockCookies();
+                }
+            } catch (error) {
+                console.error('CMP: Failed to categorize cookies', error);
+            } finally {
+                this.pendingCategorization = this.pendingCategorization.filter(name => names.indexOf(name) === -1);
+            }
+        },
+        
+        /**
+         * Report uncategorized cookies so admins can review them
+         */
+        reportCookies: function(names) {
+            const payload = JSON.stringify({
+                siteId: this.siteId,
+                page: window.location.origin + window.location.pathname,
+                cookies: names.map(name => ({ name: name, domain: window.location.hostname }))
+            });
+            
+            // sendBeacon sends a text/plain body, avoiding a CORS preflight
+            if (navigator.sendBeacon && navigator.sendBeacon(this.apiBase + '/cookie-report.php', payload)) {
+                return;
+            }
+            
+            fetch(this.apiBase + '/cookie-report.php', {
+                method: 'POST',
+                body: payload,
+                keepalive: true
+            }).catch((error) => {
+                console.error('CMP: Failed to report cookies', error);
+            });
+        },
+        
+        /**
+         * Get cookie categories cached for this session
+         */
+        getCookieCategoryCache: function() {
+            try {
+                return JSON.parse(sessionStorage.getItem('cmp_cookie_categories')) || {};
+            } catch (error) {
+                return {};
+            }
+        },
+        
+        /**
+         * Cache cookie categories for this session
+         */
+        setCookieCategoryCache: function(categories) {
+            try {
+                sessionStorage.setItem('cmp_cookie_categories', JSON.stringify(categories));
+            } catch (error) {
+                console.error('CMP: Failed to cache cookie categories', error);
+            }
+        },
+        
+        /**
+         * Apply blocking to scripts and cookies
+         */
+        applyBlocking: function() {
+            console.log('CMP: Applying blocking');
+            
+            // Intercept script tags
+            this.interceptScripts();
+            
+            // Hold embedded content for categories without consent
+            this.interceptEmbeds();
+            
+            // Block cookies for categories without consent
+            this.blockCookies();
+        },
+        
+        /**
+         * Install the pre-execution script guard
+         * 
+         * Runs synchronously when cmp.js is evaluated, before the config is
+         * loaded, so that scripts injected by other code are caught before
+         * they are inserted. A script only hits the network once it is
+         * connected with an executable type, so blocked scripts are switched
+         * to text/plain before insertion and released later by applyConsent.
+         * Iframes, embeds, images and videos are covered too, including images
+         * made with `new Image()`: their source is parked in data-src before
+         * the browser can request it.
+         */
+        installScriptGuard: function() {
+            if (this.scriptGuardActive) return;
+            this.scriptGuardActive = true;
+            
+            const cmp = this;
+            const srcDescriptor = Object.getOwnPropertyDescriptor(HTMLScriptElement.prototype, 'src');
+            const nativeCreateElement = document.createElement;
+            const NativeImage = window.Image;
+            const nativeAppendChild = Node.prototype.appendChild;
+            const nativeInsertBefore = Node.prototype.insertBefore;
+            
+            // Catch `script.src = ...` on scripts created by other code
+            document.createElement = function(tagName, options) {
+                const element = nativeCreateElement.call(this, tagName, options);
+                
+                const tag = String(tagName).toLowerCase();
+                
+                if (srcDescriptor && tag === 'script') {
+                    Object.defineProperty(element, 'src', {
+                        configurable: true,
+                        enumerable: true,
+                        get: function() {
+                            return srcDescriptor.get.call(this);
+                        },
+                        set: function(value) {
+                            srcDescriptor.set.call(this, value);
+                            cmp.guardNode(this);
+                        }
+                    });
+                } else if (['iframe', 'embed', 'img', 'video'].indexOf(tag) !== -1) {
+                    cmp.guardElementSource(element);
+                }
+                
+                return element;
+            };
+            
+            // Catch tracking pixels made with `new Image()`
+            if (NativeImage) {
+                const GuardedImage = function Image(width, height) {
+                    const image = new NativeImage(width, height);
+                    cmp.guardElementSource(image);
+                    return image;
+                };
+                GuardedImage.prototype = NativeImage.prototype;
+                window.Image = GuardedImage;
+            }
+            
+            // Catch insertion of scripts, including scripts inside fragments
+            Node.prototype.appendChild = function(node) {
+                cmp.guardNode(node);
+                return nativeAppendChild.call(this, node);
+            };
+            
+            Node.prototype.insertBefore = function(node, referenceNode) {
+                cmp.guardNode(node);
+                return nativeInsertBefore.call(this, node, referenceNode);
+            };
+            
+            // Fallback for parser-inserted elements and other insertion methods
+            this.scriptObserver = new MutationObserver((mutations) => {
+                mutations.forEach((mutation) => {
+                    mutation.addedNodes.forEach((node) => {
+                        if (node.nodeType === Node.ELEMENT_NODE) {
+                            this.guardNode(node);
+                        }
+                    });
+                });
+            });
+            
+            this.scriptObserver.observe(document.documentElement, {
+                childList: true,
+                subtree: true
+            });
+        },
+        
+        /**
+         * Disable the script guard and let held scripts through
+         */
+        disableScriptGuard: function() {
+            this.scriptGuardActive = false;
+            
+            if (this.scriptObserver) {
+                this.scriptObserver.disconnect();
+                this.scriptObserver = null;
+            }
+            
+            // Scripts held while the config was loading were never categorized
+            this.blockedScripts.forEach((entry) => {
+                if (entry.category === 'pending') {
+                    entry.category = 'necessary';
+                }
+            });
+            
+            this.releaseScripts();
+            this.releaseElements();
+        },
+        
+        /**
+         * Run a node about to be inserted through the script guard
+         */
+        guardNode: function(node) {
+            if (!this.scriptGuardActive || !node) return;
+            
+            if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+                node.querySelectorAll('script').forEach((script) => this.handleScript(script));
+            } else if (node.tagName === 'SCRIPT') {
+                this.handleScript(node);
+                return;
+            }
+            
+            if (!node.querySelectorAll) return;
+            
+            if (node.matches && node.matches(EMBED_SELECTOR)) {
+                this.handleElement(node);
+            }
+            node.querySelectorAll(EMBED_SELECTOR).forEach((element) => this.handleElement(element));
+        },
+        
+        /**
+         * Intercept and block scripts based on category
+         */
+        interceptScripts: function() {
+            if (this.config.blocking.blockingMethods &&
+                this.config.blocking.blockingMethods.scriptInterception === false) {
+                this.disableScriptGuard();
+                return;
+            }
+            
+            // Categorize scripts held while the config was loading
+            this.blockedScripts.forEach((entry) => {
+                if (entry.category === 'pending') {
+                    entry.category = this.getScriptCategory(entry.script) || 'necessary';
+                    entry.vendor = this.getScriptVendor(entry.script);
+                }
+            });
+            
+            // Handle existing scripts
+            document.querySelectorAll('script[type="text/plain"]').forEach((script) => {
+                this.handleScript(script);
+            });
+            
+            this.releaseScripts();
+        },
+        
+        /**
+         * Handle individual script tag
+         */
+        handleScript: function(script) {
+            // Copies inserted by executeScript have run already
+            if (this.releasedScripts.has(script)) {
+                return;
+            }
+            
+            // Check if script should be blocked
+            const category = this.getScriptCategory(script);
+            
+            if (!category) {
+                return; // No category, allow
+            }
+            
+            const vendor = this.getScriptVendor(script);
+            
+            // Check consent (necessary is never blocked)
+            if (!this.isScriptAllowed(category, vendor)) {
+                this.blockScript(script, category, vendor);
+                return;
+            }
+            
+            // Tagged placeholders (type="text/plain") still need activating
+            if (script.type === 'text/plain' && !script.hasAttribute('data-blocked') &&
+                (script.hasAttribute('data-category') || script.hasAttribute('data-vendor'))) {
+                this.blockScript(script, category, vendor);
+                this.releaseScripts();
+            }
+        },
+        
+        /**
+         * Make a script inert and queue it for release
+         */
+        blockScript: function(script, category, vendor = null) {
+            if (this.blockedScripts.some((entry) => entry.script === script)) {
+                return; // Already queued
+            }
+            
+            const type = script.getAttribute('type');
+            if (type && type !== 'text/plain') {
+                script.setAttribute('data-original-type', type);
+            }
+            
+            script.type = 'text/plain';
+            script.setAttribute('data-blocked', 'true');
+            this.blockedScripts.push({
+                script: script,
+                category: category,
+                vendor: vendor
+            });
+            console.log('CMP: Blocked script', category);
+        },
+        
+        /**
+         * Execute queued scripts whose category is now allowed
+         * 
+         * Scripts run one after another in the order they were blocked,
+         * waiting for each external script to load before the next one.
+         */
+        releaseScripts: function() {
+            const ready = [];
+            const stillBlocked = [];
+            
+            this.blockedScripts.forEach((entry) => {
+                if (this.isScriptAllowed(entry.category, entry.vendor)) {
+                    ready.push(entry);
+                } else {
+                    stillBlocked.push(entry);
+                }
+            });
+            
+            // Keep scripts whose category is still not consented
+            this.blockedScripts = stillBlocked;
+            
+            // Chain onto earlier releases so order holds across calls
+            this.scriptQueue = ready.reduce((chain, entry) => {
+                return chain.then(() => this.executeScript(entry.script, entry.category));
+            }, this.scriptQueue);
+            
+            return this.scriptQueue;
+        },
+        
+        /**
+         * Execute a single blocked script
+         */
+        executeScript: function(script, category) {
+            return new Promise((resolve) => {
+                const originalType = script.getAttribute('data-original-type');
+                
+                // Not inserted yet: restoring the type is enough
+                if (!script.parentNode) {
+                    script.removeAttribute('data-blocked');
+                    script.removeAttribute('data-original-type');
+                    script.type = originalType || 'text/javascript';
+                    resolve();
+                    return;
+                }
+                
+                // Clone and replace to execute
+                const newScript = document.createElement('script');
+                Array.from(script.attributes).forEach(attr => {
+                    if (attr.name !== 'type' && attr.name !== 'data-blocked' && attr.name !== 'data-original-type') {
+                        newScript.setAttribute(attr.name, attr.value);
+                    }
+                });
+                if (originalType) {
+                    newScript.type = originalType;
+                }
+                newScript.textContent = script.textContent;
+                
+                // Inserted scripts are async unless told otherwise
+                if (!script.hasAttribute('async')) {
+                    newScript.async = false;
+                }
+                this.releasedScripts.add(newScript);
+                
+                if (newScript.hasAttribute('src')) {
+                    // Forward load/error so loaders listening on the original still fire
+                    const done = (event) => {
+                        script.dispatchEvent(new Event(event.type));
+                        resolve();
+                    };
+                    newScript.addEventListener('load', done);
+                    newScript.addEventListener('error', done);
+                } else {
+                    resolve();
+                }
+                
+                script.parentNode.replaceChild(newScript, script);
+                console.log('CMP: Executed blocked script', category);
+            });
+        },
+        
+        /**
+         * Block embedded content already in the page
+         * 
+         * Untagged elements are only categorized once the rules are loaded, so
+         * this also catches those inserted while the config was loading.
+         */
+        interceptEmbeds: function() {
+            document.querySelectorAll(EMBED_SELECTOR).forEach((element) => this.handleElement(element));
+            this.releaseElements();
+            
+            // Placeholders wait for the config so returning visitors see none
+            this.blockedElements.forEach((entry) => this.showPlaceholder(entry));
+        },
+        
+        /**
+         * Watch the src setter of an element created by other code
+         * 
+         * Images request their src as soon as it is set, even before they are
+         * inserted, so the guard has to decide in the setter.
+         */
+        guardElementSource: function(element) {
+            let descriptor = null;
+            for (let proto = Object.getPrototypeOf(element); proto && !descriptor; proto = Object.getPrototypeOf(proto)) {
+                descriptor = Object.getOwnPropertyDescriptor(proto, 'src');
+            }
+            
+            if (!descriptor || !descriptor.set) return;
+            
+            const cmp = this;
+            Object.defineProperty(element, 'src', {
+                configurable: true,
+                enumerable: true,
+                get: function() {
+                    return descriptor.get.call(this);
+                },
+                set: function(value) {
+                    if (!cmp.scriptGuardActive || !cmp.blockElementSource(this, String(value))) {
+                        descriptor.set.call(this, value);
+                    }
+                }
+            });
+        },
+        
+        /**
+         * Hold a src about to be set if its category is not allowed
+         * 
+         * Returns true when the URL was parked in data-src instead.
+         */
+        blockElementSource: function(element, src) {
+            const category = this.getElementCategory(element, src);
+            const vendor = category ? this.getElementVendor(element, src) : null;
+            
+            if (!category || this.isEmbedAllowed(category, vendor)) {
+                return false;
+            }
+            
+            element.setAttribute('data-src', src);
+            this.blockElement(element, category, vendor);
+            return true;
+        },
+        
+        /**
+         * Handle an iframe, embed, image or video
+         */
+        handleElement: function(element) {
+            const src = this.getElementSource(element);
+            const category = this.getElementCategory(element, src);
+            
+            if (!category) {
+                return; // No category, allow
+            }
+            
+            const vendor = this.getElementVendor(element, src);
+            
+            if (!this.isEmbedAllowed(category, vendor)) {
+                this.blockElement(element, category, vendor);
+                return;
+            }
+            
+            // Tagged elements keep their source in data-src until they may load
+            if (!element.hasAttribute('data-blocked') &&
+                (element.matches('[data-src], [data-srcset]') || element.querySelector('source[data-src], source[data-srcset]'))) {
+                this.loadElement(element);
+            }
+        },
+        
+        /**
+         * Park an element's sources in data-* attributes and show a placeholder
+         */
+        blockElement: function(element, category, vendor = null) {
+            let entry = this.blockedElements.find((item) => item.element === element);
+            if (!entry) {
+                entry = { element: element, category: category, vendor: vendor, placeholder: null, display: '' };
+                this.blockedElements.push(entry);
+                console.log('CMP: Blocked ' + element.tagName.toLowerCase(), category);
+            }
+            
+            let loading = false;
+            [element].concat(Array.from(element.querySelectorAll('source'))).forEach((node) => {
+                ['src', 'srcset'].forEach((name) => {
+                    if (node.hasAttribute(name)) {
+                        node.setAttribute('data-' + name, node.getAttribute(name));
+                        node.removeAttribute(name);
+                        loading = true;
+                    }
+                });
+            });
+            element.setAttribute('data-blocked', 'true');
+            
+            this.showPlaceholder(entry);
+            
+            // Removing src does not unload a frame; moving it does
+            if (loading && element.tagName === 'IFRAME' && element.isConnected) {
+                element.parentNode.insertBefore(element, element.nextSibling);
+            }
+        },
+        
+        /**
+         * Load embedded content whose category is now allowed
+         */
+        releaseElements: function() {
+            const ready = this.blockedElements.filter((entry) => this.isEmbedAllowed(entry.category, entry.vendor));
+            
+            this.blockedElements = this.blockedElements.filter((entry) => ready.indexOf(entry) === -1);
+            ready.forEach((entry) => this.releaseElement(entry));
+        },
+        
+        /**
+         * Remove a blocked element's placeholder and load it
+         */
+        releaseElement: function(entry) {
+            if (entry.placeholder) {
+                entry.placeholder.remove();
+                entry.placeholder = null;
+                entry.element.style.display = entry.display;
+            }
+            
+            this.loadElement(entry.element);
+            console.log('CMP: Loaded blocked ' + entry.element.tagName.toLowerCase(), entry.category);
+        },
+        
+        /**
+         * Move sources back from data-* attributes so the browser loads them
+         */
+        loadElement: function(element) {
+            const sources = Array.from(element.querySelectorAll('source'));
+            
+            [element].concat(sources).forEach((node) => {
+                ['src', 'srcset'].forEach((name) => {
+                    if (node.hasAttribute('data-' + name)) {
+                        node.setAttribute(name, node.getAttribute('data-' + name));
+                        node.removeAttribute('data-' + name);
+                    }
+                });
+            });
+            element.removeAttribute('data-blocked');
+            
+            // A video picks up changed <source> children only when reloaded
+            if (element.tagName === 'VIDEO' && sources.length && typeof element.load === 'function') {
+                element.load();
+            }
+        },
+        
+        /**
+         * Show a placeholder in place of a blocked element
+         * 
+         * Images (usually tracking pixels) and blacklisted content are held
+         * without one. Elements not inserted yet get theirs once the guard sees
+         * them inserted, elements blocked before the config is loaded once it
+         * is.
+         */
+        showPlaceholder: function(entry) {
+            const element = entry.element;
+            if (!this.config || entry.placeholder || !element.parentNode ||
+                element.tagName === 'IMG' || entry.category === 'blacklisted') {
+                return;
+            }
+            
+            entry.display = element.style.display;
+            entry.placeholder = this.createPlaceholder(entry);
+            element.parentNode.insertBefore(entry.placeholder, element);
+            element.style.display = 'none';
+        },
+        
+        /**
+         * Create the placeholder for blocked embedded content
+         * 
+         * It names the provider and the category the content needs, and offers
+         * to load it once or to consent to the category.
+         */
+        createPlaceholder: function(entry) {
+            const config = (this.config && this.config.widget) || this.getDefaultConfig().widget;
+            const texts = config.texts || {};
+            const category = this.getCategories()[entry.category] || {};
+            const vendor = entry.vendor ? this.getVendors()[entry.vendor] : null;
+            
+            let provider = vendor && vendor.name ? vendor.name : '';
+            if (!provider) {
+                try {
+                    provider = new URL(this.getElementSource(entry.element), window.location.href).hostname;
+                } catch (error) {
+                    provider = '';
+                }
+            }
+            
+            this.applyPlaceholderStyles(config.theme || {});
+            
+            const placeholder = document.createElement('div');
+            placeholder.className = 'cmp-embed-placeholder';
+            placeholder.setAttribute('data-cmp-category', entry.category);
+            this.applyLocaleAttributes(placeholder);
+            
+            // Take the size of the content it stands in for
+            const width = entry.element.style.width || entry.element.getAttribute('width');
+            const height = entry.element.style.height || entry.element.getAttribute('height');
+            if (width) {
+                placeholder.style.width = /^\d+$/.test(width) ? width + 'px' : width;
+            }
+            if (height) {
+                placeholder.style.height = /^\d+$/.test(height) ? height + 'px' : height;
+            }
+            
+            placeholder.innerHTML = `
+                <div class="cmp-embed-content">
+                    ${provider ? `<p class="cmp-embed-provider">${this.escapeHtml(provider)}</p>` : ''}
+                    <p class="cmp-embed-text">${this.escapeHtml(texts.embedBlocked || 'This content is provided by a third party that may set cookies.')}</p>
+                    <p class="cmp-embed-category">${this.escapeHtml((texts.embedCategory || 'Requires consent to') + ': ' + (category.name || entry.category))}</p>
+                    <div class="cmp-embed-buttons">
+                        <button type="button" class="cmp-embed-load">${this.escapeHtml(texts.embedLoad || 'Load this content')}</button>
+                        <button type="button" class="cmp-embed-allow">${this.escapeHtml(texts.embedAllow || 'Always allow')}</button>
+                    </div>
+                </div>
+            `;
+            
+            placeholder.querySelector('.cmp-embed-load').addEventListener('click', () => {
+                this.blockedElements = this.blockedElements.filter((item) => item !== entry);
+                this.releaseElement(entry);
+            });
+            
+            placeholder.querySelector('.cmp-embed-allow').addEventListener('click', () => {
+                this.allowCategory(entry.category, entry.vendor);
+            });
+            
+            return placeholder;
+        },
+        
+        /**
+         * Add the placeholder styles from the widget theme (once)
+         */
+        applyPlaceholderStyles: function(theme) {
+            if (document.getElementById('cmp-embed-styles')) {
+                return;
+            }
+            
+            const style = document.createElement('style');
+            style.id = 'cmp-embed-styles';
+            style.textContent = `
+                .cmp-embed-placeholder {
+                    box-sizing: border-box;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    max-width: 100%;
+                    min-height: 150px;
+                    padding: 24px;
+                    background: ${theme.backgroundColor || '#ffffff'};
+                    color: ${theme.textColor || '#333333'};
+                    font-family: ${theme.fontFamily || 'system-ui, sans-serif'};
+                    border: 1px solid ${theme.secondaryColor || '#6B7280'};
+                    border-radius: ${theme.borderRadius || '8px'};
+                    text-align: center;
+                }
+                
+                .cmp-embed-content {
+                    max-width: 420px;
+                }
+                
+                .cmp-embed-provider {
+                    font-size: 16px;
+                    font-weight: 600;
+                    margin: 0 0 8px 0;
+                }
+                
+                .cmp-embed-text,
+                .cmp-embed-category {
+                    font-size: 14px;
+                    line-height: 1.5;
+                    margin: 0 0 12px 0;
+                    opacity: 0.8;
+                }
+                
+                .cmp-embed-buttons {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 8px;
+                    justify-content: center;
+                }
+                
+                .cmp-embed-buttons button {
+                    padding: 8px 16px;
+                    border-radius: ${theme.borderRadius || '8px'};
+                    font-size: 14px;
+                    font-weight: 500;
+                    cursor: pointer;
+                }
+                
+                .cmp-embed-load {
+                    background: ${theme.primaryColor || '#4F46E5'};
+                    color: #ffffff;
+                    border: none;
+                }
+                
+                .cmp-embed-allow {
+                    background: transparent;
+                    color: ${theme.primaryColor || '#4F46E5'};
+                    border: 1px solid ${theme.primaryColor || '#4F46E5'};
+                }
+            `;
+            (document.head || document.documentElement).appendChild(style);
+        },
+        
+        /**
+         * Consent to one category from a placeholder, keeping the other choices
+         */
+        allowCategory: function(category, vendor) {
+            const state = Object.assign({}, this.consent ? this.consent.state : this.getDefaultConsentState());
+            state[category] = true;
+            
+            // Allowing the vendor lifts an earlier opt-out from it
+            let vendorChoices = null;
+            if (vendor) {
+                vendorChoices = Object.assign({}, this.consent && this.consent.vendors);
+                vendorChoices[vendor] = true;
+            }
+            
+            this.saveConsent(state, 'user', vendorChoices);
+            
+            const banner = document.getElementById('cmp-banner');
+            if (banner) {
+                this.hideBanner(banner);
+            }
+        },
+        
+        /**
+         * Get the URL an element loads, or will load once released
+         */
+        getElementSource: function(element) {
+            const nodes = [element].concat(element.tagName === 'VIDEO' ? Array.from(element.querySelectorAll('source')) : []);
+            
+            for (const node of nodes) {
+                const src = node.getAttribute('src') || node.getAttribute('data-src');
+                if (src) {
+                    return src;
+                }
+            }
+            
+            return null;
+        },
+        
+        /**
+         * Resolve the category of embedded content
+         * 
+         * Works like getScriptCategory, with the `embeds` patterns added. The
+         * CMP's own frames are never blocked, and untagged elements are left
+         * alone until the rules are loaded.
+         */
+        getElementCategory: function(element, src) {
+            if (this.isCmpFrame(element, src)) {
+                return null;
+            }
+            
+            const tagged = element.getAttribute('data-category');
+            if (tagged) {
+                return tagged;
+            }
+            
+            if ((!src && !element.hasAttribute('data-vendor')) || !this.config) {
+                return null;
+            }
+            
+            const category = src ? this.matchBlockingRules(src, 'embeds') : null;
+            const vendor = this.getElementVendor(element, src);
+            
+            // The blacklist holds even for registered vendors
+            if (vendor && category !== 'blacklisted') {
+                return this.getVendors()[vendor].category;
+            }
+            
+            return category;
+        },
+        
+        /**
+         * Resolve the vendor of embedded content (data-vendor or URL patterns)
+         */
+        getElementVendor: function(element, src) {
+            const tagged = element.getAttribute('data-vendor');
+            if (tagged) {
+                return this.getVendors()[tagged] ? tagged : null;
+            }
+            
+            return src ? this.matchVendor(src, 'embeds') : null;
+        },
+        
+        /**
+         * Check whether an iframe is one of the CMP's own frames
+         * 
+         * The TCF and GPP locator frames and the consent hub.
+         */
+        isCmpFrame: function(element, src) {
+            if (element.tagName !== 'IFRAME') {
+                return false;
+            }
+            
+            if (element.name === '__tcfapiLocator' || element.name === '__gppLocator') {
+                return true;
+            }
+            
+            if (!src || !this.hubOrigin) {
+                return false;
+            }
+            
+            try {
+                return new URL(src, window.location.href).origin === this.hubOrigin;
+            } catch (error) {
+                return false;
+            }
+        },
+        
+        /**
+         * Check whether embedded content of a category (and optionally a vendor) may load
+         * 
+         * Everything loads when blocking or blockingMethods.embedBlocking is off.
+         */
+        isEmbedAllowed: function(category, vendor) {
+            const blocking = this.config && this.config.blocking;
+            if (blocking && (!blocking.enabled || (blocking.blockingMethods && blocking.blockingMethods.embedBlocking === false))) {
+                return true;
+            }
+            
+            return this.isScriptAllowed(category, vendor);
+        },
+        
+        /**
+         * Resolve the category of a script tag
+         * 
+         * An explicit data-category attribute always wins, then the category
+         * of the script's vendor unless the URL is blacklisted. Other scripts
+         * with a src are matched against the blocking.json rules. Until the
+         * rules are loaded, scripts held by isHeldUntilConfig are 'pending'.
+         */
+        getScriptCategory: function(script) {
+            if (!this.config && this.isHeldUntilConfig(script)) {
+                return 'pending';
+            }
+            
+            const tagged = script.getAttribute('data-category');
+            if (tagged) {
+                return tagged;
+            }
+            
+            const src = script.getAttribute('src');
+            if (!src && !script.hasAttribute('data-vendor')) {
+                return null; // Inline scripts must be tagged explicitly
+            }
+            
+            // Same-origin scripts are not held while the config loads
+            if (!this.config) {
+                return null;
+            }
+            
+            const category = src ? this.matchBlockingRules(src) : null;
+            const vendor = this.getScriptVendor(script);
+            
+            // The blacklist holds even for registered vendors
+            if (vendor && category !== 'blacklisted') {
+                return this.getVendors()[vendor].category;
+            }
+            
+            return category;
+        },
+        
+        /**
+         * Check whether a script has to wait for the config to be categorized
+         * 
+         * Third-party and data-vendor scripts are held. Once one is held,
+         * every later script is held as well, inline ones included, so that
+         * scripts depending on a held library still run after it, in
+         * document order.
+         */
+        isHeldUntilConfig: function(script) {
+            const type = (script.getAttribute('type') || '').trim().toLowerCase();
+            const tagged = script.hasAttribute('data-category') || script.hasAttribute('data-vendor');
+            if (!tagged && type && type !== 'module' && !/^(text|application)\/(x-)?(java|ecma)script$/.test(type)) {
+                return false; // Data blocks such as JSON-LD never run
+            }
+            
+            if (this.blockedScripts.some(entry => entry.category === 'pending') || script.hasAttribute('data-vendor')) {
+                return true;
+            }
+            
+            const src = script.getAttribute('src');
+            if (!src || script.hasAttribute('data-category')) {
+                return false;
+            }
+            
+            try {
+                const url = new URL(src, window.location.href);
+                return url.hostname !== window.location.hostname && !this.isCmpOrigin(url);
+            } catch (error) {
+                return false;
+            }
+        },
+        
+        /**
+         * Resolve the vendor of a script tag
+         * 
+         * Uses the data-vendor attribute, or matches the src against the
+         * `scripts` patterns of the vendor registry. Returns a vendor ID or
+         * null.
+         */
+        getScriptVendor: function(script) {
+            const vendors = this.getVendors();
+            const tagged = script.getAttribute('data-vendor');
+            if (tagged) {
+                return vendors[tagged] ? tagged : null;
+            }
+            
+            const src = script.getAttribute('src');
+            return src ? this.matchVendor(src) : null;
+        },
+        
+        /**
+         * Find the vendor whose patterns match a resource URL
+         * 
+         * Scripts are matched against the vendors' `scripts` patterns,
+         * embedded content ('embeds') against `embeds` and `scripts`.
+         */
+        matchVendor: function(url, type = 'scripts') {
+            let parsed;
+            try {
+                parsed = new URL(url, window.location.href);
+            } catch (error) {
+                return null;
+            }
+            
+            for (const [id, vendor] of Object.entries(this.getVendors())) {
+                if (this.getResourcePatterns(vendor, type).some(pattern => this.matchesPattern(parsed, pattern))) {
+                    return id;
+                }
+            }
+            
+            return null;
+        },
+        
+        /**
+         * Get the URL patterns of a blocking rule or vendor for a resource type
+         */
+        getResourcePatterns: function(entry, type) {
+            const patterns = entry.scripts || [];
+            return type === 'embeds' ? (entry.embeds || []).concat(patterns) : patterns;
+        },
+        
+        /**
+         * Match a resource URL against the blocking rules
+         * 
+         * Precedence: blacklist, whitelist, per-category rules, strict mode.
+         * Embedded content ('embeds') also matches the rules' `embeds`
+         * patterns; strict mode only applies to scripts, so third-party
+         * images are not all held. Returns a category name, 'blacklisted', or
+         * null if the URL is allowed.
+         */
+        matchBlockingRules: function(url, type = 'scripts') {
+            const blocking = this.config.blocking || {};
+            
+            let parsed;
+            try {
+                parsed = new URL(url, window.location.href);
+            } catch (error) {
+                return null;
+            }
+            
+            if ((blocking.blacklist || []).some(pattern => this.matchesPattern(parsed, pattern))) {
+                return 'blacklisted';
+            }
+            
+            if ((blocking.whitelist || []).some(pattern => this.matchesPattern(parsed, pattern))) {
+                return null;
+            }
+            
+            for (const [category, rule] of Object.entries(blocking.rules || {})) {
+                if (this.getResourcePatterns(rule, type).some(pattern => this.matchesPattern(parsed, pattern))) {
+                    return category;
+                }
+            }
+            
+            // In strict mode unknown third-party scripts are blocked too,
+            // except the CMP's own modules (preference-center.js, tcf.js, ...)
+            if (type === 'scripts' && blocking.strictMode && parsed.hostname !== window.location.hostname && !this.isCmpOrigin(parsed)) {
+                return blocking.strictModeCategory || 'marketing';
+            }
+            
+            return null;
+        },
+        
+        /**
+         * Check whether a parsed URL is served from the CMP's own host
+         * 
+         * That is the origin cmp.js was loaded from or the one apiBase
+         * points to, which differ from the page's for cross-host installs.
+         */
+        isCmpOrigin: function(url) {
+            return [scriptSrc, this.apiBase].some(base => {
+                if (!base) return false;
+                try {
+                    return new URL(base, window.location.href).origin === url.origin;
+                } catch (error) {
+                    return false;
+                }
+            });
         },
         
         /**
-         * Load consent from localStorage
+         * Check whether a parsed URL matches a blocking pattern
+         * 
+         * Patterns are matched against the host (e.g. "facebook.net" also
+         * matches "connect.facebook.net"), host and path prefix (e.g.
+         * "google.com/maps"), the file name (e.g. "ads.js"), or, for patterns
+         * without a dot, anywhere in the URL (e.g. "marketing").
          */
-        loadConsent: function() {
-            try {
-                const stored = localStorage.getItem('cmp_consent');
-                if (stored) {
-                    this.consent = JSON.parse(stored);
-                    console.log('CMP: Loaded existing consent', this.consent);
-                }
-            } catch (error) {
-                console.error('CMP: Failed to load consent', error);
+        matchesPattern: function(url, pattern) {
+            pattern = String(pattern).trim().toLowerCase();
+            if (!pattern) {
+                return false;
+            }
+            
+            const host = url.hostname.toLowerCase();
+            
+            const slash = pattern.indexOf('/');
+            if (slash > 0 && pattern.slice(0, slash).indexOf('.') !== -1) {
+                const patternHost = pattern.slice(0, slash);
+                return (host === patternHost || host.endsWith('.' + patternHost)) &&
+                    url.pathname.toLowerCase().indexOf(pattern.slice(slash)) === 0;
+            }
+            
+            if (host === pattern || host.endsWith('.' + pattern)) {
+                return true;
+            }
+            
+            const fileName = url.pathname.split('/').pop().toLowerCase();
+            if (fileName === pattern) {
+                return true;
+            }
+            
+            if (pattern.indexOf('.') === -1) {
+                return url.href.toLowerCase().indexOf(pattern) !== -1;
             }
+            
+            return false;
         },
         
         /**
-         * Save consent to localStorage
+         * Check whether a script of a category (and optionally a vendor) may run
          */
-        saveConsent: function(consentState) {
-            this.consent = {
-                state: consentState,
-                timestamp: new Date().toISOString(),
-                version: this.version
-            };
+        isScriptAllowed: function(category, vendor) {
+            return this.isCategoryAllowed(category) && (!vendor || this.isVendorAllowed(vendor));
+        },
+        
+        /**
+         * Get the vendor registry (vendors.json), keyed by vendor ID
+         */
+        getVendors: function() {
+            return (this.config && this.config.vendors) || {};
+        },
+        
+        /**
+         * Check whether a vendor may run
+         * 
+         * A vendor needs its category; within it, only an explicit opt-out
+         * stored with the consent turns it off.
+         */
+        isVendorAllowed: function(vendorId) {
+            const vendor = this.getVendors()[vendorId];
+            if (!vendor) {
+                return true;
+            }
             
-            try {
-                localStorage.setItem('cmp_consent', JSON.stringify(this.consent));
-                console.log('CMP: Consent saved', this.consent);
-            } catch (error) {
-                console.error('CMP: Failed to save consent', error);
+            if (!this.isCategoryAllowed(vendor.category)) {
+                return false;
             }
             
-            // Log consent to backend
-            this.logConsent(consentState);
+            return !(this.consent && this.consent.vendors && this.consent.vendors[vendorId] === false);
+        },
+        
+        /**
+         * Get the vendor states, keyed by vendor ID
+         * 
+         * Without stored consent the vendors follow the default state of
+         * their category.
+         */
+        getVendorConsent: function() {
+            const state = this.getConsent() || this.getDefaultConsentState();
+            const stored = (this.consent && this.consent.vendors) || {};
+            const vendors = {};
             
-            // Apply consent
-            this.applyConsent();
+            for (const [id, vendor] of Object.entries(this.getVendors())) {
+                vendors[id] = !!state[vendor.category] && stored[id] !== false;
+            }
             
-            // Dispatch event
-            this.dispatchEvent('cmp:consent-changed', { consent: consentState });
+            return vendors;
         },
         
         /**
-         * Log consent to backend
+         * Resolve the vendor states to store with a consent
+         * 
+         * Vendors are only on when their category is. Within a consented
+         * category they follow vendorChoices; without choices, opt-outs in
+         * the current consent are kept for categories that were already on.
          */
-        logConsent: async function(consentState) {
-            try {
-                const sessionId = this.getSessionId();
-                
-                const response = await fetch(this.apiBase + '/consent.php', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        siteId: this.siteId,
-                        sessionId: sessionId,
-                        consentState: consentState,
-                        widgetVersion: this.version,
-                        policyVersion: this.config.policyVersion || '1.0.0'
-                    })
-                });
+        resolveVendorState: function(consentState, vendorChoices) {
+            const previous = this.consent;
+            const vendors = {};
+            
+            for (const [id, vendor] of Object.entries(this.getVendors())) {
+                let choice = vendorChoices ? vendorChoices[id] : undefined;
                 
-                if (!response.ok) {
-                    console.error('CMP: Failed to log consent');
+                if (!vendorChoices && previous && previous.vendors && previous.state &&
+                    previous.state[vendor.category]) {
+                    choice = previous.vendors[id];
                 }
-            } catch (error) {
-                console.error('CMP: Failed to log consent', error);
+                
+                vendors[id] = !!consentState[vendor.category] && choice !== false;
             }
+            
+            return vendors;
         },
         
         /**
-         * Get or create anonymous session ID
+         * Check whether resources of a category may run
          */
-        getSessionId: function() {
-            let sessionId = sessionStorage.getItem('cmp_session_id');
+        isCategoryAllowed: function(category) {
+            if (this.isCategoryLocked(category)) {
+                return true;
+            }
             
-            if (!sessionId) {
-                // Generate a random session ID
-                sessionId = this.generateId();
-                sessionStorage.setItem('cmp_session_id', sessionId);
+            if (category === 'blacklisted' || category === 'pending') {
+                return false;
             }
             
-            return sessionId;
+            const rules = (this.config && this.config.blocking && this.config.blocking.rules) || {};
+            if (rules[category] && rules[category].block === false) {
+                return true;
+            }
+            
+            // Legitimate interest does not wait for a choice
+            if (!this.consent && (this.isOptOutModel() || this.getLegalBasis(category) === 'legitimateInterest')) {
+                return !!this.getDefaultConsentState()[category];
+            }
+            
+            return !!(this.consent && this.consent.state && this.consent.state[category]);
         },
         
         /**
-         * Generate a random ID
+         * Install the cookie guard
+         * 
+         * Wraps the document.cookie setter so that writes for categories
+         * without consent are refused. Like the script guard it runs when
+         * cmp.js is evaluated; cookies whose category is only known once the
+         * config is loaded are removed afterwards by blockCookies.
          */
-        generateId: function() {
-            return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-                const r = Math.random() * 16 | 0;
-                const v = c === 'x' ? r : (r & 0x3 | 0x8);
-                return v.toString(16);
+        installCookieGuard: function() {
+            if (this.cookieGuardActive) return;
+            
+            const descriptor = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie') ||
+                Object.getOwnPropertyDescriptor(HTMLDocument.prototype, 'cookie');
+            
+            if (!descriptor || !descriptor.configurable) {
+                console.warn('CMP: Cookie guard unavailable in this browser');
+                return;
+            }
+            
+            const cmp = this;
+            this.nativeCookie = descriptor;
+            this.cookieGuardActive = true;
+            
+            Object.defineProperty(document, 'cookie', {
+                configurable: true,
+                get: function() {
+                    return descriptor.get.call(document);
+                },
+                set: function(value) {
+                    if (cmp.cookieGuardActive && cmp.shouldBlockCookie(value)) {
+                        const name = String(value).split('=')[0].trim();
+                        cmp.reportBlockedCookie(name, cmp.getCookieCategory(name), 'blocked');
+                        return;
+                    }
+                    descriptor.set.call(document, value);
+                }
             });
         },
         
         /**
-         * Check if banner should be shown
+         * Check whether a document.cookie write must be refused
          */
-        shouldShowBanner: function() {
-            // Don't show if consent already given
-            if (this.consent && this.consent.state) {
+        shouldBlockCookie: function(cookieString) {
+            const parts = String(cookieString).split(';');
+            const name = parts[0].split('=')[0].trim();
+            
+            if (!name) {
                 return false;
             }
             
-            // Check Do Not Track
-            if (this.config.widget && this.config.widget.behavior && 
-                this.config.widget.behavior.respectDoNotTrack) {
-                if (navigator.doNotTrack === '1' || window.doNotTrack === '1') {
-                    // Auto-reject all except necessary
-                    this.saveConsent({
-                        necessary: true,
-                        preferences: false,
-                        analytics: false,
-                        marketing: false
-                    });
+            // Always let cookies be removed
+            for (const attribute of parts.slice(1)) {
+                const [key, value] = attribute.split('=').map(part => part.trim().toLowerCase());
+                if (key === 'max-age' && parseInt(value, 10) <= 0) {
+                    return false;
+                }
+                if (key === 'expires' && Date.parse(value) <= Date.now()) {
                     return false;
                 }
             }
             
-            return true;
+            const vendor = this.getCookieVendor(name);
+            if (vendor && !this.isVendorAllowed(vendor)) {
+                return true;
+            }
+            
+            const category = this.getCookieCategory(name);
+            if (!category) {
+                return false; // Unknown cookies cannot be attributed to a category
+            }
+            
+            return !this.isCategoryAllowed(category);
         },
         
         /**
-         * Scan cookies on the page
+         * Resolve the category of a cookie by name
+         * 
+         * Uses the category attached by scanCookies (or cached from an
+         * earlier scan) first, then the `cookies` patterns of the
+         * blocking.json rules.
          */
-        scanCookies: function() {
-            const cookies = document.cookie.split(';');
-            this.cookies = [];
+        getCookieCategory: function(name) {
+            // The CMP's own cookies are required to remember consent
+            if (name.indexOf('cmp_') === 0) {
+                return 'necessary';
+            }
             
-            for (const cookie of cookies) {
-                const parts = cookie.trim().split('=');
-                if (parts.length >= 1) {
-                    const name = parts[0].trim();
-                    if (name) {
-                        this.cookies.push({
-                            name: name,
-                            domain: window.location.hostname,
-                            value: parts.slice(1).join('=')
-                        });
-                    }
+            const scanned = this.cookies.find(cookie => cookie.name === name) ||
+                this.getCookieCategoryCache()[name];
+            if (scanned && scanned.category && scanned.category !== 'uncategorized') {
+                return scanned.category;
+            }
+            
+            const rules = (this.config && this.config.blocking && this.config.blocking.rules) || {};
+            for (const [category, rule] of Object.entries(rules)) {
+                if ((rule.cookies || []).some(pattern => this.matchesCookiePattern(name, pattern))) {
+                    return category;
                 }
             }
             
-            console.log('CMP: Scanned cookies', this.cookies);
+            const vendor = this.getCookieVendor(name);
+            return vendor ? this.getVendors()[vendor].category : null;
         },
         
         /**
-         * Apply blocking to scripts and cookies
+         * Resolve the vendor of a cookie from the registry's `cookies` patterns
          */
-        applyBlocking: function() {
-            console.log('CMP: Applying blocking');
-            
-            // Intercept script tags
-            this.interceptScripts();
+        getCookieVendor: function(name) {
+            if (name.indexOf('cmp_') === 0) {
+                return null;
+            }
             
-            // Block cookies if no consent
-            if (!this.consent) {
-                this.blockCookies();
+            for (const [id, vendor] of Object.entries(this.getVendors())) {
+                if ((vendor.cookies || []).some(pattern => this.matchesCookiePattern(name, pattern))) {
+                    return id;
+                }
             }
+            
+            return null;
         },
         
         /**
-         * Intercept and block scripts based on category
+         * Check whether a cookie name matches a pattern (* wildcards supported)
          */
-        interceptScripts: function() {
-            // Observe DOM for new scripts
-            const observer = new MutationObserver((mutations) => {
-                mutations.forEach((mutation) => {
-                    mutation.addedNodes.forEach((node) => {
-                        if (node.tagName === 'SCRIPT') {
-                            this.handleScript(node);
-                        }
-                    });
-                });
-            });
+        matchesCookiePattern: function(name, pattern) {
+            const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+            return new RegExp('^' + escaped + '$').test(name);
+        },
+        
+        /**
+         * Block cookies that don't have consent
+         * 
+         * Deletes cookies that were set before the guard knew their category
+         * or whose category has since been withdrawn.
+         */
+        blockCookies: function() {
+            if (this.config.blocking.blockingMethods &&
+                this.config.blocking.blockingMethods.cookieDeletion === false) {
+                return;
+            }
             
-            observer.observe(document.documentElement, {
-                childList: true,
-                subtree: true
-            });
+            this.scanCookies();
             
-            // Handle existing scripts
-            document.querySelectorAll('script[type="text/plain"]').forEach((script) => {
-                this.handleScript(script);
+            this.cookies = this.cookies.filter((cookie) => {
+                const category = this.getCookieCategory(cookie.name);
+                const vendor = this.getCookieVendor(cookie.name);
+                if ((category && !this.isCategoryAllowed(category)) || (vendor && !this.isVendorAllowed(vendor))) {
+                    this.deleteCookie(cookie.name);
+                    this.reportBlockedCookie(cookie.name, category, 'deleted');
+                    return false;
+                }
+                return true;
             });
         },
         
         /**
-         * Handle individual script tag
+         * Delete a cookie across path and parent-domain variants
+         * 
+         * A cookie can only be removed with the same path and domain it was
+         * set with, and neither is readable from document.cookie, so every
+         * candidate combination is expired.
          */
-        handleScript: function(script) {
-            // Check if script should be blocked
-            const category = script.getAttribute('data-category');
+        deleteCookie: function(name) {
+            const expired = name + '=; expires=Thu, 01 Jan 1970 00:00:00 GMT';
             
-            if (!category) {
-                return; // No category, allow
-            }
+            const paths = ['/'];
+            const segments = window.location.pathname.split('/').filter(Boolean);
+            segments.reduce((path, segment) => {
+                path += '/' + segment;
+                paths.push(path);
+                return path;
+            }, '');
             
-            if (category === 'necessary') {
-                return; // Never block necessary
+            const domains = [null];
+            const labels = window.location.hostname.split('.');
+            for (let i = 0; i < labels.length - 1; i++) {
+                domains.push(labels.slice(i).join('.'));
             }
             
-            // Check consent
-            if (!this.consent || !this.consent.state[category]) {
-                // Block script
-                if (script.type !== 'text/plain') {
-                    script.type = 'text/plain';
-                    script.setAttribute('data-blocked', 'true');
-                    this.blockedScripts.push({
-                        script: script,
-                        category: category
-                    });
-                    console.log('CMP: Blocked script', category);
-                }
+            paths.forEach((path) => {
+                domains.forEach((domain) => {
+                    this.writeCookie(expired + '; path=' + path + (domain ? '; domain=' + domain : ''));
+                });
+            });
+        },
+        
+        /**
+         * Write a cookie bypassing the guard
+         */
+        writeCookie: function(cookieString) {
+            if (this.nativeCookie) {
+                this.nativeCookie.set.call(document, cookieString);
             } else {
-                // Unblock script
-                if (script.type === 'text/plain' && script.getAttribute('data-blocked')) {
-                    script.type = 'text/javascript';
-                    script.removeAttribute('data-blocked');
-                    console.log('CMP: Unblocked script', category);
-                }
+                document.cookie = cookieString;
             }
         },
         
         /**
-         * Block cookies that don't have consent
+         * Record a blocked or deleted cookie
          */
-        blockCookies: function() {
-            // This is a simplified approach
-            // In production, you'd need more sophisticated cookie blocking
-            console.log('CMP: Cookie blocking active');
+        reportBlockedCookie: function(name, category, action) {
+            const entry = {
+                name: name,
+                category: category,
+                action: action,
+                timestamp: new Date().toISOString()
+            };
+            
+            this.blockedCookies.push(entry);
+            console.log('CMP: Cookie ' + action, name, category);
+            this.dispatchEvent('cmp:cookie-blocked', entry);
         },
         
         /**
@@ -364,26 +2792,14 @@
             
             console.log('CMP: Applying consent', this.consent.state);
             
-            // Unblock scripts for accepted categories
-            this.blockedScripts.forEach(({ script, category }) => {
-                if (this.consent.state[category]) {
-                    if (script.type === 'text/plain') {
-                        // Clone and replace to execute
-                        const newScript = document.createElement('script');
-                        Array.from(script.attributes).forEach(attr => {
-                            if (attr.name !== 'type' && attr.name !== 'data-blocked') {
-                                newScript.setAttribute(attr.name, attr.value);
-                            }
-                        });
-                        newScript.textContent = script.textContent;
-                        script.parentNode.replaceChild(newScript, script);
-                        console.log('CMP: Executed blocked script', category);
-                    }
-                }
-            });
+            // Unblock scripts and embedded content for accepted categories
+            this.releaseScripts();
+            this.releaseElements();
             
-            // Clear blocked scripts list
-            this.blockedScripts = [];
+            // Remove cookies of withdrawn categories
+            if (this.cookieGuardActive) {
+                this.blockCookies();
+            }
         },
         
         /**
@@ -413,12 +2829,23 @@
             banner.id = 'cmp-banner';
             banner.className = 'cmp-banner cmp-layout-' + (config.layout || 'popup');
             banner.setAttribute('role', 'dialog');
-            banner.setAttribute('aria-label', 'Cookie Consent');
+            banner.setAttribute('aria-label', (config.texts && config.texts.title) || 'Cookie Consent');
             banner.setAttribute('aria-modal', 'true');
+            this.applyLocaleAttributes(banner);
             
             // Apply styles
             this.applyBannerStyles(banner, theme);
             
+            if (this.isOptOutModel()) {
+                return this.createOptOutBanner(banner, config);
+            }
+            
+            // Some jurisdictions do not require a reject button on the first layer
+            const rejectButton = this.getJurisdictionProfile().rejectButton !== false ? `
+                        <button id="cmp-reject-all" class="cmp-btn cmp-btn-secondary">
+                            ${this.escapeHtml(config.texts.rejectAll)}
+                        </button>` : '';
+            
             banner.innerHTML = `
                 <div class="cmp-banner-content">
                     <h2 class="cmp-banner-title">${this.escapeHtml(config.texts.title)}</h2>
@@ -426,10 +2853,7 @@
                     <div class="cmp-banner-buttons">
                         <button id="cmp-accept-all" class="cmp-btn cmp-btn-primary">
                             ${this.escapeHtml(config.texts.acceptAll)}
-                        </button>
-                        <button id="cmp-reject-all" class="cmp-btn cmp-btn-secondary">
-                            ${this.escapeHtml(config.texts.rejectAll)}
-                        </button>
+                        </button>${rejectButton}
                         <button id="cmp-customize" class="cmp-btn cmp-btn-link">
                             ${this.escapeHtml(config.texts.customize)}
                         </button>
@@ -443,11 +2867,47 @@
             return banner;
         },
         
+        /**
+         * Fill the banner with the opt-out notice used for US jurisdictions
+         */
+        createOptOutBanner: function(banner, config) {
+            const texts = config.texts;
+            
+            banner.innerHTML = `
+                <div class="cmp-banner-content">
+                    <h2 class="cmp-banner-title">${this.escapeHtml(texts.title)}</h2>
+                    <p class="cmp-banner-description">${this.escapeHtml(texts.optOutDescription || texts.description)}</p>
+                    <div class="cmp-banner-buttons">
+                        <button id="cmp-acknowledge" class="cmp-btn cmp-btn-primary">
+                            ${this.escapeHtml(texts.acknowledge || 'OK')}
+                        </button>
+                        <button id="cmp-customize" class="cmp-btn cmp-btn-link">
+                            ${this.escapeHtml(texts.customize)}
+                        </button>
+                    </div>
+                    <button id="cmp-do-not-sell" class="cmp-btn cmp-btn-link cmp-do-not-sell">
+                        ${this.escapeHtml(texts.doNotSell || 'Do Not Sell or Share My Personal Information')}
+                    </button>
+                </div>
+            `;
+            
+            this.attachOptOutBannerEvents(banner);
+            
+            return banner;
+        },
+        
         /**
          * Apply banner styles from theme
          */
         applyBannerStyles: function(banner, theme) {
+            // Replace the styles of an earlier banner (the admin preview re-renders)
+            const previous = document.getElementById('cmp-banner-styles');
+            if (previous) {
+                previous.remove();
+            }
+            
             const style = document.createElement('style');
+            style.id = 'cmp-banner-styles';
             style.textContent = `
                 .cmp-banner {
                     position: fixed;
@@ -471,7 +2931,7 @@
                 
                 .cmp-layout-popup {
                     bottom: 20px;
-                    right: 20px;
+                    inset-inline-end: 20px;
                 }
                 
                 .cmp-layout-bottom-full {
@@ -581,8 +3041,34 @@
                 this.hideBanner(banner);
             });
             
-            rejectBtn.addEventListener('click', () => {
-                this.rejectAll();
+            if (rejectBtn) {
+                rejectBtn.addEventListener('click', () => {
+                    this.rejectAll();
+                    this.hideBanner(banner);
+                });
+            }
+            
+            customizeBtn.addEventListener('click', () => {
+                this.hideBanner(banner);
+                this.showPreferenceCenter();
+            });
+        },
+        
+        /**
+         * Attach event listeners to the opt-out banner
+         */
+        attachOptOutBannerEvents: function(banner) {
+            const acknowledgeBtn = banner.querySelector('#cmp-acknowledge');
+            const doNotSellBtn = banner.querySelector('#cmp-do-not-sell');
+            const customizeBtn = banner.querySelector('#cmp-customize');
+            
+            acknowledgeBtn.addEventListener('click', () => {
+                this.saveConsent(this.getDefaultConsentState());
+                this.hideBanner(banner);
+            });
+            
+            doNotSellBtn.addEventListener('click', () => {
+                this.optOutOfSale();
                 this.hideBanner(banner);
             });
             
@@ -596,24 +3082,14 @@
          * Accept all cookies
          */
         acceptAll: function() {
-            this.saveConsent({
-                necessary: true,
-                preferences: true,
-                analytics: true,
-                marketing: true
-            });
+            this.saveConsent(this.buildConsentState(true));
         },
         
         /**
-         * Reject all non-necessary cookies
+         * Reject all non-necessary cookies (legitimate-interest categories stay on)
          */
         rejectAll: function() {
-            this.saveConsent({
-                necessary: true,
-                preferences: false,
-                analytics: false,
-                marketing: false
-            });
+            this.saveConsent(this.withLegitimateInterest(this.buildConsentState(false)));
         },
         
         /**
@@ -659,12 +3135,53 @@
             return this.consent ? this.consent.state : null;
         },
         
-        updateConsent: function(consentState) {
-            this.saveConsent(consentState);
+        getBlockedCookies: function() {
+            return this.blockedCookies.slice();
         },
         
-        resetConsent: function() {
-            localStorage.removeItem('cmp_consent');
+        updateConsent: function(consentState, vendorChoices) {
+            this.saveConsent(consentState, 'user', vendorChoices);
+        },
+        
+        /**
+         * Switch the widget to another language, e.g. from a site's language switcher
+         * 
+         * An open banner and the placeholders are rendered again; the
+         * preference center uses the language the next time it opens.
+         */
+        setLocale: function(locale) {
+            if (!this.config) return;
+            
+            const normalized = this.normalizeLocale(locale);
+            this.applyLocale(this.resolveLocale(normalized ? [normalized] : []));
+            
+            const banner = document.getElementById('cmp-banner');
+            if (banner && banner.classList.contains('cmp-show')) {
+                const replacement = this.createBanner();
+                replacement.classList.add('cmp-show');
+                banner.replaceWith(replacement);
+            }
+            
+            this.blockedElements.forEach(entry => {
+                if (entry.placeholder && entry.placeholder.parentNode) {
+                    const placeholder = this.createPlaceholder(entry);
+                    entry.placeholder.replaceWith(placeholder);
+                    entry.placeholder = placeholder;
+                }
+            });
+            
+            this.dispatchEvent('cmp:locale-changed', { locale: this.locale, direction: this.direction });
+        },
+        
+        getLocale: function() {
+            return this.locale;
+        },
+        
+        resetConsent: async function() {
+            this.clearStoredConsent();
+            if (this.getHubConfig().enabled) {
+                await this.hubRequest('clear');
+            }
             this.consent = null;
             location.reload();
         }
@@ -673,6 +3190,17 @@
     // Expose CMP globally
     window.CMP = CMP;
     
+    // The admin widget preview renders on demand (widget-preview.js)
+    if (scriptTag && scriptTag.hasAttribute('data-preview')) {
+        CMP.previewMode = true;
+        return;
+    }
+    
+    // Guard script insertion and cookie writes before anything else gets a chance to run
+    CMP.installScriptGuard();
+    CMP.installCookieGuard();
+    CMP.installConsentMode();
+    
     // Auto-initialize when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', () => CMP.init());
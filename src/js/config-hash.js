@@ -0,0 +1,23 @@
+/**
+ * Configuration Hash
+ * 
+ * Short hash of a widget configuration, shared by the setup wizard and
+ * the dashboard's widget editor. Consent records carry it to identify
+ * the widget they were given for. Load before wizard.js or admin.js.
+ */
+
+(function() {
+    'use strict';
+    
+    window.generateConfigHash = function(value) {
+        const str = JSON.stringify(value);
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            const char = str.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash;
+        }
+        return Math.abs(hash).toString(36);
+    };
+
+})();
@@ -0,0 +1,125 @@
+/**
+ * CMP Consent Hub
+ * 
+ * Runs inside the hidden iframe served by api/hub.php. Keeps the
+ * canonical consent in a cookie on the CMP host and answers get, set and
+ * clear requests from the allow-listed sites via postMessage. The value
+ * is stored exactly as cmp.js encodes it.
+ */
+
+(function() {
+    'use strict';
+    
+    const config = window.CMP_HUB || {};
+    
+    const Hub = {
+        allowedOrigins: config.allowedOrigins || [],
+        cookieName: config.cookieName || 'cmp_hub_consent',
+        maxAge: (config.maxAgeDays || 395) * 24 * 60 * 60,
+        
+        /**
+         * Start listening for requests
+         */
+        init: function() {
+            window.addEventListener('message', (event) => this.handleMessage(event));
+        },
+        
+        /**
+         * Answer a request from an allow-listed origin
+         */
+        handleMessage: async function(event) {
+            const call = event.data && event.data.__cmpHubCall;
+            if (!call || !event.source) {
+                return;
+            }
+            
+            if (this.allowedOrigins.indexOf(event.origin) === -1) {
+                console.warn('CMP Hub: Ignoring request from ' + event.origin);
+                return;
+            }
+            
+            let response;
+            try {
+                response = await this.run(call.command, call.value);
+            } catch (error) {
+                response = { success: false, error: error.message };
+            }
+            
+            response.callId = call.callId;
+            event.source.postMessage({ __cmpHubReturn: response }, event.origin);
+        },
+        
+        /**
+         * Run a command against the hub cookie
+         */
+        run: async function(command, value) {
+            const shared = await this.hasSharedStorage();
+            
+            switch (command) {
+                case 'get':
+                    return { success: true, shared: shared, value: shared ? this.read() : null };
+                
+                case 'set':
+                    if (typeof value !== 'string' || !/^[A-Za-z0-9._-]+$/.test(value)) {
+                        throw new Error('Invalid consent value');
+                    }
+                    if (shared) {
+                        this.write(value, this.maxAge);
+                    }
+                    return { success: !shared || this.read() === value, shared: shared };
+                
+                case 'clear':
+                    if (shared) {
+                        this.write('', 0);
+                    }
+                    return { success: true, shared: shared };
+                
+                default:
+                    throw new Error('Unknown command: ' + command);
+            }
+        },
+        
+        /**
+         * Check whether the hub's cookies are shared between top-level sites
+         * 
+         * Browsers that partition or block third-party storage report no
+         * storage access; whatever the hub wrote there would only be seen by
+         * the site that embeds it.
+         */
+        hasSharedStorage: async function() {
+            if (document.hasStorageAccess) {
+                try {
+                    if (!(await document.hasStorageAccess())) {
+                        return false;
+                    }
+                } catch (error) {
+                    return false;
+                }
+            }
+            
+            document.cookie = 'cmp_hub_probe=1; Path=/; SameSite=None; Secure';
+            const writable = document.cookie.indexOf('cmp_hub_probe=1') !== -1;
+            document.cookie = 'cmp_hub_probe=; Max-Age=0; Path=/; SameSite=None; Secure';
+            
+            return writable;
+        },
+        
+        /**
+         * Read the stored consent value
+         */
+        read: function() {
+            const match = document.cookie.match(new RegExp('(?:^|;\\s*)' + this.cookieName + '=([^;]*)'));
+            return match && match[1] ? match[1] : null;
+        },
+        
+        /**
+         * Write the consent value (SameSite=None so it is sent in iframes)
+         */
+        write: function(value, maxAge) {
+            document.cookie = this.cookieName + '=' + value + '; Max-Age=' + maxAge + '; Path=/; SameSite=None; Secure';
+        }
+    };
+    
+    Hub.init();
+
+})();
@@ -0,0 +1,87 @@
+/**
+ * IAB GPP API Stub
+ * 
+ * Inline in the <head> before any ad tags. Queues __gpp calls (and calls
+ * from other frames) until gpp.js takes over.
+ */
+
+(function() {
+    'use strict';
+    
+    if (typeof window.__gpp === 'function') return;
+    
+    const queue = [];
+    
+    const stub = function(command, callback, parameter, version) {
+        if (typeof callback !== 'function') return;
+        
+        if (command === 'ping') {
+            callback({
+                gppVersion: '1.1',
+                cmpStatus: 'stub',
+                cmpDisplayStatus: 'hidden',
+                signalStatus: 'not ready',
+                supportedAPIs: [],
+                cmpId: 0,
+                sectionList: [],
+                applicableSections: [-1],
+                gppString: '',
+                parsedSections: {}
+            }, true);
+            return;
+        }
+        
+        queue.push([command, callback, parameter, version]);
+    };
+    stub.queue = queue;
+    
+    window.__gpp = stub;
+    
+    // Locator frame so nested frames can find the CMP
+    const addLocatorFrame = function() {
+        if (document.querySelector('iframe[name="__gppLocator"]')) return;
+        
+        if (!document.body) {
+            setTimeout(addLocatorFrame, 5);
+            return;
+        }
+        
+        const iframe = document.createElement('iframe');
+        iframe.name = '__gppLocator';
+        iframe.style.display = 'none';
+        iframe.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(iframe);
+    };
+    addLocatorFrame();
+    
+    // Queue calls from other frames until gpp.js installs its own bridge
+    window.addEventListener('message', function(event) {
+        if (window.__gpp !== stub) return;
+        
+        let data = event.data;
+        const isString = typeof data === 'string';
+        
+        if (isString) {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                return;
+            }
+        }
+        
+        const call = data && data.__gppCall;
+        if (!call || !event.source) return;
+        
+        stub(call.command, function(returnValue, success) {
+            const response = {
+                __gppReturn: {
+                    returnValue: returnValue,
+                    success: success,
+                    callId: call.callId
+                }
+            };
+            event.source.postMessage(isString ? JSON.stringify(response) : response, '*');
+        }, call.parameter, call.version);
+    });
+
+})();
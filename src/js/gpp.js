@@ -0,0 +1,603 @@
+/**
+ * CMP IAB GPP Module
+ * 
+ * Implements the __gpp CMP API (v1.1, including the __gppLocator frame and
+ * postMessage bridge) and encodes the GPP string. US sections are derived
+ * from the category consent: opting out of any GPC opt-out category
+ * (marketing by default) opts out of sale, sharing and targeted
+ * advertising.
+ */
+
+(function() {
+    'use strict';
+    
+    if (!window.CMP) {
+        console.error('CMP not found. Make sure cmp.js is loaded first.');
+        return;
+    }
+    
+    /**
+     * US section layouts
+     * 
+     * Fields are encoded in this order after the 6-bit Version; every field
+     * is 2 bits wide and [name, n] describes a list of n values.
+     */
+    const SECTIONS = {
+        usnat: {
+            id: 7,
+            version: 2,
+            gpc: true,
+            fields: [
+                'SharingNotice', 'SaleOptOutNotice', 'SharingOptOutNotice', 'TargetedAdvertisingOptOutNotice',
+                'SensitiveDataProcessingOptOutNotice', 'SensitiveDataLimitUseNotice',
+                'SaleOptOut', 'SharingOptOut', 'TargetedAdvertisingOptOut',
+                ['SensitiveDataProcessing', 16], ['KnownChildSensitiveDataConsents', 3], 'PersonalDataConsents',
+                'MspaCoveredTransaction', 'MspaOptOutOptionMode', 'MspaServiceProviderMode'
+            ]
+        },
+        usca: {
+            id: 8,
+            version: 1,
+            gpc: true,
+            fields: [
+                'SaleOptOutNotice', 'SharingOptOutNotice', 'SensitiveDataLimitUseNotice',
+                'SaleOptOut', 'SharingOptOut',
+                ['SensitiveDataProcessing', 9], ['KnownChildSensitiveDataConsents', 2], 'PersonalDataConsents',
+                'MspaCoveredTransaction', 'MspaOptOutOptionMode', 'MspaServiceProviderMode'
+            ]
+        },
+        usva: {
+            id: 9,
+            version: 1,
+            gpc: false,
+            fields: [
+                'SharingNotice', 'SaleOptOutNotice', 'TargetedAdvertisingOptOutNotice',
+                'SaleOptOut', 'TargetedAdvertisingOptOut',
+                ['SensitiveDataProcessing', 8], 'KnownChildSensitiveDataConsents',
+                'MspaCoveredTransaction', 'MspaOptOutOptionMode', 'MspaServiceProviderMode'
+            ]
+        },
+        usco: {
+            id: 10,
+            version: 1,
+            gpc: true,
+            fields: [
+                'SharingNotice', 'SaleOptOutNotice', 'TargetedAdvertisingOptOutNotice',
+                'SaleOptOut', 'TargetedAdvertisingOptOut',
+                ['SensitiveDataProcessing', 7], 'KnownChildSensitiveDataConsents',
+                'MspaCoveredTransaction', 'MspaOptOutOptionMode', 'MspaServiceProviderMode'
+            ]
+        },
+        usut: {
+            id: 11,
+            version: 1,
+            gpc: false,
+            fields: [
+                'SharingNotice', 'SaleOptOutNotice', 'TargetedAdvertisingOptOutNotice', 'SensitiveDataProcessingOptOutNotice',
+                'SaleOptOut', 'TargetedAdvertisingOptOut',
+                ['SensitiveDataProcessing', 8], 'KnownChildSensitiveDataConsents',
+                'MspaCoveredTransaction', 'MspaOptOutOptionMode', 'MspaServiceProviderMode'
+            ]
+        },
+        usct: {
+            id: 12,
+            version: 1,
+            gpc: true,
+            fields: [
+                'SharingNotice', 'SaleOptOutNotice', 'TargetedAdvertisingOptOutNotice',
+                'SaleOptOut', 'TargetedAdvertisingOptOut',
+                ['SensitiveDataProcessing', 8], ['KnownChildSensitiveDataConsents', 3],
+                'MspaCoveredTransaction', 'MspaOptOutOptionMode', 'MspaServiceProviderMode'
+            ]
+        }
+    };
+    
+    const BASE64_URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    
+    const GPP = {
+        gppVersion: '1.1',
+        config: null,
+        sections: {},
+        gppString: '',
+        cmpStatus: 'loading',
+        cmpDisplayStatus: 'hidden',
+        signalStatus: 'not ready',
+        queue: [],
+        listeners: {},
+        nextListenerId: 1,
+        
+        /**
+         * Install __gpp, the locator frame and the message bridge
+         * 
+         * Calls queued by the stub (gpp-stub.js) are taken over and
+         * answered once the CMP has loaded.
+         */
+        install: function() {
+            const stub = window.__gpp;
+            if (stub && Array.isArray(stub.queue)) {
+                this.queue = stub.queue.slice();
+            }
+            
+            window.__gpp = (command, callback, parameter, version) => {
+                this.handleCommand(command, callback, parameter, version);
+            };
+            
+            this.addLocatorFrame();
+            window.addEventListener('message', (event) => this.handleMessage(event));
+        },
+        
+        /**
+         * Initialize once the CMP has loaded its configuration
+         */
+        init: function() {
+            this.config = Object.assign(this.getDefaultConfig(), CMP.config.gpp || {});
+            
+            if (!this.config.enabled) {
+                this.uninstall();
+                return;
+            }
+            
+            this.update(CMP.consent ? CMP.consent.state : null);
+            
+            this.setStatus('cmpStatus', 'loaded');
+            this.setStatus('cmpDisplayStatus', CMP.consent ? 'hidden' : 'visible');
+            this.flushQueue();
+            this.setStatus('signalStatus', 'ready');
+        },
+        
+        /**
+         * Get default configuration
+         */
+        getDefaultConfig: function() {
+            return {
+                enabled: true,
+                cmpId: 0,
+                includeNational: true,
+                mspaCoveredTransaction: false,
+                mspaMode: 'optOut',
+                fields: {}
+            };
+        },
+        
+        /**
+         * Remove the API when GPP is disabled for the site
+         */
+        uninstall: function() {
+            this.cmpStatus = 'error';
+            this.flushQueue();
+            delete window.__gpp;
+            
+            const frame = document.querySelector('iframe[name="__gppLocator"]');
+            if (frame) frame.remove();
+        },
+        
+        /**
+         * Check whether the API answers calls
+         */
+        isReady: function() {
+            return this.cmpStatus === 'loaded';
+        },
+        
+        /**
+         * Get the US sections that apply to the configured jurisdiction
+         * 
+         * 'ccpa' maps to California and 'us' to the national section; a
+         * state section ID (e.g. 'usva') can be configured directly.
+         */
+        getApplicableSectionNames: function() {
+            const jurisdiction = CMP.jurisdiction;
+            const names = [];
+            
+            if (jurisdiction === 'ccpa') {
+                names.push('usca');
+            } else if (SECTIONS[jurisdiction] && jurisdiction !== 'usnat') {
+                names.push(jurisdiction);
+            }
+            
+            if (jurisdiction === 'us' || jurisdiction === 'usnat' || (names.length && this.config.includeNational)) {
+                names.unshift('usnat');
+            }
+            
+            return names;
+        },
+        
+        /**
+         * Rebuild all sections and the GPP string from a category consent state
+         */
+        update: function(consentState) {
+            this.sections = {};
+            
+            this.getApplicableSectionNames().forEach(name => {
+                this.sections[name] = this.buildSection(name, consentState);
+            });
+            
+            this.gppString = this.encode(this.sections);
+        },
+        
+        /**
+         * Build the field values of a US section
+         * 
+         * Without a stored choice the visitor has not opted out. Notices for
+         * sale, sharing and targeted advertising are provided by the banner;
+         * sensitive data fields stay "not applicable" unless configured.
+         */
+        buildSection: function(name, consentState) {
+            const layout = SECTIONS[name];
+            const optedOut = !!consentState && CMP.getGpcOptOutCategories().some(category => !consentState[category]);
+            const covered = !!this.config.mspaCoveredTransaction;
+            
+            const defaults = {
+                SharingNotice: 1,
+                SaleOptOutNotice: 1,
+                SharingOptOutNotice: 1,
+                TargetedAdvertisingOptOutNotice: 1,
+                SaleOptOut: optedOut ? 1 : 2,
+                SharingOptOut: optedOut ? 1 : 2,
+                TargetedAdvertisingOptOut: optedOut ? 1 : 2,
+                MspaCoveredTransaction: covered ? 1 : 2,
+                MspaOptOutOptionMode: covered ? (this.config.mspaMode === 'optOut' ? 1 : 2) : 0,
+                MspaServiceProviderMode: covered ? (this.config.mspaMode === 'serviceProvider' ? 1 : 2) : 0
+            };
+            const overrides = this.config.fields[name] || {};
+            
+            const section = { Version: layout.version };
+            
+            layout.fields.forEach(field => {
+                const [fieldName, count] = Array.isArray(field) ? field : [field, 0];
+                let value = fieldName in overrides ? overrides[fieldName] : defaults[fieldName];
+                
+                if (count) {
+                    value = Array.isArray(value) ? value.slice(0, count) : [];
+                    while (value.length < count) value.push(0);
+                }
+                
+                section[fieldName] = count ? value : (value || 0);
+            });
+            
+            if (layout.gpc) {
+                section.GpcSegmentType = 1;
+                section.Gpc = navigator.globalPrivacyControl === true;
+            }
+            
+            return section;
+        },
+        
+        /**
+         * Encode sections as a GPP string (header followed by the sections
+         * in section ID order)
+         */
+        encode: function(sections) {
+            const names = Object.keys(sections).sort((a, b) => SECTIONS[a].id - SECTIONS[b].id);
+            
+            let header = '';
+            header += this.encodeInt(3, 6);
+            header += this.encodeInt(1, 6);
+            header += this.encodeFibonacciRange(names.map(name => SECTIONS[name].id));
+            
+            const encoded = [this.toBase64(header)];
+            
+            names.forEach(name => {
+                encoded.push(this.encodeSection(name, sections[name]));
+            });
+            
+            return encoded.join('~');
+        },
+        
+        /**
+         * Encode a US section (core segment and, where defined, GPC segment)
+         */
+        encodeSection: function(name, section) {
+            const layout = SECTIONS[name];
+            
+            let core = this.encodeInt(section.Version, 6);
+            layout.fields.forEach(field => {
+                const fieldName = Array.isArray(field) ? field[0] : field;
+                [].concat(section[fieldName]).forEach(value => {
+                    core += this.encodeInt(value, 2);
+                });
+            });
+            
+            let encoded = this.toBase64(core);
+            
+            if (layout.gpc) {
+                encoded += '.' + this.toBase64(this.encodeInt(1, 2) + (section.Gpc ? '1' : '0'));
+            }
+            
+            return encoded;
+        },
+        
+        /**
+         * Bit encoding helpers
+         */
+        encodeInt: function(value, length) {
+            return Math.max(0, Math.floor(value || 0)).toString(2).padStart(length, '0').slice(-length);
+        },
+        
+        /**
+         * Encode a positive integer in Fibonacci coding (Zeckendorf
+         * representation, lowest term first, terminated by an extra 1)
+         */
+        encodeFibonacci: function(value) {
+            const fib = [1, 2];
+            while (fib[fib.length - 1] + fib[fib.length - 2] <= value) {
+                fib.push(fib[fib.length - 1] + fib[fib.length - 2]);
+            }
+            
+            const bits = [];
+            let rest = value;
+            for (let i = fib.length - 1; i >= 0; i--) {
+                if (fib[i] <= rest) {
+                    bits[i] = '1';
+                    rest -= fib[i];
+                } else {
+                    bits[i] = '0';
+                }
+            }
+            
+            return bits.join('').replace(/0+$/, '') + '1';
+        },
+        
+        /**
+         * Encode a list of IDs as a Fibonacci range (consecutive IDs grouped,
+         * every value stored as an offset from the previous one)
+         */
+        encodeFibonacciRange: function(ids) {
+            const sorted = ids.slice().sort((a, b) => a - b);
+            const groups = [];
+            
+            sorted.forEach(id => {
+                const last = groups[groups.length - 1];
+                if (last && last[1] + 1 === id) {
+                    last[1] = id;
+                } else {
+                    groups.push([id, id]);
+                }
+            });
+            
+            let bits = this.encodeInt(groups.length, 12);
+            let offset = 0;
+            
+            groups.forEach(([start, end]) => {
+                if (start === end) {
+                    bits += '0' + this.encodeFibonacci(start - offset);
+                } else {
+                    bits += '1' + this.encodeFibonacci(start - offset) + this.encodeFibonacci(end - start);
+                }
+                offset = end;
+            });
+            
+            return bits;
+        },
+        
+        /**
+         * Convert a bit string to base64url, padded to whole bytes
+         */
+        toBase64: function(bits) {
+            let padded = bits + '0'.repeat((8 - bits.length % 8) % 8);
+            padded += '0'.repeat((6 - padded.length % 6) % 6);
+            
+            let result = '';
+            for (let i = 0; i < padded.length; i += 6) {
+                result += BASE64_URL[parseInt(padded.substr(i, 6), 2)];
+            }
+            return result;
+        },
+        
+        /**
+         * Handle a __gpp call
+         */
+        handleCommand: function(command, callback, parameter, version) {
+            if (typeof callback !== 'function') return;
+            
+            if (version && version !== this.gppVersion) {
+                callback(null, false);
+                return;
+            }
+            
+            if (command === 'ping') {
+                callback(this.getPingData(), true);
+                return;
+            }
+            
+            // Listeners are registered right away and notified once loaded
+            if (command === 'addEventListener' && this.cmpStatus !== 'error') {
+                const listenerId = this.nextListenerId++;
+                this.listeners[listenerId] = callback;
+                callback(this.getEventData('listenerRegistered', listenerId, true), true);
+                return;
+            }
+            
+            if (command === 'removeEventListener') {
+                const exists = !!this.listeners[parameter];
+                delete this.listeners[parameter];
+                callback(this.getEventData('listenerRemoved', parameter, exists), true);
+                return;
+            }
+            
+            if (this.cmpStatus === 'loading') {
+                this.queue.push([command, callback, parameter, version]);
+                return;
+            }
+            
+            if (this.cmpStatus !== 'loaded') {
+                callback(null, false);
+                return;
+            }
+            
+            switch (command) {
+                case 'hasSection':
+                    callback(this.getSectionName(parameter) in this.sections, true);
+                    break;
+                
+                case 'getSection': {
+                    const section = this.sections[this.getSectionName(parameter)];
+                    callback(section ? Object.assign({}, section) : null, !!section);
+                    break;
+                }
+                
+                case 'getField': {
+                    const [name, field] = String(parameter || '').split('.');
+                    const section = this.sections[name];
+                    const found = !!section && field in section;
+                    callback(found ? section[field] : null, found);
+                    break;
+                }
+                
+                default:
+                    callback(null, false);
+            }
+        },
+        
+        /**
+         * Strip an optional version suffix (e.g. 'usnat.2') from a section parameter
+         */
+        getSectionName: function(parameter) {
+            return String(parameter || '').split('.')[0];
+        },
+        
+        /**
+         * Answer calls made before the CMP finished loading
+         */
+        flushQueue: function() {
+            const queue = this.queue;
+            this.queue = [];
+            queue.forEach(args => this.handleCommand.apply(this, args));
+        },
+        
+        /**
+         * Build the ping response
+         */
+        getPingData: function() {
+            const sectionIds = Object.keys(this.sections).map(name => SECTIONS[name].id).sort((a, b) => a - b);
+            const parsedSections = {};
+            
+            Object.keys(this.sections).forEach(name => {
+                parsedSections[name] = Object.assign({}, this.sections[name]);
+            });
+            
+            return {
+                gppVersion: this.gppVersion,
+                cmpStatus: this.cmpStatus,
+                cmpDisplayStatus: this.cmpDisplayStatus,
+                signalStatus: this.signalStatus,
+                supportedAPIs: Object.keys(SECTIONS).map(name => SECTIONS[name].id + ':' + name),
+                cmpId: this.config ? this.config.cmpId : 0,
+                sectionList: sectionIds,
+                applicableSections: sectionIds.length ? sectionIds : [-1],
+                gppString: this.gppString,
+                parsedSections: parsedSections
+            };
+        },
+        
+        /**
+         * Build the event object passed to listeners
+         */
+        getEventData: function(eventName, listenerId, data) {
+            return {
+                eventName: eventName,
+                listenerId: listenerId,
+                data: data,
+                pingData: this.getPingData()
+            };
+        },
+        
+        /**
+         * Update a status field and tell listeners about the change
+         */
+        setStatus: function(field, value) {
+            if (this[field] === value) return;
+            
+            this[field] = value;
+            this.notifyListeners(field, value);
+        },
+        
+        /**
+         * Call all registered event listeners
+         */
+        notifyListeners: function(eventName, data) {
+            for (const [listenerId, callback] of Object.entries(this.listeners)) {
+                try {
+                    callback(this.getEventData(eventName, Number(listenerId), data), true);
+                } catch (error) {
+                    console.error('GPP: Listener failed', error);
+                }
+            }
+        },
+        
+        /**
+         * Add the __gppLocator frame so nested frames can find the CMP
+         */
+        addLocatorFrame: function() {
+            if (document.querySelector('iframe[name="__gppLocator"]')) return;
+            
+            if (!document.body) {
+                document.addEventListener('DOMContentLoaded', () => this.addLocatorFrame());
+                return;
+            }
+            
+            const iframe = document.createElement('iframe');
+            iframe.name = '__gppLocator';
+            iframe.style.display = 'none';
+            iframe.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(iframe);
+        },
+        
+        /**
+         * Answer __gppCall messages from other frames
+         */
+        handleMessage: function(event) {
+            let data = event.data;
+            const isString = typeof data === 'string';
+            
+            if (isString) {
+                try {
+                    data = JSON.parse(data);
+                } catch (error) {
+                    return;
+                }
+            }
+            
+            const call = data && data.__gppCall;
+            if (!call || !event.source || typeof window.__gpp !== 'function') return;
+            
+            window.__gpp(call.command, (returnValue, success) => {
+                const response = {
+                    __gppReturn: {
+                        returnValue: returnValue,
+                        success: success,
+                        callId: call.callId
+                    }
+                };
+                event.source.postMessage(isString ? JSON.stringify(response) : response, '*');
+            }, call.parameter, call.version);
+        }
+    };
+    
+    // Expose as CMP module
+    CMP.GPP = GPP;
+    
+    GPP.install();
+    
+    if (CMP.initialized) {
+        GPP.init();
+    } else {
+        window.addEventListener('cmp:initialized', () => GPP.init());
+    }
+    
+    window.addEventListener('cmp:consent-changed', (e) => {
+        if (!GPP.isReady()) return;
+        
+        GPP.setStatus('signalStatus', 'not ready');
+        GPP.update(e.detail.consent);
+        Object.keys(GPP.sections).forEach(name => GPP.notifyListeners('sectionChange', name));
+        GPP.setStatus('cmpDisplayStatus', 'hidden');
+        GPP.setStatus('signalStatus', 'ready');
+    });
+    
+    window.addEventListener('cmp:show-preferences', () => {
+        if (!GPP.isReady()) return;
+        
+        GPP.setStatus('cmpDisplayStatus', 'visible');
+    });
+
+})();
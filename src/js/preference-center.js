@@ -17,6 +17,9 @@
         element: null,
         config: null,
         currentState: null,
+        vendorState: null,
+        tcfChoices: null,
+        cookieDeclaration: null,
         
         /**
          * Show the preference center
@@ -26,11 +29,17 @@
             
             this.config = CMP.config.preferenceCenter || this.getDefaultConfig();
             this.currentState = CMP.getConsent() || this.getDefaultState();
+            this.vendorState = CMP.getVendorConsent();
+            this.tcfChoices = CMP.TCF && CMP.TCF.isReady() ? CMP.TCF.getChoices() : null;
             
             // Create preference center element
             this.element = this.create();
             document.body.appendChild(this.element);
             
+            if (this.config.showAdvancedMode) {
+                this.loadCookieDeclaration();
+            }
+            
             // Add animation
             setTimeout(() => {
                 this.element.classList.add('cmp-pc-show');
@@ -98,12 +107,7 @@
          * Get default consent state
          */
         getDefaultState: function() {
-            return {
-                necessary: true,
-                preferences: false,
-                analytics: false,
-                marketing: false
-            };
+            return CMP.getDefaultConsentState();
         },
         
         /**
@@ -114,8 +118,9 @@
             container.id = 'cmp-preference-center';
             container.className = 'cmp-pc cmp-pc-layout-' + (this.config.layout || 'popup');
             container.setAttribute('role', 'dialog');
-            container.setAttribute('aria-label', 'Cookie Preferences');
+            container.setAttribute('aria-label', this.config.texts.title || 'Cookie Preferences');
             container.setAttribute('aria-modal', 'true');
+            CMP.applyLocaleAttributes(container);
             
             // Apply styles
             this.applyStyles();
@@ -134,9 +139,14 @@
                     </div>
                     <div class="cmp-pc-body">
                         <p class="cmp-pc-description">${this.escapeHtml(this.config.texts.description)}</p>
+                        ${this.renderGpcNotice()}
                         <div class="cmp-pc-categories">
                             ${this.renderCategories()}
                         </div>
+                        <div class="cmp-pc-cookie-details" data-cookie-category="uncategorized"></div>
+                        ${this.renderTcf()}
+                        ${this.renderConsentId()}
+                        ${this.renderReceipt()}
                     </div>
                     <div class="cmp-pc-footer">
                         <button id="cmp-pc-save" class="cmp-btn cmp-btn-primary">
@@ -161,10 +171,28 @@
         renderCategories: function() {
             let html = '';
             
+            const texts = this.config.texts;
+            
             for (const [key, category] of Object.entries(this.config.categories)) {
-                const checked = this.currentState[key] ? 'checked' : '';
+                // Legitimate-interest categories get an "Object" toggle that is on while the visitor objects
+                const objection = CMP.getLegalBasis(key) === 'legitimateInterest';
+                const checked = this.currentState[key] !== objection ? 'checked' : '';
                 const disabled = category.locked ? 'disabled' : '';
                 const disabledClass = category.locked ? 'cmp-pc-category-disabled' : '';
+                const toggle = `
+                    <label class="cmp-pc-toggle">
+                        <input 
+                            type="checkbox" 
+                            name="category-${key}" 
+                            data-category="${key}"
+                            ${objection ? 'data-objection' : ''}
+                            aria-label="${this.escapeHtml(objection ? (texts.object || 'Object') + ': ' + category.name : category.name)}"
+                            ${checked} 
+                            ${disabled}
+                        >
+                        <span class="cmp-pc-toggle-slider"></span>
+                    </label>
+                `;
                 
                 html += `
                     <div class="cmp-pc-category ${disabledClass}">
@@ -172,18 +200,12 @@
                             <div class="cmp-pc-category-info">
                                 <h3 class="cmp-pc-category-name">${this.escapeHtml(category.name)}</h3>
                                 <p class="cmp-pc-category-description">${this.escapeHtml(category.description)}</p>
+                                ${objection ? `<p class="cmp-pc-legal-basis">${this.escapeHtml(texts.legitimateInterest || 'Based on our legitimate interest. You can object to this processing.')}</p>` : ''}
                             </div>
-                            <label class="cmp-pc-toggle">
-                                <input 
-                                    type="checkbox" 
-                                    name="category-${key}" 
-                                    data-category="${key}"
-                                    ${checked} 
-                                    ${disabled}
-                                >
-                                <span class="cmp-pc-toggle-slider"></span>
-                            </label>
+                            ${objection ? `<div class="cmp-pc-objection"><span>${this.escapeHtml(texts.object || 'Object')}</span>${toggle}</div>` : toggle}
                         </div>
+                        ${this.renderVendors(key, category)}
+                        <div class="cmp-pc-cookie-details" data-cookie-category="${this.escapeHtml(key)}"></div>
                     </div>
                 `;
             }
@@ -191,6 +213,247 @@
             return html;
         },
         
+        /**
+         * Render the expandable vendor list of a category
+         */
+        renderVendors: function(categoryKey, category) {
+            const vendors = Object.entries(CMP.getVendors()).filter(([, vendor]) => vendor.category === categoryKey);
+            if (!vendors.length) return '';
+            
+            const texts = this.config.texts;
+            
+            const items = vendors.map(([id, vendor]) => {
+                const checked = this.vendorState[id] ? 'checked' : '';
+                const disabled = category.locked ? 'disabled' : '';
+                const url = vendor.privacyPolicyUrl;
+                const link = url && /^https?:\/\//i.test(url)
+                    ? ` <a href="${this.escapeHtml(url).replace(/"/g, '&quot;')}" target="_blank" rel="noopener">${this.escapeHtml(texts.privacyPolicy || 'Privacy policy')}</a>`
+                    : '';
+                const cookies = (vendor.cookies || []).length
+                    ? this.escapeHtml((texts.vendorCookies || 'Cookies') + ': ' + vendor.cookies.join(', '))
+                    : '';
+                
+                return `
+                    <div class="cmp-pc-vendor">
+                        <div class="cmp-pc-vendor-info">
+                            <span class="cmp-pc-vendor-name">${this.escapeHtml(vendor.name || id)}</span>
+                            <p>${cookies}${link}</p>
+                        </div>
+                        <label class="cmp-pc-toggle">
+                            <input 
+                                type="checkbox" 
+                                data-vendor="${this.escapeHtml(id)}" 
+                                data-vendor-category="${this.escapeHtml(categoryKey)}"
+                                aria-label="${this.escapeHtml(vendor.name || id)}"
+                                ${checked} 
+                                ${disabled}
+                            >
+                            <span class="cmp-pc-toggle-slider"></span>
+                        </label>
+                    </div>
+                `;
+            }).join('');
+            
+            return `
+                <details class="cmp-pc-vendors">
+                    <summary>${this.escapeHtml(texts.vendors || 'Vendors')} (${vendors.length})</summary>
+                    ${items}
+                </details>
+            `;
+        },
+        
+        /**
+         * Load the site's cookie declaration and fill in the cookie tables
+         * 
+         * The declaration is fetched once per page; the tables stay empty
+         * if it cannot be loaded.
+         */
+        loadCookieDeclaration: async function() {
+            if (!this.cookieDeclaration) {
+                try {
+                    const response = await fetch(CMP.apiBase + '/cookies.php?siteId=' + encodeURIComponent(CMP.siteId));
+                    if (!response.ok) {
+                        throw new Error('HTTP ' + response.status);
+                    }
+                    this.cookieDeclaration = (await response.json()).categories || {};
+                } catch (error) {
+                    console.error('Preference Center: Failed to load cookie declaration', error);
+                    return;
+                }
+            }
+            
+            if (!this.element) return;
+            
+            // Cookies of categories the preference center does not show are listed as unclassified
+            const grouped = {};
+            for (const [key, cookies] of Object.entries(this.cookieDeclaration)) {
+                const target = this.config.categories[key] ? key : 'uncategorized';
+                grouped[target] = (grouped[target] || []).concat(cookies);
+            }
+            
+            this.element.querySelectorAll('.cmp-pc-cookie-details').forEach(container => {
+                container.innerHTML = this.renderCookieTable(container.dataset.cookieCategory, grouped[container.dataset.cookieCategory] || []);
+            });
+        },
+        
+        /**
+         * Render the expandable cookie table of a category
+         */
+        renderCookieTable: function(categoryKey, cookies) {
+            if (!cookies.length) return '';
+            
+            const texts = this.config.texts;
+            const summary = categoryKey === 'uncategorized'
+                ? texts.unclassifiedCookies || 'Unclassified cookies'
+                : texts.cookieDetails || 'Cookie details';
+            
+            const rows = cookies.map(cookie => {
+                const url = cookie.privacyPortal;
+                const link = url && /^https?:\/\//i.test(url)
+                    ? ` <a href="${this.escapeHtml(url).replace(/"/g, '&quot;')}" target="_blank" rel="noopener">${this.escapeHtml(texts.privacyPolicy || 'Privacy policy')}</a>`
+                    : '';
+                
+                return `
+                    <tr>
+                        <td><code>${this.escapeHtml(cookie.name)}</code></td>
+                        <td>${this.escapeHtml(cookie.provider || cookie.domain || '')}${link}</td>
+                        <td>${this.escapeHtml(cookie.purpose || '')}</td>
+                        <td>${this.escapeHtml(cookie.duration || '')}</td>
+                    </tr>
+                `;
+            }).join('');
+            
+            return `
+                <details class="cmp-pc-cookies">
+                    <summary>${this.escapeHtml(summary)} (${cookies.length})</summary>
+                    <table>
+                        <thead>
+                            <tr>
+                                <th scope="col">${this.escapeHtml(texts.cookieName || 'Cookie')}</th>
+                                <th scope="col">${this.escapeHtml(texts.cookieProvider || 'Provider')}</th>
+                                <th scope="col">${this.escapeHtml(texts.cookiePurpose || 'Purpose')}</th>
+                                <th scope="col">${this.escapeHtml(texts.cookieDuration || 'Duration')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </details>
+            `;
+        },
+        
+        /**
+         * Render the notice shown when a Global Privacy Control signal is honored
+         */
+        renderGpcNotice: function() {
+            if (!CMP.isGpcHonored()) return '';
+            
+            const text = this.config.texts.gpcHonored ||
+                'Global Privacy Control signal detected and honored: you have been opted out of the sale and sharing of your personal information.';
+            
+            return `<p class="cmp-pc-gpc-notice" role="status">${this.escapeHtml(text)}</p>`;
+        },
+        
+        /**
+         * Render the visitor's consent ID for support requests
+         */
+        renderConsentId: function() {
+            const consentId = CMP.getConsentId();
+            if (!consentId) return '';
+            
+            const label = this.config.texts.consentId || 'Your consent ID';
+            
+            return `
+                <p class="cmp-pc-consent-id">
+                    ${this.escapeHtml(label)}: <code>${this.escapeHtml(consentId)}</code>
+                </p>
+            `;
+        },
+        
+        /**
+         * Render the consent receipt download links
+         */
+        renderReceipt: function() {
+            if (!CMP.consent || !CMP.getConsentId()) return '';
+            
+            const texts = this.config.texts;
+            
+            return `
+                <p class="cmp-pc-receipt">
+                    ${this.escapeHtml(texts.downloadReceipt || 'Download my consent receipt')}:
+                    <button type="button" class="cmp-pc-receipt-link" data-receipt-format="json">${this.escapeHtml(texts.receiptJson || 'JSON')}</button>
+                    <button type="button" class="cmp-pc-receipt-link" data-receipt-format="html">${this.escapeHtml(texts.receiptHtml || 'Printable')}</button>
+                </p>
+            `;
+        },
+        
+        /**
+         * Render IAB TCF purposes, special features and vendors
+         */
+        renderTcf: function() {
+            if (!this.tcfChoices) return '';
+            
+            const gvl = CMP.TCF.gvl;
+            const texts = CMP.TCF.config.texts;
+            const vendors = Object.values(gvl.vendors);
+            
+            const purposes = Object.values(gvl.purposes).map(purpose =>
+                this.renderTcfItem('purposes', purpose, purpose.description)
+            ).join('');
+            
+            const specialFeatures = Object.values(gvl.specialFeatures || {}).map(feature =>
+                this.renderTcfItem('specialFeatures', feature, feature.description)
+            ).join('');
+            
+            const vendorItems = vendors.map(vendor => {
+                const purposeNames = vendor.purposes
+                    .map(id => gvl.purposes[id] ? gvl.purposes[id].name : id)
+                    .join(', ');
+                const url = vendor.urls && vendor.urls[0] && vendor.urls[0].privacy;
+                const link = url && /^https?:\/\//i.test(url)
+                    ? ` <a href="${this.escapeHtml(url).replace(/"/g, '&quot;')}" target="_blank" rel="noopener">${this.escapeHtml(texts.privacyPolicy)}</a>`
+                    : '';
+                
+                return this.renderTcfItem('vendors', vendor, purposeNames, link);
+            }).join('');
+            
+            return `
+                <div class="cmp-pc-tcf">
+                    <h3 class="cmp-pc-tcf-title">${this.escapeHtml(texts.title)}</h3>
+                    <h4 class="cmp-pc-tcf-heading">${this.escapeHtml(texts.purposes)}</h4>
+                    ${purposes}
+                    ${specialFeatures ? `<h4 class="cmp-pc-tcf-heading">${this.escapeHtml(texts.specialFeatures)}</h4>${specialFeatures}` : ''}
+                    <h4 class="cmp-pc-tcf-heading">${this.escapeHtml(texts.vendors)} (${vendors.length})</h4>
+                    ${vendorItems}
+                </div>
+            `;
+        },
+        
+        /**
+         * Render a single TCF toggle row
+         */
+        renderTcfItem: function(type, item, details, extraHtml = '') {
+            const checked = this.tcfChoices[type][item.id] ? 'checked' : '';
+            
+            return `
+                <div class="cmp-pc-tcf-item">
+                    <details class="cmp-pc-tcf-info">
+                        <summary>${this.escapeHtml(item.name)}</summary>
+                        <p>${this.escapeHtml(details)}${extraHtml}</p>
+                    </details>
+                    <label class="cmp-pc-toggle">
+                        <input 
+                            type="checkbox" 
+                            data-tcf-type="${type}" 
+                            data-tcf-id="${item.id}"
+                            aria-label="${this.escapeHtml(item.name)}"
+                            ${checked}
+                        >
+                        <span class="cmp-pc-toggle-slider"></span>
+                    </label>
+                </div>
+            `;
+        },
+        
         /**
          * Apply styles
          */
@@ -287,6 +550,43 @@
                     opacity: 0.8;
                 }
                 
+                .cmp-pc-gpc-notice {
+                    font-size: 13px;
+                    line-height: 1.5;
+                    margin: -12px 0 24px 0;
+                    padding: 10px 12px;
+                    border-radius: 6px;
+                    background: #ECFDF5;
+                    color: #065F46;
+                }
+                
+                .cmp-pc-consent-id {
+                    font-size: 12px;
+                    margin: 24px 0 0 0;
+                    opacity: 0.7;
+                }
+                
+                .cmp-pc-consent-id code {
+                    font-family: monospace;
+                    user-select: all;
+                }
+                
+                .cmp-pc-receipt {
+                    font-size: 12px;
+                    margin: 8px 0 0 0;
+                    opacity: 0.7;
+                }
+                
+                .cmp-pc-receipt-link {
+                    background: none;
+                    border: none;
+                    padding: 0 4px;
+                    font: inherit;
+                    color: ${theme.primaryColor || '#4F46E5'};
+                    text-decoration: underline;
+                    cursor: pointer;
+                }
+                
                 .cmp-pc-categories {
                     display: flex;
                     flex-direction: column;
@@ -328,6 +628,22 @@
                     opacity: 0.7;
                 }
                 
+                .cmp-pc-legal-basis {
+                    font-size: 13px;
+                    line-height: 1.5;
+                    margin: 4px 0 0 0;
+                    opacity: 0.7;
+                    font-style: italic;
+                }
+                
+                .cmp-pc-objection {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    font-size: 13px;
+                    flex-shrink: 0;
+                }
+                
                 .cmp-pc-toggle {
                     position: relative;
                     display: inline-block;
@@ -359,7 +675,7 @@
                     content: "";
                     height: 20px;
                     width: 20px;
-                    left: 4px;
+                    inset-inline-start: 4px;
                     bottom: 4px;
                     background-color: white;
                     transition: 0.3s;
@@ -374,11 +690,138 @@
                     transform: translateX(20px);
                 }
                 
+                .cmp-pc[dir="rtl"] .cmp-pc-toggle input:checked + .cmp-pc-toggle-slider:before {
+                    transform: translateX(-20px);
+                }
+                
                 .cmp-pc-toggle input:disabled + .cmp-pc-toggle-slider {
                     cursor: not-allowed;
                     opacity: 0.5;
                 }
                 
+                .cmp-pc-vendors {
+                    margin-top: 12px;
+                    font-size: 13px;
+                }
+                
+                .cmp-pc-vendors summary {
+                    cursor: pointer;
+                    opacity: 0.8;
+                }
+                
+                .cmp-pc-vendor {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    gap: 16px;
+                    padding: 8px 0;
+                    border-bottom: 1px solid rgba(0, 0, 0, 0.05);
+                }
+                
+                .cmp-pc-vendor-info {
+                    flex: 1;
+                }
+                
+                .cmp-pc-vendor-name {
+                    font-weight: 500;
+                }
+                
+                .cmp-pc-vendor-info p {
+                    font-size: 12px;
+                    line-height: 1.5;
+                    margin: 4px 0 0 0;
+                    opacity: 0.7;
+                }
+                
+                .cmp-pc-vendor-info a {
+                    color: ${theme.primaryColor || '#4F46E5'};
+                }
+                
+                .cmp-pc-cookies {
+                    margin-top: 12px;
+                    font-size: 13px;
+                }
+                
+                .cmp-pc-cookies summary {
+                    cursor: pointer;
+                    opacity: 0.8;
+                }
+                
+                .cmp-pc-cookies table {
+                    width: 100%;
+                    margin-top: 8px;
+                    border-collapse: collapse;
+                    font-size: 12px;
+                    line-height: 1.5;
+                }
+                
+                .cmp-pc-cookies th,
+                .cmp-pc-cookies td {
+                    padding: 6px 0;
+                    padding-inline-end: 8px;
+                    text-align: start;
+                    vertical-align: top;
+                    border-bottom: 1px solid rgba(0, 0, 0, 0.05);
+                }
+                
+                .cmp-pc-cookies th {
+                    font-weight: 600;
+                }
+                
+                .cmp-pc-cookies code {
+                    word-break: break-all;
+                }
+                
+                .cmp-pc-cookies a {
+                    color: ${theme.primaryColor || '#4F46E5'};
+                }
+                
+                .cmp-pc-tcf {
+                    margin-top: 24px;
+                }
+                
+                .cmp-pc-tcf-title {
+                    font-size: 16px;
+                    font-weight: 600;
+                    margin: 0 0 8px 0;
+                }
+                
+                .cmp-pc-tcf-heading {
+                    font-size: 14px;
+                    font-weight: 600;
+                    margin: 16px 0 8px 0;
+                    opacity: 0.8;
+                }
+                
+                .cmp-pc-tcf-item {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    gap: 16px;
+                    padding: 8px 0;
+                    border-bottom: 1px solid rgba(0, 0, 0, 0.05);
+                }
+                
+                .cmp-pc-tcf-info {
+                    flex: 1;
+                    font-size: 14px;
+                }
+                
+                .cmp-pc-tcf-info summary {
+                    cursor: pointer;
+                }
+                
+                .cmp-pc-tcf-info p {
+                    font-size: 13px;
+                    line-height: 1.5;
+                    margin: 8px 0 0 0;
+                    opacity: 0.7;
+                }
+                
+                .cmp-pc-tcf-info a {
+                    color: ${theme.primaryColor || '#4F46E5'};
+                }
+                
                 .cmp-pc-footer {
                     display: flex;
                     gap: 12px;
@@ -426,12 +869,48 @@
             const saveBtn = container.querySelector('#cmp-pc-save');
             saveBtn.addEventListener('click', () => this.save());
             
-            // Category toggles
+            // Category toggles switch all of their vendors with them; objection toggles are inverted
             const toggles = container.querySelectorAll('input[data-category]');
             toggles.forEach(toggle => {
                 toggle.addEventListener('change', (e) => {
                     const category = e.target.getAttribute('data-category');
-                    this.currentState[category] = e.target.checked;
+                    const allowed = e.target.hasAttribute('data-objection') ? !e.target.checked : e.target.checked;
+                    this.currentState[category] = allowed;
+                    
+                    container.querySelectorAll('input[data-vendor-category="' + category + '"]').forEach(vendorToggle => {
+                        vendorToggle.checked = allowed;
+                        this.vendorState[vendorToggle.getAttribute('data-vendor')] = allowed;
+                    });
+                });
+            });
+            
+            // Vendor toggles; allowing a vendor turns its category on (or withdraws the objection)
+            container.querySelectorAll('input[data-vendor]').forEach(toggle => {
+                toggle.addEventListener('change', (e) => {
+                    const category = e.target.getAttribute('data-vendor-category');
+                    this.vendorState[e.target.getAttribute('data-vendor')] = e.target.checked;
+                    
+                    if (e.target.checked && !this.currentState[category]) {
+                        this.currentState[category] = true;
+                        const categoryToggle = container.querySelector('input[data-category="' + category + '"]');
+                        categoryToggle.checked = !categoryToggle.hasAttribute('data-objection');
+                    }
+                });
+            });
+            
+            // TCF purpose, special feature and vendor toggles
+            container.querySelectorAll('input[data-tcf-type]').forEach(toggle => {
+                toggle.addEventListener('change', (e) => {
+                    const type = e.target.getAttribute('data-tcf-type');
+                    const id = e.target.getAttribute('data-tcf-id');
+                    this.tcfChoices[type][id] = e.target.checked;
+                });
+            });
+            
+            // Consent receipt downloads
+            container.querySelectorAll('[data-receipt-format]').forEach(link => {
+                link.addEventListener('click', (e) => {
+                    this.downloadReceipt(e.target.getAttribute('data-receipt-format'));
                 });
             });
             
@@ -448,10 +927,209 @@
          */
         save: function() {
             console.log('Preference Center: Saving preferences', this.currentState);
-            CMP.updateConsent(this.currentState);
+            
+            if (this.tcfChoices) {
+                CMP.TCF.setChoices(this.tcfChoices);
+            }
+            
+            CMP.updateConsent(this.currentState, this.vendorState);
             this.hide();
         },
         
+        /**
+         * Download the consent receipt as JSON or printable HTML
+         */
+        downloadReceipt: async function(format) {
+            if (!CMP.consent || !CMP.getConsentId()) return;
+            
+            const record = await this.getConsentRecord();
+            const receipt = this.buildReceipt(record);
+            const filename = 'consent-receipt-' + receipt.consentReceiptID;
+            
+            if (format === 'html') {
+                this.downloadFile(filename + '.html', 'text/html', this.renderReceiptDocument(receipt));
+            } else {
+                this.downloadFile(filename + '.json', 'application/json', JSON.stringify(receipt, null, 2));
+            }
+        },
+        
+        /**
+         * Get the record the server logged for the visitor's consent ID
+         * 
+         * Falls back to the locally stored consent, marked as not recorded,
+         * when the server has no record yet or cannot be reached.
+         */
+        getConsentRecord: async function() {
+            const consentId = CMP.getConsentId();
+            
+            try {
+                const response = await fetch(CMP.apiBase + '/consent.php?siteId=' + encodeURIComponent(CMP.siteId) +
+                    '&consentId=' + encodeURIComponent(consentId));
+                
+                if (response.ok) {
+                    const data = await response.json();
+                    return Object.assign({}, data.latest, { recorded: true });
+                }
+            } catch (error) {
+                console.error('Preference Center: Failed to load consent record', error);
+            }
+            
+            const consent = CMP.consent;
+            
+            return {
+                timestamp: consent.timestamp,
+                consentId: consentId,
+                consentState: consent.state,
+                widgetVersion: consent.version,
+                policyVersion: consent.policyVersion,
+                metadata: {
+                    jurisdiction: CMP.jurisdiction,
+                    source: consent.source,
+                    gpc: consent.gpc,
+                    widgetHash: CMP.getWidgetHash(),
+                    configVersion: (CMP.config && CMP.config.configVersion) || ''
+                },
+                recorded: false
+            };
+        },
+        
+        /**
+         * Build a Kantara Initiative consent receipt (v1.1) from a consent record
+         * 
+         * Record fields the specification has no place for (policy and widget
+         * versions, source, GPC) are added at the top level.
+         */
+        buildReceipt: function(record) {
+            const receiptConfig = this.config.receipt || {};
+            const metadata = record.metadata || {};
+            const source = metadata.source || 'user';
+            const collectionMethods = {
+                user: 'Cookie banner or preference center',
+                gpc: 'Global Privacy Control signal',
+                dnt: 'Do Not Track signal'
+            };
+            
+            const purposes = Object.entries(record.consentState || {}).map(([key, granted]) => {
+                const category = this.config.categories[key] || {};
+                
+                return {
+                    purpose: category.name || key,
+                    purposeCategory: [key],
+                    consentType: source === 'user' ? 'EXPLICIT' : 'IMPLICIT',
+                    piiCategory: ['Cookie and device identifiers'],
+                    primaryPurpose: !!category.locked,
+                    termination: 'Until withdrawn or renewed',
+                    thirdPartyDisclosure: !!category.thirdPartyDisclosure,
+                    consentGiven: !!granted
+                };
+            });
+            
+            return {
+                version: 'KI-CR-v1.1.0',
+                jurisdiction: metadata.jurisdiction || CMP.jurisdiction,
+                consentTimestamp: Math.floor(new Date(record.timestamp).getTime() / 1000),
+                collectionMethod: collectionMethods[source] || source,
+                consentReceiptID: record.consentId,
+                language: CMP.locale || document.documentElement.lang || navigator.language || 'en',
+                piiPrincipalId: record.consentId,
+                piiControllers: [{
+                    piiController: receiptConfig.controller || window.location.hostname,
+                    contact: receiptConfig.contact || '',
+                    address: receiptConfig.address || '',
+                    email: receiptConfig.email || '',
+                    phone: receiptConfig.phone || '',
+                    piiControllerUrl: receiptConfig.url || window.location.origin
+                }],
+                policyUrl: receiptConfig.policyUrl || '',
+                services: [{
+                    service: window.location.hostname,
+                    purposes: purposes
+                }],
+                sensitive: false,
+                spiCat: [],
+                policyVersion: record.policyVersion || '1.0.0',
+                widgetVersion: record.widgetVersion || CMP.version,
+                widgetHash: metadata.widgetHash || '',
+                configVersion: metadata.configVersion || '',
+                source: source,
+                gpc: !!metadata.gpc,
+                recorded: record.recorded
+            };
+        },
+        
+        /**
+         * Render a receipt as a standalone, printable HTML document
+         */
+        renderReceiptDocument: function(receipt) {
+            const esc = (value) => this.escapeHtml(String(value));
+            const controller = receipt.piiControllers[0];
+            const language = receipt.language.replace(/[^A-Za-z0-9-]/g, '');
+            
+            const details = [
+                ['Consent ID', receipt.consentReceiptID],
+                ['Date', new Date(receipt.consentTimestamp * 1000).toUTCString()],
+                ['Controller', controller.piiController],
+                ['Contact', [controller.contact, controller.email, controller.phone].filter(Boolean).join(', ')],
+                ['Website', receipt.services[0].service],
+                ['Jurisdiction', receipt.jurisdiction],
+                ['Privacy policy version', receipt.policyVersion],
+                ['Privacy policy', receipt.policyUrl],
+                ['Widget version', receipt.widgetVersion + (receipt.widgetHash ? ' (' + receipt.widgetHash + ')' : '')],
+                ['Configuration version', receipt.configVersion],
+                ['Collection method', receipt.collectionMethod],
+                ['Server record', receipt.recorded ? 'Recorded' : 'Not yet recorded']
+            ].filter(([, value]) => value);
+            
+            const detailRows = details.map(([label, value]) =>
+                `<tr><th>${esc(label)}</th><td>${esc(value)}</td></tr>`).join('\n');
+            
+            const purposeRows = receipt.services[0].purposes.map(purpose =>
+                `<tr><th>${esc(purpose.purpose)}</th><td>${purpose.consentGiven ? 'Granted' : 'Denied'}</td></tr>`).join('\n');
+            
+            return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+<meta charset="utf-8">
+<title>Consent receipt ${esc(receipt.consentReceiptID)}</title>
+<style>
+body { font-family: system-ui, -apple-system, sans-serif; color: #111827; max-width: 720px; margin: 40px auto; padding: 0 20px; }
+h1 { font-size: 22px; }
+h2 { font-size: 16px; margin-top: 32px; }
+table { width: 100%; border-collapse: collapse; font-size: 14px; }
+th, td { text-align: left; padding: 8px; border-bottom: 1px solid #E5E7EB; vertical-align: top; }
+th { width: 40%; font-weight: 600; }
+p { font-size: 12px; color: #6B7280; margin-top: 32px; }
+</style>
+</head>
+<body>
+<h1>Consent receipt</h1>
+<table>
+${detailRows}
+</table>
+<h2>Your choices</h2>
+<table>
+${purposeRows}
+</table>
+<p>Kantara Initiative Consent Receipt Specification ${esc(receipt.version)}. Quote the consent ID when contacting us about your consent.</p>
+</body>
+</html>
+`;
+        },
+        
+        /**
+         * Offer content to the visitor as a file download
+         */
+        downloadFile: function(filename, type, content) {
+            const url = window.URL.createObjectURL(new Blob([content], { type: type }));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            setTimeout(() => window.URL.revokeObjectURL(url), 1000);
+        },
+        
         /**
          * Escape HTML
          */
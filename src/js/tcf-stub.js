@@ -0,0 +1,82 @@
+/**
+ * IAB TCF v2.2 API Stub
+ * 
+ * Small enough to inline in the <head> before any ad tags. Queues
+ * __tcfapi calls (and calls from other frames) until tcf.js takes over.
+ */
+
+(function() {
+    'use strict';
+    
+    if (typeof window.__tcfapi === 'function') return;
+    
+    const queue = [];
+    
+    const stub = function(command, version, callback, parameter) {
+        if (typeof callback !== 'function') return;
+        
+        if (command === 'ping') {
+            callback({
+                gdprApplies: undefined,
+                cmpLoaded: false,
+                cmpStatus: 'stub',
+                displayStatus: 'hidden',
+                apiVersion: '2.2'
+            }, true);
+            return;
+        }
+        
+        queue.push([command, version, callback, parameter]);
+    };
+    stub.a = queue;
+    
+    window.__tcfapi = stub;
+    
+    // Locator frame so nested frames can find the CMP
+    const addLocatorFrame = function() {
+        if (document.querySelector('iframe[name="__tcfapiLocator"]')) return;
+        
+        if (!document.body) {
+            setTimeout(addLocatorFrame, 5);
+            return;
+        }
+        
+        const iframe = document.createElement('iframe');
+        iframe.name = '__tcfapiLocator';
+        iframe.style.display = 'none';
+        iframe.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(iframe);
+    };
+    addLocatorFrame();
+    
+    // Queue calls from other frames until tcf.js installs its own bridge
+    window.addEventListener('message', function(event) {
+        if (window.__tcfapi !== stub) return;
+        
+        let data = event.data;
+        const isString = typeof data === 'string';
+        
+        if (isString) {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                return;
+            }
+        }
+        
+        const call = data && data.__tcfapiCall;
+        if (!call || !event.source) return;
+        
+        stub(call.command, call.version, function(returnValue, success) {
+            const response = {
+                __tcfapiReturn: {
+                    returnValue: returnValue,
+                    success: success,
+                    callId: call.callId
+                }
+            };
+            event.source.postMessage(isString ? JSON.stringify(response) : response, '*');
+        }, call.parameter);
+    });
+
+})();
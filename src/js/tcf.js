@@ -0,0 +1,765 @@
+/**
+ * CMP IAB TCF v2.2 Module
+ * 
+ * Implements the __tcfapi CMP API (including the __tcfapiLocator frame and
+ * postMessage bridge for cross-frame callers) and encodes the TC string.
+ * Purpose and vendor consents follow the category consent unless the user
+ * made explicit choices in the preference center.
+ */
+
+(function() {
+    'use strict';
+    
+    if (!window.CMP) {
+        console.error('CMP not found. Make sure cmp.js is loaded first.');
+        return;
+    }
+    
+    const BASE64_URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    
+    const TCF = {
+        apiVersion: '2.2',
+        config: null,
+        gvl: null,
+        tcModel: null,
+        tcString: '',
+        choices: null,
+        pendingChoices: null,
+        cmpStatus: 'loading',
+        displayStatus: 'hidden',
+        eventStatus: null,
+        queue: [],
+        listeners: {},
+        nextListenerId: 1,
+        
+        /**
+         * Install __tcfapi, the locator frame and the message bridge
+         * 
+         * Calls queued by the stub (tcf-stub.js) are taken over and
+         * answered once the CMP has loaded.
+         */
+        install: function() {
+            const stub = window.__tcfapi;
+            if (stub && Array.isArray(stub.a)) {
+                this.queue = stub.a.slice();
+            }
+            
+            window.__tcfapi = (command, version, callback, parameter) => {
+                this.handleCommand(command, version, callback, parameter);
+            };
+            
+            this.addLocatorFrame();
+            window.addEventListener('message', (event) => this.handleMessage(event));
+        },
+        
+        /**
+         * Initialize once the CMP has loaded its configuration
+         */
+        init: async function() {
+            this.config = Object.assign(this.getDefaultConfig(), CMP.config.tcf || {});
+            
+            if (!this.config.enabled) {
+                this.uninstall();
+                return;
+            }
+            
+            try {
+                await this.loadVendorList();
+            } catch (error) {
+                console.error('TCF: Failed to load vendor list', error);
+                this.cmpStatus = 'error';
+                this.flushQueue();
+                return;
+            }
+            
+            this.loadStored();
+            
+            if (CMP.consent && CMP.consent.state) {
+                this.eventStatus = 'tcloaded';
+                this.displayStatus = 'hidden';
+            } else {
+                this.eventStatus = 'cmpuishown';
+                this.displayStatus = 'visible';
+            }
+            
+            // Queued addEventListener calls get their first callback here
+            this.cmpStatus = 'loaded';
+            this.flushQueue();
+        },
+        
+        /**
+         * Get default configuration
+         */
+        getDefaultConfig: function() {
+            return {
+                enabled: true,
+                cmpId: 0,
+                cmpVersion: 1,
+                gdprApplies: true,
+                isServiceSpecific: true,
+                publisherCC: 'AA',
+                purposeOneTreatment: false,
+                vendors: [],
+                categoryPurposes: {
+                    preferences: [1, 5, 6, 11],
+                    analytics: [1, 8, 9, 10],
+                    marketing: [1, 2, 3, 4, 7]
+                },
+                texts: {
+                    title: 'Advertising Partners (IAB TCF)',
+                    purposes: 'Purposes',
+                    specialFeatures: 'Special Features',
+                    vendors: 'Vendors',
+                    privacyPolicy: 'Privacy policy'
+                }
+            };
+        },
+        
+        /**
+         * Load the Global Vendor List for this site
+         */
+        loadVendorList: async function() {
+            const response = await fetch(CMP.apiBase + '/gvl.php?siteId=' + encodeURIComponent(CMP.siteId));
+            if (!response.ok) {
+                throw new Error('Failed to load vendor list');
+            }
+            this.gvl = await response.json();
+        },
+        
+        /**
+         * Remove the API when TCF is disabled for the site
+         */
+        uninstall: function() {
+            this.cmpStatus = 'error';
+            this.flushQueue();
+            delete window.__tcfapi;
+            
+            const frame = document.querySelector('iframe[name="__tcfapiLocator"]');
+            if (frame) frame.remove();
+        },
+        
+        /**
+         * Check whether the vendor list is loaded and the API answers calls
+         */
+        isReady: function() {
+            return this.cmpStatus === 'loaded';
+        },
+        
+        /**
+         * Restore the stored TC string if it belongs to the current consent
+         */
+        loadStored: function() {
+            if (!CMP.consent || !CMP.consent.state) return;
+            
+            try {
+                const stored = JSON.parse(localStorage.getItem('cmp_tcf') || 'null');
+                
+                if (stored && stored.consentTimestamp === CMP.consent.timestamp &&
+                    stored.vendorListVersion === this.gvl.vendorListVersion) {
+                    this.choices = stored.choices;
+                    this.tcString = stored.tcString;
+                    this.tcModel = this.decode(stored.tcString);
+                    return;
+                }
+            } catch (error) {
+                console.error('TCF: Failed to load stored TC string', error);
+            }
+            
+            // Consent predates TCF or the vendor list changed
+            this.update(CMP.consent.state);
+        },
+        
+        /**
+         * Rebuild the TC string from a category consent state
+         */
+        update: function(consentState) {
+            this.choices = this.pendingChoices || this.deriveChoices(consentState);
+            this.pendingChoices = null;
+            
+            this.tcModel = this.buildModel(this.choices);
+            this.tcString = this.encode(this.tcModel);
+            
+            try {
+                localStorage.setItem('cmp_tcf', JSON.stringify({
+                    tcString: this.tcString,
+                    choices: this.choices,
+                    vendorListVersion: this.gvl.vendorListVersion,
+                    consentTimestamp: CMP.consent ? CMP.consent.timestamp : null
+                }));
+            } catch (error) {
+                console.error('TCF: Failed to save TC string', error);
+            }
+        },
+        
+        /**
+         * Derive purpose, special feature and vendor choices from categories
+         * 
+         * A purpose is consented when any category mapped to it is.
+         * Special features are only opted in by accepting everything, and a
+         * vendor is consented when all of its consent purposes are.
+         */
+        deriveChoices: function(consentState) {
+            const state = consentState || {};
+            const purposes = {};
+            const specialFeatures = {};
+            const vendors = {};
+            
+            Object.keys(this.gvl.purposes).forEach(id => {
+                purposes[id] = false;
+            });
+            
+            let acceptedAll = true;
+            for (const [category, ids] of Object.entries(this.config.categoryPurposes)) {
+                if (state[category]) {
+                    ids.forEach(id => {
+                        purposes[id] = true;
+                    });
+                } else {
+                    acceptedAll = false;
+                }
+            }
+            
+            Object.keys(this.gvl.specialFeatures || {}).forEach(id => {
+                specialFeatures[id] = acceptedAll;
+            });
+            
+            Object.values(this.gvl.vendors).forEach(vendor => {
+                vendors[vendor.id] = vendor.purposes.length > 0 &&
+                    vendor.purposes.every(id => purposes[id]);
+            });
+            
+            return { purposes, specialFeatures, vendors };
+        },
+        
+        /**
+         * Get the current choices for the preference center
+         */
+        getChoices: function() {
+            const choices = this.choices || this.deriveChoices(CMP.getConsent());
+            return JSON.parse(JSON.stringify(choices));
+        },
+        
+        /**
+         * Set explicit choices to use for the next consent change
+         */
+        setChoices: function(choices) {
+            this.pendingChoices = choices;
+        },
+        
+        /**
+         * Build a TC model from choices
+         */
+        buildModel: function(choices) {
+            const timestamp = CMP.consent ? new Date(CMP.consent.timestamp) : new Date();
+            
+            return {
+                version: 2,
+                created: timestamp,
+                lastUpdated: timestamp,
+                cmpId: this.config.cmpId,
+                cmpVersion: this.config.cmpVersion,
+                consentScreen: 1,
+                consentLanguage: this.getLanguage(),
+                vendorListVersion: this.gvl.vendorListVersion,
+                policyVersion: this.gvl.tcfPolicyVersion,
+                isServiceSpecific: !!this.config.isServiceSpecific,
+                useNonStandardTexts: false,
+                specialFeatureOptins: this.selectedIds(choices.specialFeatures),
+                purposeConsents: this.selectedIds(choices.purposes),
+                purposeLegitimateInterests: [],
+                purposeOneTreatment: !!this.config.purposeOneTreatment,
+                publisherCC: this.config.publisherCC,
+                vendorConsents: this.selectedIds(choices.vendors),
+                vendorLegitimateInterests: [],
+                publisherRestrictions: [],
+                disclosedVendors: Object.keys(this.gvl.vendors).map(Number).sort((a, b) => a - b)
+            };
+        },
+        
+        /**
+         * Get the two-letter consent language
+         */
+        getLanguage: function() {
+            const lang = (document.documentElement.lang || navigator.language || 'en').slice(0, 2).toUpperCase();
+            return /^[A-Z]{2}$/.test(lang) ? lang : 'EN';
+        },
+        
+        /**
+         * Get the sorted numeric IDs set to true in a choice map
+         */
+        selectedIds: function(map) {
+            return Object.keys(map || {})
+                .filter(id => map[id])
+                .map(Number)
+                .sort((a, b) => a - b);
+        },
+        
+        /**
+         * Encode a TC model as a TC string (core and disclosed vendors segments)
+         */
+        encode: function(model) {
+            let core = '';
+            core += this.encodeInt(model.version, 6);
+            core += this.encodeDate(model.created);
+            core += this.encodeDate(model.lastUpdated);
+            core += this.encodeInt(model.cmpId, 12);
+            core += this.encodeInt(model.cmpVersion, 12);
+            core += this.encodeInt(model.consentScreen, 6);
+            core += this.encodeLetters(model.consentLanguage);
+            core += this.encodeInt(model.vendorListVersion, 12);
+            core += this.encodeInt(model.policyVersion, 6);
+            core += model.isServiceSpecific ? '1' : '0';
+            core += model.useNonStandardTexts ? '1' : '0';
+            core += this.encodeBitField(model.specialFeatureOptins, 12);
+            core += this.encodeBitField(model.purposeConsents, 24);
+            core += this.encodeBitField(model.purposeLegitimateInterests, 24);
+            core += model.purposeOneTreatment ? '1' : '0';
+            core += this.encodeLetters(model.publisherCC);
+            core += this.encodeVendors(model.vendorConsents);
+            core += this.encodeVendors(model.vendorLegitimateInterests);
+            core += this.encodeRestrictions(model.publisherRestrictions);
+            
+            const disclosed = this.encodeInt(1, 3) + this.encodeVendors(model.disclosedVendors);
+            
+            return this.toBase64(core) + '.' + this.toBase64(disclosed);
+        },
+        
+        /**
+         * Decode a TC string into a TC model
+         */
+        decode: function(tcString) {
+            const segments = String(tcString).split('.');
+            const reader = { bits: this.fromBase64(segments[0]), pos: 0 };
+            
+            const model = {
+                version: this.readInt(reader, 6),
+                created: new Date(this.readInt(reader, 36) * 100),
+                lastUpdated: new Date(this.readInt(reader, 36) * 100),
+                cmpId: this.readInt(reader, 12),
+                cmpVersion: this.readInt(reader, 12),
+                consentScreen: this.readInt(reader, 6),
+                consentLanguage: this.readLetters(reader),
+                vendorListVersion: this.readInt(reader, 12),
+                policyVersion: this.readInt(reader, 6),
+                isServiceSpecific: this.readInt(reader, 1) === 1,
+                useNonStandardTexts: this.readInt(reader, 1) === 1,
+                specialFeatureOptins: this.readBitField(reader, 12),
+                purposeConsents: this.readBitField(reader, 24),
+                purposeLegitimateInterests: this.readBitField(reader, 24),
+                purposeOneTreatment: this.readInt(reader, 1) === 1,
+                publisherCC: this.readLetters(reader),
+                vendorConsents: this.readVendors(reader),
+                vendorLegitimateInterests: this.readVendors(reader),
+                publisherRestrictions: this.readRestrictions(reader),
+                disclosedVendors: []
+            };
+            
+            if (model.version !== 2) {
+                throw new Error('Unsupported TC string version: ' + model.version);
+            }
+            
+            segments.slice(1).forEach(segment => {
+                const segmentReader = { bits: this.fromBase64(segment), pos: 0 };
+                if (this.readInt(segmentReader, 3) === 1) {
+                    model.disclosedVendors = this.readVendors(segmentReader);
+                }
+            });
+            
+            return model;
+        },
+        
+        /**
+         * Bit encoding helpers
+         */
+        encodeInt: function(value, length) {
+            return Math.max(0, Math.floor(value || 0)).toString(2).padStart(length, '0').slice(-length);
+        },
+        
+        encodeDate: function(date) {
+            return this.encodeInt(Math.round(date.getTime() / 100), 36);
+        },
+        
+        encodeLetters: function(letters) {
+            const code = String(letters || 'AA').toUpperCase();
+            return this.encodeInt(code.charCodeAt(0) - 65, 6) + this.encodeInt(code.charCodeAt(1) - 65, 6);
+        },
+        
+        encodeBitField: function(ids, length) {
+            let bits = '';
+            for (let i = 1; i <= length; i++) {
+                bits += ids.indexOf(i) !== -1 ? '1' : '0';
+            }
+            return bits;
+        },
+        
+        /**
+         * Encode a vendor section, using whichever of bit field or range
+         * encoding is shorter
+         */
+        encodeVendors: function(ids) {
+            const maxId = ids.length ? Math.max.apply(null, ids) : 0;
+            const bitField = '0' + this.encodeBitField(ids, maxId);
+            const ranges = this.toRanges(ids);
+            
+            let rangeBits = '1' + this.encodeInt(ranges.length, 12);
+            ranges.forEach(([start, end]) => {
+                rangeBits += start === end
+                    ? '0' + this.encodeInt(start, 16)
+                    : '1' + this.encodeInt(start, 16) + this.encodeInt(end, 16);
+            });
+            
+            return this.encodeInt(maxId, 16) + (rangeBits.length < bitField.length ? rangeBits : bitField);
+        },
+        
+        encodeRestrictions: function(restrictions) {
+            let bits = this.encodeInt(restrictions.length, 12);
+            restrictions.forEach(restriction => {
+                const ranges = this.toRanges(restriction.vendors);
+                bits += this.encodeInt(restriction.purposeId, 6);
+                bits += this.encodeInt(restriction.restrictionType, 2);
+                bits += this.encodeInt(ranges.length, 12);
+                ranges.forEach(([start, end]) => {
+                    bits += start === end
+                        ? '0' + this.encodeInt(start, 16)
+                        : '1' + this.encodeInt(start, 16) + this.encodeInt(end, 16);
+                });
+            });
+            return bits;
+        },
+        
+        /**
+         * Collapse sorted IDs into [start, end] ranges
+         */
+        toRanges: function(ids) {
+            const ranges = [];
+            ids.forEach(id => {
+                const last = ranges[ranges.length - 1];
+                if (last && id === last[1] + 1) {
+                    last[1] = id;
+                } else {
+                    ranges.push([id, id]);
+                }
+            });
+            return ranges;
+        },
+        
+        /**
+         * Bit decoding helpers
+         */
+        readInt: function(reader, length) {
+            const bits = reader.bits.substr(reader.pos, length);
+            if (bits.length < length) {
+                throw new Error('TC string is truncated');
+            }
+            reader.pos += length;
+            return parseInt(bits, 2);
+        },
+        
+        readLetters: function(reader) {
+            return String.fromCharCode(65 + this.readInt(reader, 6), 65 + this.readInt(reader, 6));
+        },
+        
+        readBitField: function(reader, length) {
+            const ids = [];
+            for (let i = 1; i <= length; i++) {
+                if (this.readInt(reader, 1) === 1) {
+                    ids.push(i);
+                }
+            }
+            return ids;
+        },
+        
+        readRanges: function(reader) {
+            const ids = [];
+            const count = this.readInt(reader, 12);
+            for (let i = 0; i < count; i++) {
+                const isRange = this.readInt(reader, 1) === 1;
+                const start = this.readInt(reader, 16);
+                const end = isRange ? this.readInt(reader, 16) : start;
+                for (let id = start; id <= end; id++) {
+                    ids.push(id);
+                }
+            }
+            return ids;
+        },
+        
+        readVendors: function(reader) {
+            const maxId = this.readInt(reader, 16);
+            const isRange = this.readInt(reader, 1) === 1;
+            return isRange ? this.readRanges(reader) : this.readBitField(reader, maxId);
+        },
+        
+        readRestrictions: function(reader) {
+            const restrictions = [];
+            const count = this.readInt(reader, 12);
+            for (let i = 0; i < count; i++) {
+                restrictions.push({
+                    purposeId: this.readInt(reader, 6),
+                    restrictionType: this.readInt(reader, 2),
+                    vendors: this.readRanges(reader)
+                });
+            }
+            return restrictions;
+        },
+        
+        /**
+         * Convert a bit string to base64url, padded to whole bytes
+         */
+        toBase64: function(bits) {
+            let padded = bits + '0'.repeat((8 - bits.length % 8) % 8);
+            padded += '0'.repeat((6 - padded.length % 6) % 6);
+            
+            let result = '';
+            for (let i = 0; i < padded.length; i += 6) {
+                result += BASE64_URL[parseInt(padded.substr(i, 6), 2)];
+            }
+            return result;
+        },
+        
+        fromBase64: function(str) {
+            let bits = '';
+            for (const char of str.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')) {
+                const index = BASE64_URL.indexOf(char);
+                if (index === -1) {
+                    throw new Error('Invalid TC string');
+                }
+                bits += this.encodeInt(index, 6);
+            }
+            return bits;
+        },
+        
+        /**
+         * Handle a __tcfapi call
+         */
+        handleCommand: function(command, version, callback, parameter) {
+            if (typeof callback !== 'function') return;
+            
+            if (version && version !== 2) {
+                callback(null, false);
+                return;
+            }
+            
+            if (command === 'ping') {
+                callback(this.getPingData(), true);
+                return;
+            }
+            
+            if (this.cmpStatus === 'loading') {
+                this.queue.push([command, version, callback, parameter]);
+                return;
+            }
+            
+            if (this.cmpStatus !== 'loaded') {
+                callback(null, false);
+                return;
+            }
+            
+            switch (command) {
+                case 'getTCData':
+                    callback(this.getTCData(undefined, parameter), true);
+                    break;
+                
+                case 'addEventListener': {
+                    const listenerId = this.nextListenerId++;
+                    this.listeners[listenerId] = callback;
+                    callback(this.getTCData(listenerId), true);
+                    break;
+                }
+                
+                case 'removeEventListener': {
+                    const exists = !!this.listeners[parameter];
+                    delete this.listeners[parameter];
+                    callback(exists);
+                    break;
+                }
+                
+                case 'getVendorList':
+                    callback(this.gvl, true);
+                    break;
+                
+                default:
+                    callback(null, false);
+            }
+        },
+        
+        /**
+         * Answer calls made before the CMP finished loading
+         */
+        flushQueue: function() {
+            const queue = this.queue;
+            this.queue = [];
+            queue.forEach(args => this.handleCommand.apply(this, args));
+        },
+        
+        /**
+         * Check whether GDPR applies to the visitor
+         * 
+         * Follows the jurisdiction resolved by the server; `gdprApplies:
+         * false` in tcf.json turns it off for every visitor.
+         */
+        gdprApplies: function() {
+            return this.config.gdprApplies !== false && CMP.jurisdiction === 'gdpr';
+        },
+        
+        /**
+         * Build the ping response
+         */
+        getPingData: function() {
+            return {
+                gdprApplies: this.config ? this.gdprApplies() : undefined,
+                cmpLoaded: this.cmpStatus === 'loaded',
+                cmpStatus: this.cmpStatus,
+                displayStatus: this.displayStatus,
+                apiVersion: this.apiVersion,
+                cmpVersion: this.config ? this.config.cmpVersion : undefined,
+                cmpId: this.config ? this.config.cmpId : undefined,
+                gvlVersion: this.gvl ? this.gvl.vendorListVersion : undefined,
+                tcfPolicyVersion: this.gvl ? this.gvl.tcfPolicyVersion : undefined
+            };
+        },
+        
+        /**
+         * Build the TCData object passed to callers
+         */
+        getTCData: function(listenerId, vendorIds) {
+            const model = this.tcModel;
+            const gdprApplies = this.gdprApplies();
+            
+            const data = {
+                tcString: gdprApplies ? this.tcString : '',
+                tcfPolicyVersion: this.gvl.tcfPolicyVersion,
+                cmpId: this.config.cmpId,
+                cmpVersion: this.config.cmpVersion,
+                gdprApplies: gdprApplies,
+                eventStatus: this.eventStatus,
+                cmpStatus: this.cmpStatus,
+                listenerId: listenerId,
+                isServiceSpecific: !!this.config.isServiceSpecific,
+                useNonStandardTexts: false,
+                publisherCC: this.config.publisherCC,
+                purposeOneTreatment: !!this.config.purposeOneTreatment,
+                purpose: {
+                    consents: this.toMap(model && model.purposeConsents, Object.keys(this.gvl.purposes)),
+                    legitimateInterests: this.toMap(model && model.purposeLegitimateInterests, Object.keys(this.gvl.purposes))
+                },
+                vendor: {
+                    consents: this.toMap(model && model.vendorConsents, vendorIds || Object.keys(this.gvl.vendors)),
+                    legitimateInterests: this.toMap(model && model.vendorLegitimateInterests, vendorIds || Object.keys(this.gvl.vendors))
+                },
+                specialFeatureOptins: this.toMap(model && model.specialFeatureOptins, Object.keys(this.gvl.specialFeatures || {})),
+                publisher: {
+                    consents: {},
+                    legitimateInterests: {},
+                    customPurpose: {
+                        consents: {},
+                        legitimateInterests: {}
+                    },
+                    restrictions: {}
+                }
+            };
+            
+            return data;
+        },
+        
+        /**
+         * Convert a list of IDs into an { id: bool } map over the given keys
+         */
+        toMap: function(ids, keys) {
+            const map = {};
+            keys.forEach(key => {
+                map[key] = !!ids && ids.indexOf(Number(key)) !== -1;
+            });
+            return map;
+        },
+        
+        /**
+         * Call all registered event listeners with fresh TCData
+         */
+        notifyListeners: function() {
+            for (const [listenerId, callback] of Object.entries(this.listeners)) {
+                try {
+                    callback(this.getTCData(Number(listenerId)), true);
+                } catch (error) {
+                    console.error('TCF: Listener failed', error);
+                }
+            }
+        },
+        
+        /**
+         * Add the __tcfapiLocator frame so nested frames can find the CMP
+         */
+        addLocatorFrame: function() {
+            if (document.querySelector('iframe[name="__tcfapiLocator"]')) return;
+            
+            if (!document.body) {
+                document.addEventListener('DOMContentLoaded', () => this.addLocatorFrame());
+                return;
+            }
+            
+            const iframe = document.createElement('iframe');
+            iframe.name = '__tcfapiLocator';
+            iframe.style.display = 'none';
+            iframe.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(iframe);
+        },
+        
+        /**
+         * Answer __tcfapiCall messages from other frames
+         */
+        handleMessage: function(event) {
+            let data = event.data;
+            const isString = typeof data === 'string';
+            
+            if (isString) {
+                try {
+                    data = JSON.parse(data);
+                } catch (error) {
+                    return;
+                }
+            }
+            
+            const call = data && data.__tcfapiCall;
+            if (!call || !event.source || typeof window.__tcfapi !== 'function') return;
+            
+            window.__tcfapi(call.command, call.version, (returnValue, success) => {
+                const response = {
+                    __tcfapiReturn: {
+                        returnValue: returnValue,
+                        success: success,
+                        callId: call.callId
+                    }
+                };
+                event.source.postMessage(isString ? JSON.stringify(response) : response, '*');
+            }, call.parameter);
+        }
+    };
+    
+    // Expose as CMP module
+    CMP.TCF = TCF;
+    
+    TCF.install();
+    
+    if (CMP.initialized) {
+        TCF.init();
+    } else {
+        window.addEventListener('cmp:initialized', () => TCF.init());
+    }
+    
+    window.addEventListener('cmp:consent-changed', (e) => {
+        if (!TCF.isReady()) return;
+        
+        TCF.update(e.detail.consent);
+        TCF.eventStatus = 'useractioncomplete';
+        TCF.displayStatus = 'hidden';
+        TCF.notifyListeners();
+    });
+    
+    window.addEventListener('cmp:show-preferences', () => {
+        if (!TCF.isReady()) return;
+        
+        TCF.eventStatus = 'cmpuishown';
+        TCF.displayStatus = 'visible';
+        TCF.notifyListeners();
+    });
+
+})();
@@ -0,0 +1,85 @@
+/**
+ * CMP Widget Preview
+ * 
+ * Runs inside admin/preview.html, which the dashboard's widget editor
+ * embeds. Renders the banner or the preference center from the
+ * configuration the editor posts, with the same code the live widget
+ * uses. cmp.js is loaded with data-preview, so nothing is blocked,
+ * stored or logged.
+ */
+
+(function() {
+    'use strict';
+    
+    if (!window.CMP) {
+        console.error('CMP not found. Make sure cmp.js is loaded first.');
+        return;
+    }
+    
+    const Preview = {
+        view: 'banner',
+        
+        /**
+         * Listen for the editor and tell it the preview is ready
+         */
+        init: function() {
+            const params = new URLSearchParams(window.location.search);
+            CMP.siteId = params.get('siteId') || CMP.siteId;
+            
+            window.addEventListener('message', (event) => {
+                const message = event.data && event.data.__cmpPreview;
+                if (event.origin !== window.location.origin || !message) {
+                    return;
+                }
+                
+                this.render(message.config, message.view);
+            });
+            
+            if (window.parent !== window) {
+                window.parent.postMessage({ __cmpPreviewReady: true }, window.location.origin);
+            }
+        },
+        
+        /**
+         * Render a view ('banner' or 'preferences') for a configuration
+         */
+        render: function(config, view) {
+            this.clear();
+            
+            CMP.config = Object.assign(CMP.getDefaultConfig(), config || {});
+            CMP.jurisdiction = CMP.config.jurisdiction || 'gdpr';
+            CMP.consent = null;
+            this.view = view || this.view;
+            
+            if (this.view === 'preferences' && CMP.PreferenceCenter) {
+                CMP.PreferenceCenter.show();
+                return;
+            }
+            
+            const banner = CMP.createBanner();
+            document.body.appendChild(banner);
+            banner.classList.add('cmp-show');
+        },
+        
+        /**
+         * Remove what an earlier render added
+         * 
+         * The preference center only adds its styles once, so they are
+         * dropped to pick up theme changes.
+         */
+        clear: function() {
+            ['cmp-banner', 'cmp-preference-center', 'cmp-pc-styles'].forEach((id) => {
+                const element = document.getElementById(id);
+                if (element) {
+                    element.remove();
+                }
+            });
+        }
+    };
+    
+    // Expose as CMP module
+    CMP.Preview = Preview;
+    
+    Preview.init();
+
+})();
@@ -10,8 +10,21 @@
     const Wizard = {
         currentStep: 1,
         totalSteps: 5,
+        siteId: 'default',
+        csrfToken: null,
         config: {
             jurisdiction: 'gdpr',
+            policyVersion: '1.0.0',
+            storage: {
+                type: 'localStorage',
+                cookieDomain: ''
+            },
+            hub: {
+                enabled: false,
+                allowedOrigins: []
+            },
+            legalBasis: {},
+            customCategories: {},
             categories: {
                 necessary: true,
                 preferences: true,
@@ -34,10 +47,86 @@
         /**
          * Initialize wizard
          */
-        init: function() {
+        init: async function() {
             console.log('Wizard: Initializing');
+            
+            // Publishing needs a signed-in user who may edit the config
+            if (!(await this.loadSession())) {
+                window.location.href = '/admin/index.html';
+                return;
+            }
+            
+            // Publish to the site selected in the dashboard unless given in the URL
+            const params = new URLSearchParams(window.location.search);
+            this.siteId = params.get('siteId') || localStorage.getItem('cmp_admin_site') || 'default';
+            
+            const reviewSite = document.getElementById('review-site');
+            if (reviewSite) reviewSite.textContent = this.siteId;
+            
+            const installSite = document.getElementById('install-site-id');
+            if (installSite) installSite.textContent = this.siteId;
+            
             this.setupEventListeners();
             this.updatePreview();
+            this.loadPublishedSettings();
+        },
+        
+        /**
+         * Load the session's CSRF token
+         * 
+         * Returns whether the signed-in user may publish a configuration.
+         */
+        loadSession: async function() {
+            try {
+                const response = await fetch('/api/admin/auth.php');
+                if (!response.ok) return false;
+                
+                const session = await response.json();
+                this.csrfToken = session.csrfToken;
+                return session.authenticated && (session.permissions || []).indexOf('edit_config') !== -1;
+            } catch (error) {
+                console.error('Failed to load session:', error);
+                return false;
+            }
+        },
+        
+        /**
+         * Load the site's current policy version, consent storage, hub,
+         * category legal bases and custom categories so publishing keeps them
+         */
+        loadPublishedSettings: async function() {
+            try {
+                const response = await fetch('/api/config.php?siteId=' + encodeURIComponent(this.siteId));
+                if (!response.ok) return;
+                
+                const config = await response.json();
+                if (config.policyVersion) {
+                    this.config.policyVersion = config.policyVersion;
+                    document.getElementById('policy-version').value = config.policyVersion;
+                }
+                
+                if (config.widget && config.widget.storage) {
+                    this.config.storage = config.widget.storage;
+                }
+                
+                if (config.widget && config.widget.hub) {
+                    this.config.hub = config.widget.hub;
+                }
+                
+                const categories = (config.preferenceCenter && config.preferenceCenter.categories) || {};
+                Object.keys(categories).forEach(category => {
+                    if (categories[category].legalBasis) {
+                        this.config.legalBasis[category] = categories[category].legalBasis;
+                    }
+                    
+                    // Categories the wizard does not manage are published unchanged
+                    if (!(category in this.config.categories)) {
+                        this.config.customCategories[category] = categories[category];
+                    }
+                });
+            } catch (error) {
+                console.error('Wizard: Failed to load published settings', error);
+            }
         },
         
         /**
@@ -78,6 +167,13 @@
                 });
             }
             
+            const policyInput = document.getElementById('policy-version');
+            if (policyInput) {
+                policyInput.addEventListener('input', (e) => {
+                    this.config.policyVersion = e.target.value.trim() || '1.0.0';
+                });
+            }
+            
             const descInput = document.getElementById('text-description');
             if (descInput) {
                 descInput.addEventListener('input', (e) => {
@@ -268,6 +364,7 @@
             const jurisdictionText = {
                 'gdpr': 'GDPR (EU)',
                 'ccpa': 'CCPA (California)',
+                'us': 'US State Privacy Laws',
                 'custom': 'Custom'
             };
             document.getElementById('review-jurisdiction').textContent = jurisdictionText[this.config.jurisdiction];
@@ -299,9 +396,15 @@
                 
                 // Prepare configuration
                 const configData = {
+                    siteId: this.siteId,
+                    reason: 'Published with the setup wizard',
                     widget: {
                         version: '1.0.0',
-                        hash: this.generateHash(),
+                        policyVersion: this.config.policyVersion,
+                        hash: window.generateConfigHash(this.config),
+                        jurisdiction: this.config.jurisdiction,
+                        storage: this.config.storage,
+                        hub: this.config.hub,
                         layout: this.config.layout,
                         texts: {
                             title: this.config.texts.title,
@@ -309,12 +412,21 @@
                             acceptAll: 'Accept All',
                             rejectAll: 'Reject All',
                             customize: 'Customize',
-                            savePreferences: 'Save Preferences'
+                            savePreferences: 'Save Preferences',
+                            acknowledge: 'OK',
+                            doNotSell: 'Do Not Sell or Share My Personal Information',
+                            embedBlocked: 'This content is provided by a third party that may set cookies.',
+                            embedCategory: 'Requires consent to',
+                            embedLoad: 'Load this content',
+                            embedAllow: 'Always allow'
                         },
                         theme: this.config.theme,
                         behavior: {
                             showOnLoad: true,
                             respectDoNotTrack: false,
+                            respectGlobalPrivacyControl: true,
+                            gpcOptOutCategories: ['marketing'],
+                            consentLifetimeDays: 365,
                             autoHideAfter: 0,
                             animation: 'fade'
                         }
@@ -328,32 +440,37 @@
                             save: 'Save Preferences',
                             cancel: 'Cancel'
                         },
-                        categories: {
+                        categories: Object.assign({
                             necessary: {
                                 name: 'Strictly Necessary',
                                 description: 'Essential cookies for the website to function.',
                                 enabled: true,
-                                locked: true
+                                locked: true,
+                                legalBasis: 'consent'
                             },
                             preferences: {
                                 name: 'Preference Cookies',
                                 description: 'Remember your preferences and settings.',
                                 enabled: this.config.categories.preferences,
-                                locked: false
+                                locked: false,
+                                legalBasis: this.config.legalBasis.preferences || 'consent'
                             },
                             analytics: {
                                 name: 'Analytics Cookies',
                                 description: 'Help us understand how visitors use our website.',
                                 enabled: this.config.categories.analytics,
-                                locked: false
+                                locked: false,
+                                legalBasis: this.config.legalBasis.analytics || 'consent'
                             },
                             marketing: {
                                 name: 'Marketing Cookies',
                                 description: 'Track visitors to display relevant advertisements.',
                                 enabled: this.config.categories.marketing,
-                                locked: false
+                                locked: false,
+                                legalBasis: this.config.legalBasis.marketing || 'consent',
+                                thirdPartyDisclosure: true
                             }
-                        }
+                        }, this.config.customCategories)
                     },
                     wizard: {
                         version: '1.0.0',
@@ -378,7 +495,8 @@
                 const response = await fetch('/api/admin/save-config.php', {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json'
+                        'Content-Type': 'application/json',
+                        'X-CSRF-Token': this.csrfToken || ''
                     },
                     body: JSON.stringify(configData)
                 });
@@ -398,20 +516,6 @@
                 publishBtn.textContent = 'Publish Configuration';
                 publishBtn.disabled = false;
             }
-        },
-        
-        /**
-         * Generate configuration hash
-         */
-        generateHash: function() {
-            const str = JSON.stringify(this.config);
-            let hash = 0;
-            for (let i = 0; i < str.length; i++) {
-                const char = str.charCodeAt(i);
-                hash = ((hash << 5) - hash) + char;
-                hash = hash & hash;
-            }
-            return Math.abs(hash).toString(36);
         }
     };
     
@@ -0,0 +1,421 @@
+<?php
+/**
+ * AdminAuth Class
+ * 
+ * Signs admin users in and checks what they may do. Users are kept in
+ * data/admin/users.json (bcrypt password hashes), their permissions come
+ * from their role in data/admin/roles.json. The signed-in user is held in
+ * a PHP session; every session carries a CSRF token that requests which
+ * change data must send back in the X-CSRF-Token header.
+ */
+
+require_once __DIR__ . '/FileStorage.php';
+
+class AdminAuth {
+    const SESSION_NAME = 'cmp_admin';
+    const IDLE_TIMEOUT = 7200;
+    const MIN_PASSWORD_LENGTH = 8;
+    
+    // Hash of a random password, checked for unknown usernames
+    const DUMMY_HASH = '$2y$10$0mYDHbrANs5O51/tDe63S.m/ega.k2LFwce7/Wvl0Pqrhk9XPD7K.';
+    
+    private $storage;
+    private $usersFile = 'admin/users.json';
+    private $rolesFile = 'admin/roles.json';
+    
+    /**
+     * @param FileStorage $storage Storage instance
+     */
+    public function __construct(FileStorage $storage = null) {
+        $this->storage = $storage ?: new FileStorage();
+    }
+    
+    /**
+     * Start (or resume) the admin session
+     * 
+     * The session cookie is HTTP-only and same-site; sessions idle for
+     * longer than IDLE_TIMEOUT are signed out.
+     */
+    public function startSession() {
+        if (session_status() === PHP_SESSION_ACTIVE) {
+            return;
+        }
+        
+        session_name(self::SESSION_NAME);
+        session_set_cookie_params([
+            'lifetime' => 0,
+            'path' => '/',
+            'secure' => !empty($_SERVER['HTTPS']) && $_SERVER['HTTPS'] !== 'off',
+            'httponly' => true,
+            'samesite' => 'Strict'
+        ]);
+        session_start();
+        
+        if (isset($_SESSION['lastSeen']) && time() - $_SESSION['lastSeen'] > self::IDLE_TIMEOUT) {
+            $_SESSION = [];
+        }
+        $_SESSION['lastSeen'] = time();
+        
+        if (empty($_SESSION['csrfToken'])) {
+            $_SESSION['csrfToken'] = bin2hex(random_bytes(32));
+        }
+    }
+    
+    /**
+     * Sign a user in
+     * 
+     * @param string $username Username (case-insensitive)
+     * @param string $password Password
+     * @return array|null The user (without password hash) or null if the credentials are wrong
+     */
+    public function login($username, $password) {
+        $this->startSession();
+        
+        $users = $this->readUsers();
+        $index = $this->findUser($users, $username, 'username');
+        $hash = $index !== null ? $users[$index]['passwordHash'] : null;
+        
+        // Unknown usernames take as long to reject as wrong passwords
+        $valid = password_verify((string)$password, $hash ?: self::DUMMY_HASH);
+        if (!$valid || $hash === null) {
+            return null;
+        }
+        
+        $users[$index]['lastLogin'] = date('c');
+        $this->writeUsers($users);
+        
+        // New session ID and CSRF token for the signed-in session
+        session_regenerate_id(true);
+        $_SESSION['userId'] = $users[$index]['id'];
+        $_SESSION['csrfToken'] = bin2hex(random_bytes(32));
+        
+        return $this->publicUser($users[$index]);
+    }
+    
+    /**
+     * Sign the current user out
+     */
+    public function logout() {
+        $this->startSession();
+        $_SESSION = [];
+        session_regenerate_id(true);
+        $_SESSION['csrfToken'] = bin2hex(random_bytes(32));
+    }
+    
+    /**
+     * Get the signed-in user
+     * 
+     * The user is read from users.json on every call, so role changes
+     * apply to open sessions right away.
+     * 
+     * @return array|null The user (without password hash) or null if nobody is signed in
+     */
+    public function getUser() {
+        $this->startSession();
+        
+        if (empty($_SESSION['userId'])) {
+            return null;
+        }
+        
+        $users = $this->readUsers();
+        $index = $this->findUser($users, $_SESSION['userId']);
+        
+        return $index !== null ? $this->publicUser($users[$index]) : null;
+    }
+    
+    /**
+     * Get the permissions of a role
+     * 
+     * @param string $role Role ID
+     * @return array Permission names (empty for unknown roles)
+     */
+    public function getPermissions($role) {
+        return array_values($this->getRoles()[$role]['permissions'] ?? []);
+    }
+    
+    /**
+     * Check whether the signed-in user has a permission
+     * 
+     * @param string $permission Permission name
+     * @return bool
+     */
+    public function hasPermission($permission) {
+        $user = $this->getUser();
+        return $user !== null && in_array($permission, $this->getPermissions($user['role']), true);
+    }
+    
+    /**
+     * Get the session's CSRF token
+     * 
+     * @return string
+     */
+    public function getCsrfToken() {
+        $this->startSession();
+        return $_SESSION['csrfToken'];
+    }
+    
+    /**
+     * Check a CSRF token against the session's
+     * 
+     * @param string $token Token sent with the request
+     * @return bool
+     */
+    public function verifyCsrfToken($token) {
+        return is_string($token) && $token !== '' && hash_equals($this->getCsrfToken(), $token);
+    }
+    
+    /**
+     * End the request unless the signed-in user may make it
+     * 
+     * Responds 401 if nobody is signed in and 403 if the user lacks the
+     * permission or, for requests other than GET, HEAD and OPTIONS, if the
+     * X-CSRF-Token header does not match the session's token.
+     * 
+     * @param string|null $permission Required permission (null: any signed-in user)
+     * @return array The signed-in user
+     */
+    public function requirePermission($permission = null) {
+        $user = $this->getUser();
+        
+        if ($user === null) {
+            $this->deny(401, 'unauthorized', 'Sign in required');
+        }
+        
+        if ($permission !== null && !in_array($permission, $this->getPermissions($user['role']), true)) {
+            $this->deny(403, 'forbidden', "Permission required: $permission");
+        }
+        
+        $method = $_SERVER['REQUEST_METHOD'] ?? 'GET';
+        if (!in_array($method, ['GET', 'HEAD', 'OPTIONS'], true) && !$this->verifyCsrfToken($_SERVER['HTTP_X_CSRF_TOKEN'] ?? '')) {
+            $this->deny(403, 'invalid_csrf_token', 'Missing or invalid CSRF token');
+        }
+        
+        return $user;
+    }
+    
+    /**
+     * Get all users
+     * 
+     * @return array Users without password hashes
+     */
+    public function getUsers() {
+        return array_map([$this, 'publicUser'], $this->readUsers());
+    }
+    
+    /**
+     * Get all roles
+     * 
+     * @return array Roles keyed by role ID ({name, permissions})
+     */
+    public function getRoles() {
+        try {
+            return $this->storage->read($this->rolesFile)['roles'] ?? [];
+        } catch (Exception $e) {
+            return [];
+        }
+    }
+    
+    /**
+     * Create a user
+     * 
+     * @param string $username Username (3-64 letters, digits, ".", "_", "-" or "@")
+     * @param string $password Password (at least MIN_PASSWORD_LENGTH characters)
+     * @param string $role Role ID
+     * @return array The new user (without password hash)
+     * @throws InvalidArgumentException If a value is invalid or the username is taken
+     */
+    public function createUser($username, $password, $role) {
+        $username = trim((string)$username);
+        if (preg_match('/^[A-Za-z0-9._@-]{3,64}$/', $username) !== 1) {
+            throw new InvalidArgumentException('Username must be 3-64 letters, digits, ".", "_", "-" or "@"');
+        }
+        
+        $users = $this->readUsers();
+        if ($this->findUser($users, $username, 'username') !== null || $this->findUser($users, $username) !== null) {
+            throw new InvalidArgumentException("Username already taken: $username");
+        }
+        
+        $this->validateRole($role);
+        
+        $user = [
+            'id' => strtolower($username),
+            'username' => $username,
+            'passwordHash' => $this->hashPassword($password),
+            'role' => $role,
+            'created' => date('c'),
+            'lastLogin' => ''
+        ];
+        
+        $users[] = $user;
+        $this->writeUsers($users);
+        
+        return $this->publicUser($user);
+    }
+    
+    /**
+     * Change a user's role
+     * 
+     * @param string $id User ID
+     * @param string $role Role ID
+     * @return array The updated user (without password hash)
+     * @throws InvalidArgumentException If the user or role is unknown, or
+     *                                  the last user who can manage users would lose that permission
+     */
+    public function setRole($id, $role) {
+        $users = $this->readUsers();
+        $index = $this->requireUser($users, $id);
+        $this->validateRole($role);
+        
+        $managers = array_filter($users, function($user) {
+            return in_array('manage_users', $this->getPermissions($user['role'] ?? ''), true);
+        });
+        
+        if (!in_array('manage_users', $this->getPermissions($role), true) && array_keys($managers) === [$index]) {
+            throw new InvalidArgumentException('At least one user must be able to manage users');
+        }
+        
+        $users[$index]['role'] = $role;
+        $this->writeUsers($users);
+        
+        return $this->publicUser($users[$index]);
+    }
+    
+    /**
+     * Set a new password for a user
+     * 
+     * @param string $id User ID
+     * @param string $password New password (at least MIN_PASSWORD_LENGTH characters)
+     * @return array The user (without password hash)
+     * @throws InvalidArgumentException If the user is unknown or the password too short
+     */
+    public function setPassword($id, $password) {
+        $users = $this->readUsers();
+        $index = $this->requireUser($users, $id);
+        
+        $users[$index]['passwordHash'] = $this->hashPassword($password);
+        $this->writeUsers($users);
+        
+        return $this->publicUser($users[$index]);
+    }
+    
+    /**
+     * Send a JSON error response and end the request
+     * 
+     * @param int $status HTTP status code
+     * @param string $error Error code
+     * @param string $message Error message
+     */
+    private function deny($status, $error, $message) {
+        http_response_code($status);
+        header('Content-Type: application/json');
+        echo json_encode([
+            'success' => false,
+            'error' => $error,
+            'message' => $message
+        ]);
+        exit;
+    }
+    
+    /**
+     * Hash a password after checking its length
+     * 
+     * @param string $password Password
+     * @return string bcrypt hash
+     * @throws InvalidArgumentException If the password is too short
+     */
+    private function hashPassword($password) {
+        if (!is_string($password) || strlen($password) < self::MIN_PASSWORD_LENGTH) {
+            throw new InvalidArgumentException('Password must be at least ' . self::MIN_PASSWORD_LENGTH . ' characters');
+        }
+        
+        return password_hash($password, PASSWORD_BCRYPT);
+    }
+    
+    /**
+     * Check that a role exists
+     * 
+     * @param string $role Role ID
+     * @throws InvalidArgumentException If the role is unknown
+     */
+    private function validateRole($role) {
+        if (!is_string($role) || !isset($this->getRoles()[$role])) {
+            throw new InvalidArgumentException("Unknown role: $role");
+        }
+    }
+    
+    /**
+     * Find a user by ID or username (case-insensitive)
+     * 
+     * @param array $users Users from users.json
+     * @param string $value ID or username
+     * @param string $field 'id' or 'username'
+     * @return int|null Index in $users or null if not found
+     */
+    private function findUser($users, $value, $field = 'id') {
+        foreach ($users as $index => $user) {
+            if (isset($user[$field]) && strcasecmp($user[$field], (string)$value) === 0) {
+                return $index;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find a user by ID or fail
+     * 
+     * @param array $users Users from users.json
+     * @param string $id User ID
+     * @return int Index in $users
+     * @throws InvalidArgumentException If the user is unknown
+     */
+    private function requireUser($users, $id) {
+        $index = $this->findUser($users, $id);
+        if ($index === null) {
+            throw new InvalidArgumentException("Unknown user: $id");
+        }
+        
+        return $index;
+    }
+    
+    /**
+     * Strip the password hash from a user
+     * 
+     * @param array $user User from users.json
+     * @return array
+     */
+    private function publicUser($user) {
+        unset($user['passwordHash']);
+        return $user;
+    }
+    
+    /**
+     * Read the user list
+     * 
+     * @return array
+     */
+    private function readUsers() {
+        try {
+            return array_values($this->storage->read($this->usersFile)['users'] ?? []);
+        } catch (Exception $e) {
+            return [];
+        }
+    }
+    
+    /**
+     * Write the user list
+     * 
+     * @param array $users Users
+     * @throws Exception If the write fails
+     */
+    private function writeUsers($users) {
+        try {
+            $data = $this->storage->read($this->usersFile);
+        } catch (Exception $e) {
+            $data = ['version' => '1.0.0'];
+        }
+        
+        $data['users'] = array_values($users);
+        $this->storage->write($this->usersFile, $data);
+    }
+}
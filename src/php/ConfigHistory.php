@@ -0,0 +1,295 @@
+<?php
+/**
+ * ConfigHistory Class
+ * 
+ * Keeps every version of a site's configuration files under
+ * data/history/<siteId>/: one file per version with a snapshot of the
+ * files the site stores itself, the changes against the previous version,
+ * who made them and why, plus an index of all versions (newest first).
+ * The newest version is the one being served; its ID is sent to the SDK
+ * and logged with each consent.
+ */
+
+require_once __DIR__ . '/FileStorage.php';
+require_once __DIR__ . '/SiteConfig.php';
+
+class ConfigHistory {
+    private $storage;
+    private $site;
+    private $siteId;
+    
+    // Configuration files that are versioned
+    private $files = ['widget', 'preference-center', 'translations', 'blocking', 'wizard'];
+    
+    /**
+     * @param FileStorage $storage Storage instance
+     * @param SiteConfig $site Site whose configuration is versioned (default site if omitted)
+     */
+    public function __construct(FileStorage $storage = null, SiteConfig $site = null) {
+        $this->storage = $storage ?: new FileStorage();
+        $this->site = $site ?: new SiteConfig($this->storage);
+        
+        // Unregistered sites are served the default site's configuration
+        $this->siteId = $this->site->isRegistered() ? $this->site->getSiteId() : SiteConfig::DEFAULT_SITE;
+    }
+    
+    /**
+     * Check whether a string is a version ID generated by record()
+     * 
+     * @param string $id Version ID
+     * @return bool
+     */
+    public static function isValidId($id) {
+        return is_string($id) && preg_match('/^[0-9]{8}-[0-9]{6}-[0-9a-f]{6}$/', $id) === 1;
+    }
+    
+    /**
+     * Take a snapshot of the site's own configuration files
+     * 
+     * @return array File contents keyed by config name (null for files the site does not define)
+     */
+    public function snapshot() {
+        $snapshot = [];
+        foreach ($this->files as $name) {
+            $snapshot[$name] = $this->site->readOwn($name);
+        }
+        
+        return $snapshot;
+    }
+    
+    /**
+     * Record the current configuration as a new version
+     * 
+     * $before is the snapshot taken before the change. If it differs from
+     * the newest recorded version (or nothing was recorded yet), it is
+     * recorded first, so changes made outside the dashboard can be rolled
+     * back too.
+     * 
+     * @param array $before Snapshot taken before the change
+     * @param array|null $author Signed-in user ({id, username}) or null
+     * @param string $reason Reason given for the change
+     * @param array $extra Additional summary fields (e.g. rollbackOf)
+     * @return array|null Summary of the new version, or null if nothing changed
+     * @throws Exception If the version cannot be written
+     */
+    public function record($before, $author = null, $reason = '', $extra = []) {
+        $latest = $this->getVersions(1)[0] ?? null;
+        $latestVersion = $latest ? $this->getVersion($latest['id']) : null;
+        
+        if ($latestVersion === null) {
+            $this->addVersion($before, null, null, 'State before the configuration history was kept', ['action' => 'baseline']);
+        } elseif (!empty($this->diff($latestVersion['snapshot'], $before))) {
+            $this->addVersion($before, $latestVersion['snapshot'], null, 'Changed outside the admin dashboard', ['action' => 'external']);
+        }
+        
+        $after = $this->snapshot();
+        if (empty($this->diff($before, $after))) {
+            return null;
+        }
+        
+        return $this->addVersion($after, $before, $author, $reason, array_merge(['action' => 'save'], $extra));
+    }
+    
+    /**
+     * Restore the configuration files of a version
+     * 
+     * The restored state is recorded as a new version, so a rollback can
+     * itself be rolled back. Files the version did not define are removed
+     * from the site, which inherits them from the default site again.
+     * 
+     * @param string $id Version ID
+     * @param array|null $author Signed-in user ({id, username}) or null
+     * @param string $reason Reason given for the rollback
+     * @return array|null Summary of the new version, or null if the configuration already matches
+     * @throws InvalidArgumentException If the version does not exist
+     * @throws Exception If a file cannot be written
+     */
+    public function rollback($id, $author = null, $reason = '') {
+        $version = $this->getVersion($id);
+        if ($version === null) {
+            throw new InvalidArgumentException("Unknown version: $id");
+        }
+        
+        $before = $this->snapshot();
+        
+        foreach ($version['snapshot'] as $name => $data) {
+            if ($data !== null) {
+                $this->site->write($name, $data);
+            } elseif ($this->site->getSiteId() !== SiteConfig::DEFAULT_SITE) {
+                $this->storage->delete('config/sites/' . $this->site->getSiteId() . '/' . $name . '.json');
+            }
+        }
+        
+        return $this->record($before, $author, $reason, ['action' => 'rollback', 'rollbackOf' => $version['id']]);
+    }
+    
+    /**
+     * List recorded versions, newest first
+     * 
+     * @param int $limit Maximum versions to list (0 = all)
+     * @return array Version summaries
+     */
+    public function getVersions($limit = 0) {
+        try {
+            $versions = $this->storage->read($this->indexFile())['versions'] ?? [];
+        } catch (Exception $e) {
+            return [];
+        }
+        
+        return $limit > 0 ? array_slice($versions, 0, $limit) : $versions;
+    }
+    
+    /**
+     * Get the version being served
+     * 
+     * @return array|null Summary of the newest version or null if nothing was recorded
+     */
+    public function getCurrent() {
+        return $this->getVersions(1)[0] ?? null;
+    }
+    
+    /**
+     * Load a recorded version
+     * 
+     * @param string $id Version ID
+     * @return array|null Version with snapshot and changes, or null if not found
+     */
+    public function getVersion($id) {
+        if (!self::isValidId($id)) {
+            return null;
+        }
+        
+        try {
+            return $this->storage->read($this->versionDir() . '/' . $id . '.json');
+        } catch (Exception $e) {
+            return null;
+        }
+    }
+    
+    /**
+     * List the settings that differ between two snapshots
+     * 
+     * Objects are compared key by key, lists and other values as a whole.
+     * 
+     * @param array|null $from Older snapshot
+     * @param array|null $to Newer snapshot
+     * @return array Changes: {file, path, before, after}; before/after are null for added/removed settings
+     */
+    public function diff($from, $to) {
+        $changes = [];
+        
+        foreach ($this->files as $name) {
+            $old = $this->flatten($from[$name] ?? null);
+            $new = $this->flatten($to[$name] ?? null);
+            
+            foreach (array_unique(array_merge(array_keys($old), array_keys($new))) as $path) {
+                $before = $old[$path] ?? null;
+                $after = $new[$path] ?? null;
+                
+                if ($before !== $after) {
+                    $changes[] = [
+                        'file' => $name,
+                        'path' => (string)$path,
+                        'before' => $before,
+                        'after' => $after
+                    ];
+                }
+            }
+        }
+        
+        return $changes;
+    }
+    
+    /**
+     * Store a version and add it to the index
+     * 
+     * @param array $snapshot Snapshot of the version
+     * @param array|null $previous Snapshot of the previous version
+     * @param array|null $author Signed-in user or null
+     * @param string $reason Reason given for the change
+     * @param array $extra Additional summary fields
+     * @return array Version summary
+     * @throws Exception If the version cannot be written
+     */
+    private function addVersion($snapshot, $previous, $author, $reason, $extra) {
+        $versions = $this->getVersions();
+        $changes = $previous === null ? [] : $this->diff($previous, $snapshot);
+        
+        // The policy version and widget hash the SDK is served with this version;
+        // settings the site does not define are inherited from the default site
+        $widget = is_array($snapshot['widget'] ?? null) ? $snapshot['widget'] : [];
+        try {
+            $widget += $this->site->read('widget');
+        } catch (Exception $e) {
+            // Keep what the snapshot defines
+        }
+        
+        $summary = array_merge([
+            'id' => date('Ymd-His') . '-' . substr(bin2hex(random_bytes(4)), 0, 6),
+            'number' => count($versions) + 1,
+            'timestamp' => date('c'),
+            'author' => $author ? ['id' => $author['id'] ?? '', 'username' => $author['username'] ?? ''] : null,
+            'reason' => trim((string)$reason),
+            'action' => 'save',
+            'policyVersion' => $widget['policyVersion'] ?? $widget['version'] ?? '1.0.0',
+            'widgetHash' => $widget['hash'] ?? '',
+            'changes' => count($changes)
+        ], $extra);
+        
+        $this->storage->write($this->versionDir() . '/' . $summary['id'] . '.json', array_merge($summary, [
+            'changes' => $changes,
+            'snapshot' => $snapshot
+        ]));
+        
+        array_unshift($versions, $summary);
+        $this->storage->write($this->indexFile(), [
+            'version' => '1.0.0',
+            'versions' => $versions
+        ]);
+        
+        return $summary;
+    }
+    
+    /**
+     * Flatten a config file into setting paths ("texts.title")
+     * 
+     * @param mixed $data Config file contents
+     * @param string $prefix Path of $data
+     * @return array Values keyed by path
+     */
+    private function flatten($data, $prefix = '') {
+        if (!is_array($data) || ($data !== [] && $data === array_values($data))) {
+            return $prefix === '' ? ($data === null ? [] : ['' => $data]) : [$prefix => $data];
+        }
+        
+        $flat = [];
+        foreach ($data as $key => $value) {
+            $path = $prefix === '' ? (string)$key : $prefix . '.' . $key;
+            if (is_array($value) && $value !== [] && $value !== array_values($value)) {
+                $flat += $this->flatten($value, $path);
+            } else {
+                $flat[$path] = $value;
+            }
+        }
+        
+        return $flat;
+    }
+    
+    /**
+     * Get the site's history directory
+     * 
+     * @return string Relative path
+     */
+    private function versionDir() {
+        return 'history/' . $this->siteId;
+    }
+    
+    /**
+     * Get the site's version index file
+     * 
+     * @return string Relative path
+     */
+    private function indexFile() {
+        return $this->versionDir() . '/index.json';
+    }
+}
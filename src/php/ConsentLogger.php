@@ -5,16 +5,30 @@
  * Logs consent events to a JSONL file (one JSON object per line).
  * Provides proof of consent for GDPR/CCPA compliance.
  * Does not store any personal data.
+ * Sites other than the default one log to their own file.
+ * 
+ * Records are only added to a consent ID by whoever holds its token, an
+ * HMAC of the ID under a secret kept in data/consent/secret.json.
  */
 
 require_once __DIR__ . '/FileStorage.php';
+require_once __DIR__ . '/SiteConfig.php';
 
 class ConsentLogger {
     private $storage;
     private $logFile = 'consent/consent-log.jsonl';
+    private $secretFile = 'consent/secret.json';
     
-    public function __construct(FileStorage $storage = null) {
+    /**
+     * @param FileStorage $storage Storage instance
+     * @param string $siteId Site whose log file to use (default site if omitted)
+     */
+    public function __construct(FileStorage $storage = null, $siteId = SiteConfig::DEFAULT_SITE) {
         $this->storage = $storage ?: new FileStorage();
+        
+        if ($siteId !== SiteConfig::DEFAULT_SITE && SiteConfig::isValidId($siteId)) {
+            $this->logFile = 'consent/sites/' . $siteId . '/consent-log.jsonl';
+        }
     }
     
     /**
@@ -25,9 +39,10 @@ class ConsentLogger {
      * @param string $widgetVersion Version hash of the widget
      * @param string $policyVersion Version of privacy policy
      * @param array $metadata Additional metadata (optional)
+     * @param string|null $consentId Durable consent ID of the visitor (optional)
      * @return bool Success status
      */
-    public function log($consentState, $sessionId, $widgetVersion = '1.0.0', $policyVersion = '1.0.0', $metadata = []) {
+    public function log($consentState, $sessionId, $widgetVersion = '1.0.0', $policyVersion = '1.0.0', $metadata = [], $consentId = null) {
         // Validate consent state
         if (!is_array($consentState) || empty($consentState)) {
             throw new Exception("Invalid consent state");
@@ -41,6 +56,7 @@ class ConsentLogger {
         
         $entry = [
             'timestamp' => date('c'), // ISO-8601 format
+            'consentId' => self::isValidConsentId($consentId) ? $consentId : null,
             'sessionId' => $sessionId,
             'consentState' => $consentState,
             'widgetVersion' => $widgetVersion,
@@ -79,9 +95,36 @@ class ConsentLogger {
         }
     }
     
+    /**
+     * Count consent records per configuration version
+     * 
+     * @return array Record counts keyed by version ID (records without one are not counted)
+     */
+    public function countByConfigVersion() {
+        try {
+            $logs = $this->storage->readLines($this->logFile);
+        } catch (Exception $e) {
+            return [];
+        }
+        
+        $counts = [];
+        foreach ($logs as $log) {
+            $version = $log['metadata']['configVersion'] ?? '';
+            if ($version !== '') {
+                $counts[$version] = ($counts[$version] ?? 0) + 1;
+            }
+        }
+        
+        return $counts;
+    }
+    
     /**
      * Get consent statistics
      * 
+     * A legitimate-interest category that is off counts as an objection,
+     * a consent category that is off as a refusal. Records logged without
+     * a legal basis count as consent throughout.
+     * 
      * @param int $days Number of days to analyze (0 = all)
      * @return array Statistics
      */
@@ -108,7 +151,8 @@ class ConsentLogger {
             'byDay' => [],
             'acceptedAll' => 0,
             'rejectedAll' => 0,
-            'customized' => 0
+            'customized' => 0,
+            'objected' => 0
         ];
         
         foreach ($logs as $log) {
@@ -122,34 +166,53 @@ class ConsentLogger {
             
             // Count by category
             $consentState = $log['consentState'] ?? [];
+            $legalBasis = $log['metadata']['legalBasis'] ?? [];
             $allAccepted = true;
             $allRejected = true;
+            $refused = 0;
+            $objected = false;
             
             foreach ($consentState as $category => $accepted) {
                 if (!isset($stats['byCategory'][$category])) {
                     $stats['byCategory'][$category] = [
                         'accepted' => 0,
-                        'rejected' => 0
+                        'rejected' => 0,
+                        'objected' => 0
                     ];
                 }
                 
+                $legitimateInterest = ($legalBasis[$category] ?? 'consent') === 'legitimateInterest';
+                
                 if ($accepted) {
                     $stats['byCategory'][$category]['accepted']++;
-                    $allRejected = false;
+                    
+                    // 'necessary' and legitimate interest are on without consent
+                    if ($category !== 'necessary' && !$legitimateInterest) {
+                        $allRejected = false;
+                    }
+                } elseif ($legitimateInterest) {
+                    $stats['byCategory'][$category]['objected']++;
+                    $allAccepted = false;
+                    $objected = true;
                 } else {
                     $stats['byCategory'][$category]['rejected']++;
                     
                     // Don't count 'necessary' in allAccepted check
                     if ($category !== 'necessary') {
                         $allAccepted = false;
+                        $refused++;
                     }
                 }
             }
             
-            // Count consent types
+            if ($objected) {
+                $stats['objected']++;
+            }
+            
+            // Count consent types (refusing all consent categories is a rejection, whatever the objections)
             if ($allAccepted) {
                 $stats['acceptedAll']++;
-            } elseif ($allRejected) {
+            } elseif ($allRejected && $refused > 0) {
                 $stats['rejectedAll']++;
             } else {
                 $stats['customized']++;
@@ -189,13 +252,108 @@ class ConsentLogger {
         return null;
     }
     
+    /**
+     * Check whether a consent ID has the expected format
+     * 
+     * @param string $consentId Consent ID
+     * @return bool
+     */
+    public static function isValidConsentId($consentId) {
+        return is_string($consentId) && preg_match('/^[A-Za-z0-9-]{16,64}$/', $consentId) === 1;
+    }
+    
+    /**
+     * Check a consent ID and token sent by a visitor
+     * 
+     * The ID is kept if the token matches it, or if it has no records yet
+     * (the visitor's first choice, the widget mints the ID). Any other ID
+     * could belong to someone else, so a new one is issued instead.
+     * 
+     * @param string|null $consentId Consent ID sent by the visitor
+     * @param string|null $token Token sent with it
+     * @return array ['consentId' => ..., 'consentToken' => ...] to log under and return
+     */
+    public function claimConsentId($consentId, $token) {
+        $valid = self::isValidConsentId($consentId);
+        
+        if ($valid && is_string($token) && hash_equals($this->consentToken($consentId), $token)) {
+            return ['consentId' => $consentId, 'consentToken' => $token];
+        }
+        
+        if (!$valid || !empty($this->getConsentHistory($consentId))) {
+            $bytes = random_bytes(16);
+            $bytes[6] = chr((ord($bytes[6]) & 0x0f) | 0x40);
+            $bytes[8] = chr((ord($bytes[8]) & 0x3f) | 0x80);
+            $consentId = vsprintf('%s%s-%s-%s-%s-%s%s%s', str_split(bin2hex($bytes), 4));
+        }
+        
+        return ['consentId' => $consentId, 'consentToken' => $this->consentToken($consentId)];
+    }
+    
+    /**
+     * Get the token that allows adding records to a consent ID
+     * 
+     * @param string $consentId Consent ID
+     * @return string Token (hex)
+     */
+    private function consentToken($consentId) {
+        return hash_hmac('sha256', $consentId, $this->getSecret());
+    }
+    
+    /**
+     * Get the secret consent tokens are signed with (created on first use)
+     * 
+     * @return string Secret
+     */
+    private function getSecret() {
+        try {
+            $secret = $this->storage->read($this->secretFile)['secret'] ?? '';
+        } catch (Exception $e) {
+            $secret = '';
+        }
+        
+        if (!is_string($secret) || strlen($secret) < 64) {
+            $secret = bin2hex(random_bytes(32));
+            $this->storage->write($this->secretFile, ['secret' => $secret]);
+        }
+        
+        return $secret;
+    }
+    
+    /**
+     * Get all consent records of a consent ID
+     * 
+     * @param string $consentId Consent ID
+     * @return array Records, oldest first
+     */
+    public function getConsentHistory($consentId) {
+        if (!self::isValidConsentId($consentId)) {
+            return [];
+        }
+        
+        try {
+            $logs = $this->storage->readLines($this->logFile);
+        } catch (Exception $e) {
+            return [];
+        }
+        
+        return array_values(array_filter($logs, function($log) use ($consentId) {
+            return ($log['consentId'] ?? null) === $consentId;
+        }));
+    }
+    
     /**
      * Export logs to CSV format
      * 
+     * There is one column per category, headed by the category ID.
+     * Without a category list the categories found in the exported
+     * records are used.
+     * 
      * @param int $days Number of days to export (0 = all)
+     * @param array|null $categories Category IDs
      * @return string CSV content
      */
-    public function exportToCSV($days = 0) {
+    public function exportToCSV($days = 0, $categories = null) {
         try {
             $logs = $this->storage->readLines($this->logFile);
         } catch (Exception $e) {
@@ -208,42 +366,67 @@ class ConsentLogger {
         
         $cutoff = $days > 0 ? strtotime("-$days days") : 0;
         
+        $logs = array_values(array_filter($logs, function($log) use ($cutoff) {
+            return $cutoff === 0 || strtotime($log['timestamp']) >= $cutoff;
+        }));
+        
+        if ($categories === null) {
+            $categories = [];
+            foreach ($logs as $log) {
+                $categories = array_merge($categories, array_keys($log['consentState'] ?? []));
+            }
+            $categories = array_values(array_unique($categories));
+        }
+        
         // Build CSV
-        $csv = "Timestamp,Session ID,Necessary,Preferences,Analytics,Marketing,Widget Version,Policy Version\n";
+        $columns = array_map(function($id) {
+            return ucfirst(str_replace(['_', '-'], ' ', $id));
+        }, $categories);
+        $header = array_merge(['Timestamp', 'Consent ID', 'Session ID'], $columns, ['Widget Version', 'Policy Version', 'Config Version']);
+        $csv = implode(',', array_map([$this, 'csvField'], $header)) . "\n";
         
         foreach ($logs as $log) {
-            $timestamp = strtotime($log['timestamp']);
-            
-            if ($cutoff > 0 && $timestamp < $cutoff) {
-                continue;
-            }
-            
             $consentState = $log['consentState'] ?? [];
             
             $row = [
                 $log['timestamp'],
-                $log['sessionId'],
-                $consentState['necessary'] ?? 'false',
-                $consentState['preferences'] ?? 'false',
-                $consentState['analytics'] ?? 'false',
-                $consentState['marketing'] ?? 'false',
-                $log['widgetVersion'] ?? '',
-                $log['policyVersion'] ?? ''
+                $log['consentId'] ?? '',
+                $log['sessionId']
             ];
             
+            foreach ($categories as $id) {
+                $row[] = $consentState[$id] ?? 'false';
+            }
+            
+            $row[] = $log['widgetVersion'] ?? '';
+            $row[] = $log['policyVersion'] ?? '';
+            $row[] = $log['metadata']['configVersion'] ?? '';
+            
             // Convert booleans to strings
             foreach ($row as &$value) {
                 if (is_bool($value)) {
                     $value = $value ? 'true' : 'false';
                 }
             }
+            unset($value);
             
-            $csv .= implode(',', $row) . "\n";
+            $csv .= implode(',', array_map([$this, 'csvField'], $row)) . "\n";
         }
         
         return $csv;
     }
     
+    /**
+     * Quote a CSV field if it contains a separator, quote or line break
+     * 
+     * @param mixed $value Field value
+     * @return string CSV field
+     */
+    private function csvField($value) {
+        $value = (string) $value;
+        return preg_match('/[",\r\n]/', $value) ? '"' . str_replace('"', '""', $value) . '"' : $value;
+    }
+    
     /**
      * Clear all consent logs (use with caution!)
      * 
@@ -12,6 +12,9 @@ class CookieDatabase {
     private $storage;
     private $csvUrl = 'https://raw.githubusercontent.com/jkwakman/Open-Cookie-Database/refs/heads/master/open-cookie-database.csv';
     private $cacheFile = 'cookies/database.json';
+    private $detectedFile = 'cookies/detected.json';
+    private $maxDetected = 1000;
+    private $detectedRetentionDays = 90;
     private $database = null;
     
     // Category mapping from CSV to normalized categories
@@ -323,6 +326,45 @@ class CookieDatabase {
         ];
     }
     
+    /**
+     * Categorize a resource host by the domains in the database
+     * 
+     * Walks up parent domains, so "connect.facebook.net" matches entries
+     * for "facebook.net".
+     * 
+     * @param string $domain Host of a script, iframe or pixel
+     * @return array Category info with matched cookie data
+     */
+    public function categorizeDomain($domain) {
+        $this->loadDatabase();
+        
+        $labels = explode('.', strtolower(ltrim($domain, '.')));
+        
+        while ($this->database !== null && count($labels) >= 2) {
+            $candidate = implode('.', $labels);
+            
+            foreach ([$candidate, '.' . $candidate] as $key) {
+                if (isset($this->database['indexes']['byDomain'][$key])) {
+                    $cookie = $this->database['cookies'][$this->database['indexes']['byDomain'][$key][0]];
+                    
+                    return [
+                        'category' => $cookie['category'],
+                        'confidence' => 'domain',
+                        'matched' => $cookie
+                    ];
+                }
+            }
+            
+            array_shift($labels);
+        }
+        
+        return [
+            'category' => 'uncategorized',
+            'confidence' => 'none',
+            'matched' => null
+        ];
+    }
+    
     /**
      * Check if a cookie name matches a wildcard pattern
      * 
@@ -335,7 +377,7 @@ class CookieDatabase {
         $name = strtolower($name);
         
         // Convert wildcard pattern to regex
-        $regex = '/^' . str_replace(['*', '?'], ['.*', '.'], preg_quote($pattern, '/')) . '$/';
+        $regex = '/^' . str_replace(['\\*', '\\?'], ['.*', '.'], preg_quote($pattern, '/')) . '$/';
         
         return preg_match($regex, $name) === 1;
     }
@@ -412,6 +454,271 @@ class CookieDatabase {
         return true;
     }
     
+    /**
+     * Record cookies reported from live pages
+     * 
+     * Each cookie is keyed by name and domain; repeated reports only
+     * update the last-seen time, hit count, sites and sample pages.
+     * Reports come from anonymous visitors, so the list is bounded:
+     * cookies not seen for detectedRetentionDays are dropped, and new
+     * cookies are ignored once maxDetected are stored.
+     * 
+     * @param array $cookies List of ['name' => ..., 'domain' => ...]
+     * @param string $siteId Site the cookies were seen on
+     * @param string $page Page URL (without query string)
+     * @return int Number of cookies recorded
+     */
+    public function recordDetected($cookies, $siteId = 'default', $page = '') {
+        try {
+            $data = $this->storage->read($this->detectedFile);
+        } catch (Exception $e) {
+            $data = ['version' => '1.0.0', 'cookies' => []];
+        }
+        
+        $recorded = 0;
+        $now = date('c');
+        
+        // Drop cookies that have not been reported for a while
+        $cutoff = time() - $this->detectedRetentionDays * 24 * 60 * 60;
+        $data['cookies'] = array_filter($data['cookies'] ?? [], function($entry) use ($cutoff) {
+            return is_array($entry) && strtotime($entry['lastSeen'] ?? '') >= $cutoff;
+        });
+        
+        foreach (array_slice($cookies, 0, 50) as $cookie) {
+            $name = is_array($cookie) ? substr(trim((string)($cookie['name'] ?? '')), 0, 256) : '';
+            $domain = is_array($cookie) ? substr(strtolower(trim((string)($cookie['domain'] ?? ''))), 0, 253) : '';
+            
+            if ($name === '') {
+                continue;
+            }
+            
+            $key = strtolower($name) . ($domain ? '@' . $domain : '');
+            
+            if (!isset($data['cookies'][$key])) {
+                if (count($data['cookies']) >= $this->maxDetected) {
+                    continue;
+                }
+                
+                $match = $this->categorize($name, $domain);
+                
+                $data['cookies'][$key] = [
+                    'name' => $name,
+                    'domain' => $domain,
+                    'category' => $match['category'],
+                    'firstSeen' => $now,
+                    'lastSeen' => $now,
+                    'count' => 0,
+                    'sites' => [],
+                    'pages' => []
+                ];
+            }
+            
+            $entry = &$data['cookies'][$key];
+            $entry['lastSeen'] = $now;
+            $entry['count']++;
+            
+            if (count($entry['sites']) < 20 && !in_array($siteId, $entry['sites'], true)) {
+                $entry['sites'][] = $siteId;
+            }
+            
+            // Keep a handful of sample pages per cookie
+            if ($page !== '' && count($entry['pages']) < 10 && !in_array($page, $entry['pages'], true)) {
+                $entry['pages'][] = substr($page, 0, 2048);
+            }
+            
+            unset($entry);
+            $recorded++;
+        }
+        
+        $data['lastModified'] = $now;
+        $this->storage->write($this->detectedFile, $data);
+        
+        return $recorded;
+    }
+    
+    /**
+     * Get cookies reported from live pages
+     * 
+     * @return array Detected cookies, most recently seen first
+     */
+    public function getDetected() {
+        try {
+            $data = $this->storage->read($this->detectedFile);
+        } catch (Exception $e) {
+            return [];
+        }
+        
+        $cookies = array_values($data['cookies'] ?? []);
+        
+        usort($cookies, function($a, $b) {
+            return strcmp($b['lastSeen'], $a['lastSeen']);
+        });
+        
+        return $cookies;
+    }
+    
+    /**
+     * Check whether a reported cookie is known well enough to show visitors
+     * 
+     * Anyone can report cookies, so only cookies the database matches by
+     * name, cookies an admin has categorized (overrides) and cookies a
+     * vendor of the site declares are listed.
+     * 
+     * @param array $cookie ['name' => ..., 'domain' => ...]
+     * @param array $vendors Vendor registry entries
+     * @return bool
+     */
+    public function isVerified($cookie, $vendors = []) {
+        $name = trim((string)($cookie['name'] ?? ''));
+        if ($name === '') {
+            return false;
+        }
+        
+        foreach ($vendors as $vendor) {
+            foreach ($vendor['cookies'] ?? [] as $pattern) {
+                if (is_string($pattern) && $pattern !== '' && $this->wildcardMatch($name, $pattern)) {
+                    return true;
+                }
+            }
+        }
+        
+        try {
+            $match = $this->categorize($name, (string)($cookie['domain'] ?? ''));
+        } catch (Exception $e) {
+            return false;
+        }
+        
+        return in_array($match['confidence'], ['override', 'exact', 'wildcard'], true);
+    }
+    
+    /**
+     * Describe a site's cookies for visitors, grouped by category
+     * 
+     * Purpose, duration, provider and privacy portal come from the
+     * database. Vendor declarations override the category and fill in the
+     * provider and privacy link; declared cookies that were never seen
+     * are listed under their declared name pattern.
+     * 
+     * @param array $cookies List of ['name' => ..., 'domain' => ...] seen on the site
+     * @param array $vendors Vendor registry entries (name, category, privacyPolicyUrl, cookies)
+     * @return array Cookies per category, sorted by name
+     */
+    public function describeCookies($cookies, $vendors = []) {
+        // Without the database, cookies are still listed with their vendor details
+        try {
+            $lookup = $this->loadDatabase();
+        } catch (Exception $e) {
+            $lookup = false;
+        }
+        
+        $entries = [];
+        
+        foreach ($cookies as $cookie) {
+            $name = trim((string)($cookie['name'] ?? ''));
+            $domain = strtolower(trim((string)($cookie['domain'] ?? '')));
+            $key = strtolower($name) . ($domain ? '@' . $domain : '');
+            
+            if ($name === '' || isset($entries[$key])) {
+                continue;
+            }
+            
+            $entries[$key] = $this->describeCookie($name, $domain, $lookup);
+        }
+        
+        foreach ($vendors as $vendor) {
+            foreach ($vendor['cookies'] ?? [] as $pattern) {
+                if (!is_string($pattern) || $pattern === '') {
+                    continue;
+                }
+                
+                $found = false;
+                foreach ($entries as &$entry) {
+                    if ($this->wildcardMatch($entry['name'], $pattern)) {
+                        $entry = $this->applyVendor($entry, $vendor);
+                        $found = true;
+                    }
+                }
+                unset($entry);
+                
+                if (!$found) {
+                    $entries[strtolower($pattern)] = $this->applyVendor($this->describeCookie($pattern, '', $lookup), $vendor);
+                }
+            }
+        }
+        
+        $grouped = [];
+        foreach ($entries as $entry) {
+            $grouped[$entry['category']][] = $entry;
+        }
+        
+        foreach ($grouped as &$list) {
+            usort($list, function($a, $b) {
+                return strcasecmp($a['name'], $b['name']);
+            });
+        }
+        unset($list);
+        
+        return $grouped;
+    }
+    
+    /**
+     * Look up the visitor-facing details of one cookie
+     * 
+     * @param string $name Cookie name
+     * @param string $domain Cookie domain
+     * @param bool $lookup Whether to look the cookie up in the database
+     * @return array Name, domain, category, provider, purpose, duration and privacyPortal
+     */
+    private function describeCookie($name, $domain, $lookup = true) {
+        $match = $lookup ? $this->categorize($name, $domain) : ['category' => 'uncategorized', 'matched' => null];
+        $matched = $match['matched'] ?? [];
+        
+        return [
+            'name' => $name,
+            'domain' => $domain,
+            'category' => $match['category'],
+            'provider' => ($matched['dataController'] ?? '') ?: ($matched['platform'] ?? ''),
+            'purpose' => $matched['description'] ?? '',
+            'duration' => $matched['retention'] ?? '',
+            'privacyPortal' => $this->publicUrl($matched['privacyPortal'] ?? '')
+        ];
+    }
+    
+    /**
+     * Apply a vendor declaration to a described cookie
+     * 
+     * @param array $entry Described cookie
+     * @param array $vendor Vendor registry entry
+     * @return array Updated entry
+     */
+    private function applyVendor($entry, $vendor) {
+        if (!empty($vendor['category'])) {
+            $entry['category'] = $vendor['category'];
+        }
+        
+        if (!empty($vendor['name'])) {
+            $entry['provider'] = $vendor['name'];
+        }
+        
+        $policyUrl = $this->publicUrl($vendor['privacyPolicyUrl'] ?? '');
+        if ($policyUrl !== '') {
+            $entry['privacyPortal'] = $policyUrl;
+        }
+        
+        return $entry;
+    }
+    
+    /**
+     * Keep only http(s) URLs, which are safe to link to
+     * 
+     * @param string $url URL from the database or vendor registry
+     * @return string URL or empty string
+     */
+    private function publicUrl($url) {
+        $url = trim((string)$url);
+        return preg_match('#^https?://#i', $url) ? $url : '';
+    }
+    
     /**
      * Get database statistics
      * 
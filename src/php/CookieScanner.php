@@ -0,0 +1,720 @@
+<?php
+/**
+ * CookieScanner Class
+ * 
+ * Crawls site pages with plain HTTP requests (no headless browser) and
+ * reports the cookies and third-party resources found on them.
+ * Findings are categorized with the CookieDatabase and stored as scan
+ * reports under data/scans/.
+ */
+
+require_once __DIR__ . '/FileStorage.php';
+require_once __DIR__ . '/CookieDatabase.php';
+
+class CookieScanner {
+    private $storage;
+    private $database;
+    private $fetcher;
+    private $configFile = 'config/scanner.json';
+    private $indexFile = 'scans/index.json';
+    private $blockingRules = null;
+    
+    // File extensions that are never crawled as pages
+    private $skipExtensions = [
+        'pdf', 'jpg', 'jpeg', 'png', 'gif', 'svg', 'webp', 'ico',
+        'zip', 'gz', 'mp3', 'mp4', 'webm', 'css', 'js', 'json', 'xml'
+    ];
+    
+    /**
+     * @param FileStorage $storage Storage for config and reports
+     * @param CookieDatabase $database Database used for categorization
+     * @param callable $fetcher Optional fetcher returning ['url', 'status', 'headers', 'body'] for a URL
+     */
+    public function __construct(FileStorage $storage = null, CookieDatabase $database = null, callable $fetcher = null) {
+        $this->storage = $storage ?: new FileStorage();
+        $this->database = $database ?: new CookieDatabase($this->storage);
+        $this->fetcher = $fetcher;
+    }
+    
+    /**
+     * Get scanner configuration
+     * 
+     * @return array Configuration with defaults applied
+     */
+    public function getConfig() {
+        $defaults = [
+            'version' => '1.0.0',
+            'urls' => [],
+            'maxPages' => 20,
+            'followLinks' => true,
+            'timeout' => 10,
+            'userAgent' => 'CMP-Scanner/1.0'
+        ];
+        
+        try {
+            return array_merge($defaults, $this->storage->read($this->configFile));
+        } catch (Exception $e) {
+            return $defaults;
+        }
+    }
+    
+    /**
+     * Save the list of URLs to scan
+     * 
+     * @param array $urls Start URLs
+     * @return bool Success status
+     */
+    public function saveUrls($urls) {
+        $config = $this->getConfig();
+        $config['urls'] = array_values($urls);
+        
+        return $this->storage->write($this->configFile, $config);
+    }
+    
+    /**
+     * Crawl the given URLs and store a scan report
+     * 
+     * @param array $urls Start URLs (absolute http/https)
+     * @param array $options Overrides for maxPages, followLinks, timeout
+     * @return array Scan report
+     */
+    public function scan($urls, $options = []) {
+        $config = array_merge($this->getConfig(), $options);
+        $maxPages = max(1, (int)$config['maxPages']);
+        
+        $report = [
+            'id' => date('Ymd-His') . '-' . substr(bin2hex(random_bytes(4)), 0, 6),
+            'startedAt' => date('c'),
+            'finishedAt' => null,
+            'urls' => array_values($urls),
+            'pages' => [],
+            'findings' => [],
+            'summary' => []
+        ];
+        
+        $queue = [];
+        foreach ($urls as $url) {
+            $normalized = $this->normalizeUrl($url);
+            if ($normalized === null) {
+                throw new Exception("Invalid URL: $url");
+            }
+            $queue[] = $normalized;
+        }
+        
+        // Only follow links within the hosts we were asked to scan
+        $allowedHosts = array_unique(array_map(function($url) {
+            return strtolower(parse_url($url, PHP_URL_HOST));
+        }, $queue));
+        
+        $visited = [];
+        $findings = [];
+        
+        while (!empty($queue) && count($visited) < $maxPages) {
+            $url = array_shift($queue);
+            
+            if (isset($visited[$url])) {
+                continue;
+            }
+            $visited[$url] = true;
+            
+            $page = ['url' => $url, 'status' => 0, 'error' => null];
+            
+            try {
+                $response = $this->fetch($url, $config);
+                $page['status'] = $response['status'];
+                
+                $host = strtolower(parse_url($response['url'], PHP_URL_HOST));
+                
+                // Cookies set by the server
+                foreach ($response['headers']['set-cookie'] ?? [] as $header) {
+                    $cookie = $this->parseSetCookie($header, $host);
+                    if ($cookie !== null) {
+                        $this->addFinding($findings, 'cookie', $cookie['name'], $cookie['domain'], $url, $cookie);
+                    }
+                }
+                
+                $contentType = implode(';', $response['headers']['content-type'] ?? ['text/html']);
+                if (stripos($contentType, 'html') === false) {
+                    $report['pages'][] = $page;
+                    continue;
+                }
+                
+                $resources = $this->parseHtml($response['body'], $response['url']);
+                
+                foreach (['script', 'iframe', 'pixel'] as $type) {
+                    foreach ($resources[$type] as $resourceUrl) {
+                        $resourceHost = strtolower(parse_url($resourceUrl, PHP_URL_HOST));
+                        $this->addFinding($findings, $type, $resourceUrl, $resourceHost, $url);
+                    }
+                }
+                
+                if ($config['followLinks']) {
+                    foreach ($resources['links'] as $link) {
+                        $linkHost = strtolower(parse_url($link, PHP_URL_HOST));
+                        if (in_array($linkHost, $allowedHosts, true) && !isset($visited[$link])) {
+                            $queue[] = $link;
+                        }
+                    }
+                }
+            } catch (Exception $e) {
+                $page['error'] = $e->getMessage();
+            }
+            
+            $report['pages'][] = $page;
+        }
+        
+        $report['findings'] = array_values($findings);
+        $report['summary'] = $this->summarize($report['findings']);
+        $report['finishedAt'] = date('c');
+        
+        $this->saveReport($report);
+        
+        return $report;
+    }
+    
+    /**
+     * Fetch a URL
+     * 
+     * @param string $url URL to fetch
+     * @param array $config Scanner configuration
+     * @return array ['url' => final URL, 'status' => int, 'headers' => [name => [values]], 'body' => string]
+     * @throws Exception If the request fails
+     */
+    public function fetch($url, $config = []) {
+        if ($this->fetcher !== null) {
+            return call_user_func($this->fetcher, $url);
+        }
+        
+        $timeout = (int)($config['timeout'] ?? 10);
+        $userAgent = $config['userAgent'] ?? 'CMP-Scanner/1.0';
+        
+        $context = stream_context_create([
+            'http' => [
+                'method' => 'GET',
+                'timeout' => $timeout,
+                'ignore_errors' => true,
+                'follow_location' => 1,
+                'max_redirects' => 5,
+                'header' => "User-Agent: $userAgent\r\nAccept: text/html,*/*\r\n"
+            ]
+        ]);
+        
+        $body = @file_get_contents($url, false, $context);
+        
+        if ($body === false || !isset($http_response_header)) {
+            throw new Exception("Failed to fetch $url");
+        }
+        
+        // $http_response_header holds the headers of every redirect hop
+        $status = 0;
+        $finalUrl = $url;
+        $headers = [];
+        
+        foreach ($http_response_header as $line) {
+            if (preg_match('#^HTTP/\S+\s+(\d{3})#', $line, $matches)) {
+                $status = (int)$matches[1];
+                continue;
+            }
+            
+            $parts = explode(':', $line, 2);
+            if (count($parts) !== 2) {
+                continue;
+            }
+            
+            $name = strtolower(trim($parts[0]));
+            $value = trim($parts[1]);
+            
+            if ($name === 'location') {
+                $finalUrl = $this->resolveUrl($finalUrl, $value) ?: $finalUrl;
+            }
+            
+            $headers[$name][] = $value;
+        }
+        
+        return [
+            'url' => $finalUrl,
+            'status' => $status,
+            'headers' => $headers,
+            'body' => $body
+        ];
+    }
+    
+    /**
+     * Extract scripts, iframes, tracking pixels and links from HTML
+     * 
+     * @param string $html Page HTML
+     * @param string $pageUrl URL the HTML was loaded from
+     * @return array Absolute URLs grouped by type
+     */
+    public function parseHtml($html, $pageUrl) {
+        $resources = [
+            'script' => [],
+            'iframe' => [],
+            'pixel' => [],
+            'links' => []
+        ];
+        
+        if (trim($html) === '') {
+            return $resources;
+        }
+        
+        $document = new DOMDocument();
+        $previous = libxml_use_internal_errors(true);
+        $document->loadHTML($html);
+        libxml_clear_errors();
+        libxml_use_internal_errors($previous);
+        
+        foreach ($document->getElementsByTagName('script') as $script) {
+            $url = $this->resolveUrl($pageUrl, $script->getAttribute('src'));
+            if ($url !== null) {
+                $resources['script'][] = $url;
+            }
+        }
+        
+        foreach (['iframe', 'embed'] as $tag) {
+            foreach ($document->getElementsByTagName($tag) as $frame) {
+                $url = $this->resolveUrl($pageUrl, $frame->getAttribute('src'));
+                if ($url !== null) {
+                    $resources['iframe'][] = $url;
+                }
+            }
+        }
+        
+        foreach ($document->getElementsByTagName('img') as $image) {
+            if (!$this->isPixel($image)) {
+                continue;
+            }
+            $url = $this->resolveUrl($pageUrl, $image->getAttribute('src'));
+            if ($url !== null) {
+                $resources['pixel'][] = $url;
+            }
+        }
+        
+        foreach ($document->getElementsByTagName('a') as $anchor) {
+            $url = $this->normalizeUrl($this->resolveUrl($pageUrl, $anchor->getAttribute('href')));
+            if ($url !== null && !$this->hasSkippedExtension($url)) {
+                $resources['links'][] = $url;
+            }
+        }
+        
+        foreach ($resources as $type => $urls) {
+            $resources[$type] = array_values(array_unique($urls));
+        }
+        
+        return $resources;
+    }
+    
+    /**
+     * Check whether an <img> is a tracking pixel
+     * 
+     * @param DOMElement $image Image element
+     * @return bool
+     */
+    private function isPixel($image) {
+        $width = $image->getAttribute('width');
+        $height = $image->getAttribute('height');
+        
+        if ($width !== '' && $height !== '' && (int)$width <= 1 && (int)$height <= 1) {
+            return true;
+        }
+        
+        $style = strtolower(str_replace(' ', '', $image->getAttribute('style')));
+        if (strpos($style, 'display:none') !== false) {
+            return true;
+        }
+        
+        // Pixels are commonly wrapped in <noscript> fallbacks
+        for ($node = $image->parentNode; $node !== null; $node = $node->parentNode) {
+            if ($node instanceof DOMElement && strtolower($node->tagName) === 'noscript') {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Parse a Set-Cookie header
+     * 
+     * @param string $header Header value
+     * @param string $host Host that sent the header
+     * @return array|null Cookie attributes or null if malformed
+     */
+    public function parseSetCookie($header, $host) {
+        $parts = array_map('trim', explode(';', $header));
+        $pair = explode('=', array_shift($parts), 2);
+        $name = trim($pair[0]);
+        
+        if ($name === '') {
+            return null;
+        }
+        
+        $cookie = [
+            'name' => $name,
+            'domain' => $host,
+            'path' => '/',
+            'expires' => null,
+            'secure' => false,
+            'httpOnly' => false,
+            'sameSite' => null
+        ];
+        
+        foreach ($parts as $attribute) {
+            $pieces = explode('=', $attribute, 2);
+            $key = strtolower(trim($pieces[0]));
+            $value = isset($pieces[1]) ? trim($pieces[1]) : '';
+            
+            switch ($key) {
+                case 'domain':
+                    $cookie['domain'] = strtolower(ltrim($value, '.'));
+                    break;
+                case 'path':
+                    $cookie['path'] = $value;
+                    break;
+                case 'expires':
+                    $timestamp = strtotime($value);
+                    $cookie['expires'] = $timestamp ? date('c', $timestamp) : null;
+                    break;
+                case 'max-age':
+                    $cookie['expires'] = date('c', time() + (int)$value);
+                    break;
+                case 'secure':
+                    $cookie['secure'] = true;
+                    break;
+                case 'httponly':
+                    $cookie['httpOnly'] = true;
+                    break;
+                case 'samesite':
+                    $cookie['sameSite'] = $value;
+                    break;
+            }
+        }
+        
+        return $cookie;
+    }
+    
+    /**
+     * Add or merge a finding
+     * 
+     * @param array $findings Findings keyed by type and identifier
+     * @param string $type cookie, script, iframe or pixel
+     * @param string $name Cookie name or resource URL
+     * @param string $domain Cookie domain or resource host
+     * @param string $page Page the finding was seen on
+     * @param array $details Extra attributes (cookies only)
+     */
+    private function addFinding(&$findings, $type, $name, $domain, $page, $details = []) {
+        $key = $type . '|' . strtolower($name) . '|' . $domain;
+        
+        if (!isset($findings[$key])) {
+            $match = $type === 'cookie'
+                ? $this->categorizeCookie($name, $domain)
+                : $this->categorizeResource($name, $domain);
+            
+            $matched = $match['matched'] ?? [];
+            
+            $findings[$key] = [
+                'type' => $type,
+                'name' => $name,
+                'domain' => $domain,
+                'category' => $match['category'],
+                'confidence' => $match['confidence'],
+                'vendor' => $matched['platform'] ?? ($matched['dataController'] ?? ''),
+                'pages' => []
+            ];
+            
+            if ($type === 'cookie') {
+                $findings[$key]['path'] = $details['path'];
+                $findings[$key]['expires'] = $details['expires'];
+                $findings[$key]['secure'] = $details['secure'];
+                $findings[$key]['httpOnly'] = $details['httpOnly'];
+            }
+        }
+        
+        if (!in_array($page, $findings[$key]['pages'], true)) {
+            $findings[$key]['pages'][] = $page;
+        }
+    }
+    
+    /**
+     * Categorize a cookie with the cookie database
+     * 
+     * @param string $name Cookie name
+     * @param string $domain Cookie domain
+     * @return array Category info
+     */
+    private function categorizeCookie($name, $domain) {
+        try {
+            return $this->database->categorize($name, $domain);
+        } catch (Exception $e) {
+            return ['category' => 'uncategorized', 'confidence' => 'none', 'matched' => null];
+        }
+    }
+    
+    /**
+     * Categorize a script, iframe or pixel
+     * 
+     * Uses the cookie database domain index first, then the `scripts` and
+     * `embeds` patterns from blocking.json (the same rules the SDK applies
+     * in the browser).
+     * 
+     * @param string $url Resource URL
+     * @param string $host Resource host
+     * @return array Category info
+     */
+    private function categorizeResource($url, $host) {
+        try {
+            $match = $this->database->categorizeDomain($host);
+            if ($match['category'] !== 'uncategorized') {
+                return $match;
+            }
+        } catch (Exception $e) {
+            // Fall through to the blocking rules
+        }
+        
+        foreach ($this->getBlockingRules() as $category => $rule) {
+            foreach (array_merge($rule['scripts'] ?? [], $rule['embeds'] ?? []) as $pattern) {
+                if ($this->matchesPattern($url, $host, $pattern)) {
+                    return [
+                        'category' => $category,
+                        'confidence' => 'rule',
+                        'matched' => ['platform' => $host]
+                    ];
+                }
+            }
+        }
+        
+        return ['category' => 'uncategorized', 'confidence' => 'none', 'matched' => null];
+    }
+    
+    /**
+     * Check whether a resource URL matches a blocking pattern
+     * 
+     * Mirrors CMP.matchesPattern in cmp.js.
+     * 
+     * @param string $url Resource URL
+     * @param string $host Resource host
+     * @param string $pattern Pattern from blocking.json
+     * @return bool
+     */
+    private function matchesPattern($url, $host, $pattern) {
+        $pattern = strtolower(trim($pattern));
+        if ($pattern === '') {
+            return false;
+        }
+        
+        $path = (string)parse_url($url, PHP_URL_PATH);
+        
+        // Host and path prefix ("google.com/maps")
+        $slash = strpos($pattern, '/');
+        if ($slash > 0 && strpos(substr($pattern, 0, $slash), '.') !== false) {
+            $patternHost = substr($pattern, 0, $slash);
+            return ($host === $patternHost || substr($host, -(strlen($patternHost) + 1)) === '.' . $patternHost) &&
+                strpos(strtolower($path), substr($pattern, $slash)) === 0;
+        }
+        
+        if ($host === $pattern || substr($host, -(strlen($pattern) + 1)) === '.' . $pattern) {
+            return true;
+        }
+        
+        if (strtolower(basename($path)) === $pattern) {
+            return true;
+        }
+        
+        if (strpos($pattern, '.') === false) {
+            return strpos(strtolower($url), $pattern) !== false;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Load blocking rules
+     * 
+     * @return array Rules per category
+     */
+    private function getBlockingRules() {
+        if ($this->blockingRules === null) {
+            try {
+                $blocking = $this->storage->read('config/blocking.json');
+                $this->blockingRules = $blocking['rules'] ?? [];
+            } catch (Exception $e) {
+                $this->blockingRules = [];
+            }
+        }
+        
+        return $this->blockingRules;
+    }
+    
+    /**
+     * Summarize findings by type and category
+     * 
+     * @param array $findings Findings
+     * @return array Summary
+     */
+    private function summarize($findings) {
+        $summary = [
+            'total' => count($findings),
+            'byType' => [],
+            'byCategory' => []
+        ];
+        
+        foreach ($findings as $finding) {
+            $type = $finding['type'];
+            $category = $finding['category'];
+            
+            $summary['byType'][$type] = ($summary['byType'][$type] ?? 0) + 1;
+            $summary['byCategory'][$category] = ($summary['byCategory'][$category] ?? 0) + 1;
+        }
+        
+        return $summary;
+    }
+    
+    /**
+     * Persist a report and add it to the index
+     * 
+     * @param array $report Scan report
+     * @return bool Success status
+     */
+    private function saveReport($report) {
+        $this->storage->write('scans/' . $report['id'] . '.json', $report);
+        
+        try {
+            $index = $this->storage->read($this->indexFile);
+        } catch (Exception $e) {
+            $index = ['version' => '1.0.0', 'reports' => []];
+        }
+        
+        array_unshift($index['reports'], [
+            'id' => $report['id'],
+            'startedAt' => $report['startedAt'],
+            'finishedAt' => $report['finishedAt'],
+            'urls' => $report['urls'],
+            'pages' => count($report['pages']),
+            'summary' => $report['summary']
+        ]);
+        
+        return $this->storage->write($this->indexFile, $index);
+    }
+    
+    /**
+     * List stored reports, newest first
+     * 
+     * @param int $limit Maximum reports to list
+     * @return array Report summaries
+     */
+    public function getReports($limit = 20) {
+        try {
+            $index = $this->storage->read($this->indexFile);
+        } catch (Exception $e) {
+            return [];
+        }
+        
+        return array_slice($index['reports'] ?? [], 0, $limit);
+    }
+    
+    /**
+     * Load a stored report
+     * 
+     * @param string $id Report ID (latest report if omitted)
+     * @return array|null Report or null if not found
+     */
+    public function getReport($id = null) {
+        if ($id === null) {
+            $reports = $this->getReports(1);
+            if (empty($reports)) {
+                return null;
+            }
+            $id = $reports[0]['id'];
+        }
+        
+        // Report IDs are generated by scan(); reject anything else
+        if (!preg_match('/^[0-9]{8}-[0-9]{6}-[0-9a-f]{6}$/', $id)) {
+            return null;
+        }
+        
+        try {
+            return $this->storage->read('scans/' . $id . '.json');
+        } catch (Exception $e) {
+            return null;
+        }
+    }
+    
+    /**
+     * Resolve a possibly relative URL against a base URL
+     * 
+     * @param string $base Base URL
+     * @param string $relative Relative or absolute URL
+     * @return string|null Absolute http(s) URL or null
+     */
+    private function resolveUrl($base, $relative) {
+        $relative = trim((string)$relative);
+        
+        if ($relative === '' || preg_match('#^(javascript|mailto|tel|data):#i', $relative) || $relative[0] === '#') {
+            return null;
+        }
+        
+        if (preg_match('#^https?://#i', $relative)) {
+            return $relative;
+        }
+        
+        $parts = parse_url($base);
+        if (!$parts || empty($parts['host'])) {
+            return null;
+        }
+        
+        $scheme = $parts['scheme'] ?? 'http';
+        $origin = $scheme . '://' . $parts['host'] . (isset($parts['port']) ? ':' . $parts['port'] : '');
+        
+        // Protocol-relative
+        if (substr($relative, 0, 2) === '//') {
+            return $scheme . ':' . $relative;
+        }
+        
+        if ($relative[0] === '/') {
+            return $origin . $relative;
+        }
+        
+        $path = $parts['path'] ?? '/';
+        $directory = substr($path, 0, strrpos($path, '/') + 1);
+        
+        // Collapse ./ and ../ segments
+        $segments = [];
+        foreach (explode('/', $directory . $relative) as $segment) {
+            if ($segment === '..') {
+                array_pop($segments);
+            } elseif ($segment !== '.') {
+                $segments[] = $segment;
+            }
+        }
+        
+        return $origin . implode('/', $segments);
+    }
+    
+    /**
+     * Normalize a page URL for crawling
+     * 
+     * @param string|null $url Absolute URL
+     * @return string|null URL without fragment, or null if not http(s)
+     */
+    private function normalizeUrl($url) {
+        if ($url === null || !preg_match('#^https?://#i', $url)) {
+            return null;
+        }
+        
+        $url = preg_replace('/#.*$/', '', $url);
+        
+        return filter_var($url, FILTER_VALIDATE_URL) ? $url : null;
+    }
+    
+    /**
+     * Check whether a URL points to a non-HTML file
+     * 
+     * @param string $url URL
+     * @return bool
+     */
+    private function hasSkippedExtension($url) {
+        $extension = strtolower(pathinfo((string)parse_url($url, PHP_URL_PATH), PATHINFO_EXTENSION));
+        return in_array($extension, $this->skipExtensions, true);
+    }
+}
@@ -0,0 +1,226 @@
+<?php
+/**
+ * JurisdictionResolver Class
+ * 
+ * Resolves the visitor's location from a CDN header (only when the site
+ * is configured to trust them) or a local IP range table and maps it to
+ * a jurisdiction profile (opt-in or opt-out model, reject button, default
+ * category states, re-consent interval).
+ * Visitors that cannot be located get the site's configured jurisdiction.
+ */
+
+require_once __DIR__ . '/FileStorage.php';
+
+class JurisdictionResolver {
+    private $storage;
+    private $config;
+    
+    /**
+     * @param FileStorage $storage Storage for the IP range table
+     * @param array $config Jurisdiction configuration (config/jurisdictions.json)
+     */
+    public function __construct(FileStorage $storage = null, array $config = []) {
+        $this->storage = $storage ?: new FileStorage();
+        $this->config = array_merge([
+            'geolocation' => true,
+            'trustProxyHeaders' => false,
+            'countryHeaders' => ['HTTP_CF_IPCOUNTRY'],
+            'regionHeaders' => ['HTTP_CF_REGION_CODE'],
+            'lookupTable' => 'geo/ip-ranges.json',
+            'countries' => [],
+            'regions' => [],
+            'default' => null,
+            'profiles' => []
+        ], $config);
+    }
+    
+    /**
+     * Resolve the jurisdiction for a request
+     * 
+     * @param array $server Request server variables ($_SERVER)
+     * @param string $siteJurisdiction Jurisdiction configured for the site
+     * @return array ['jurisdiction', 'profile', 'location']
+     */
+    public function resolve(array $server, $siteJurisdiction = 'gdpr') {
+        $location = $this->config['geolocation']
+            ? $this->locate($server)
+            : ['country' => null, 'region' => null, 'source' => 'none'];
+        
+        $jurisdiction = $this->match($location) ?? $siteJurisdiction;
+        
+        return [
+            'jurisdiction' => $jurisdiction,
+            'profile' => $this->getProfile($jurisdiction),
+            'location' => $location
+        ];
+    }
+    
+    /**
+     * Locate the visitor
+     * 
+     * CDN headers win over the lookup table, but are only read with
+     * trustProxyHeaders: any client can send them when the site is not
+     * behind that CDN. The table is only consulted with the connecting
+     * address (REMOTE_ADDR).
+     * 
+     * @param array $server Request server variables
+     * @return array ['country', 'region', 'source']
+     */
+    public function locate(array $server) {
+        $countryHeaders = $this->config['trustProxyHeaders'] ? $this->config['countryHeaders'] : [];
+        
+        foreach ($countryHeaders as $header) {
+            $country = strtoupper(trim($server[$header] ?? ''));
+            
+            // XX = unknown, T1 = Tor (Cloudflare)
+            if (preg_match('/^[A-Z]{2}$/', $country) && $country !== 'XX' && $country !== 'T1') {
+                return [
+                    'country' => $country,
+                    'region' => $this->regionFromHeaders($server, $country),
+                    'source' => 'header'
+                ];
+            }
+        }
+        
+        $match = $this->lookup($server['REMOTE_ADDR'] ?? '');
+        if ($match) {
+            return [
+                'country' => $match['country'],
+                'region' => $match['region'],
+                'source' => 'lookup'
+            ];
+        }
+        
+        return ['country' => null, 'region' => null, 'source' => 'none'];
+    }
+    
+    /**
+     * Look up an IP address in the local range table
+     * 
+     * @param string $ip IPv4 or IPv6 address
+     * @return array|null ['country', 'region'] or null if not found
+     */
+    public function lookup($ip) {
+        if ($ip === '' || !$this->config['lookupTable']) {
+            return null;
+        }
+        
+        try {
+            $table = $this->storage->read($this->config['lookupTable']);
+        } catch (Exception $e) {
+            return null;
+        }
+        
+        foreach ($table['ranges'] ?? [] as $range) {
+            if (isset($range['cidr'], $range['country']) && $this->cidrMatch($ip, $range['cidr'])) {
+                return [
+                    'country' => strtoupper($range['country']),
+                    'region' => isset($range['region']) ? strtoupper($range['region']) : null
+                ];
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get the profile of a jurisdiction
+     * 
+     * US state jurisdictions without their own profile use the 'us'
+     * profile; anything else unknown uses 'gdpr'.
+     * 
+     * @param string $jurisdiction Jurisdiction key
+     * @return array Profile
+     */
+    public function getProfile($jurisdiction) {
+        $profiles = $this->config['profiles'];
+        
+        if (isset($profiles[$jurisdiction])) {
+            return $profiles[$jurisdiction];
+        }
+        
+        $isUs = $jurisdiction === 'ccpa' || strpos((string) $jurisdiction, 'us') === 0;
+        
+        return $profiles[$isUs ? 'us' : 'gdpr'] ?? [];
+    }
+    
+    /**
+     * Map a location to a jurisdiction
+     * 
+     * @param array $location Result of locate()
+     * @return string|null Jurisdiction key or null if the visitor is not located
+     */
+    private function match($location) {
+        if (!$location['country']) {
+            return null;
+        }
+        
+        if ($location['region'] && isset($this->config['regions'][$location['region']])) {
+            return $this->config['regions'][$location['region']];
+        }
+        
+        foreach ($this->config['countries'] as $jurisdiction => $countries) {
+            if (in_array($location['country'], $countries, true)) {
+                return $jurisdiction;
+            }
+        }
+        
+        return $this->config['default'];
+    }
+    
+    /**
+     * Read the ISO 3166-2 subdivision from the region headers
+     * 
+     * @param array $server Request server variables
+     * @param string $country Country code
+     * @return string|null Subdivision code (e.g. 'US-CA')
+     */
+    private function regionFromHeaders(array $server, $country) {
+        foreach ($this->config['regionHeaders'] as $header) {
+            $region = strtoupper(trim($server[$header] ?? ''));
+            
+            if (preg_match('/^[A-Z0-9]{1,3}$/', $region)) {
+                return $country . '-' . $region;
+            }
+            
+            if (preg_match('/^[A-Z]{2}-[A-Z0-9]{1,3}$/', $region)) {
+                return $region;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Check whether an IP address is inside a CIDR range
+     * 
+     * @param string $ip IPv4 or IPv6 address
+     * @param string $cidr Range such as '192.0.2.0/24' or '2001:db8::/32'
+     * @return bool
+     */
+    private function cidrMatch($ip, $cidr) {
+        $parts = explode('/', $cidr, 2);
+        $address = @inet_pton($ip);
+        $subnet = @inet_pton($parts[0]);
+        
+        if ($address === false || $subnet === false || strlen($address) !== strlen($subnet)) {
+            return false;
+        }
+        
+        $bits = isset($parts[1]) ? (int) $parts[1] : strlen($address) * 8;
+        $bytes = intdiv($bits, 8);
+        
+        if (substr($address, 0, $bytes) !== substr($subnet, 0, $bytes)) {
+            return false;
+        }
+        
+        $remainder = $bits % 8;
+        if ($remainder === 0) {
+            return true;
+        }
+        
+        $mask = (0xFF << (8 - $remainder)) & 0xFF;
+        
+        return (ord($address[$bytes]) & $mask) === (ord($subnet[$bytes]) & $mask);
+    }
+}
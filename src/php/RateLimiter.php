@@ -0,0 +1,63 @@
+<?php
+/**
+ * RateLimiter Class
+ * 
+ * Counts requests per client in fixed time windows, for public endpoints
+ * that write to storage. Counters are kept in data/ratelimit/<bucket>.json,
+ * keyed by a hash of the client address; expired windows are dropped on
+ * every write, so the file only holds the clients of the current window.
+ */
+
+require_once __DIR__ . '/FileStorage.php';
+
+class RateLimiter {
+    private $storage;
+    private $dir = 'ratelimit';
+    
+    /**
+     * @param FileStorage $storage Storage instance
+     */
+    public function __construct(FileStorage $storage = null) {
+        $this->storage = $storage ?: new FileStorage();
+    }
+    
+    /**
+     * Count a request and check whether the client is within its limit
+     * 
+     * @param string $bucket Name of the counter (e.g. "cookie-report")
+     * @param string $client Client address
+     * @param int $limit Requests allowed per window
+     * @param int $window Window length in seconds
+     * @return bool True if the request is allowed
+     */
+    public function hit($bucket, $client, $limit, $window) {
+        $file = $this->dir . '/' . preg_replace('/[^a-z0-9-]/', '', strtolower($bucket)) . '.json';
+        $key = hash('sha256', (string)$client);
+        $now = time();
+        
+        try {
+            $counters = $this->storage->read($file)['clients'] ?? [];
+        } catch (Exception $e) {
+            $counters = [];
+        }
+        
+        $counters = array_filter($counters, function($counter) use ($now, $window) {
+            return is_array($counter) && ($counter['start'] ?? 0) > $now - $window;
+        });
+        
+        $counter = $counters[$key] ?? ['start' => $now, 'count' => 0];
+        if ($counter['count'] >= $limit) {
+            return false;
+        }
+        
+        $counter['count']++;
+        $counters[$key] = $counter;
+        
+        $this->storage->write($file, [
+            'version' => '1.0.0',
+            'clients' => $counters
+        ]);
+        
+        return true;
+    }
+}
@@ -0,0 +1,239 @@
+<?php
+/**
+ * SiteConfig Class
+ * 
+ * Resolves configuration files per site. The default site uses the files
+ * in data/config/; other sites keep their own copies in
+ * data/config/sites/<siteId>/ and inherit anything they do not define
+ * from the default site.
+ */
+
+require_once __DIR__ . '/FileStorage.php';
+
+class SiteConfig {
+    const DEFAULT_SITE = 'default';
+    
+    private $storage;
+    private $siteId;
+    private $registryFile = 'config/sites.json';
+    
+    /**
+     * @param FileStorage $storage Storage instance
+     * @param string $siteId Site identifier (unknown sites fall back to the default site)
+     */
+    public function __construct(FileStorage $storage = null, $siteId = self::DEFAULT_SITE) {
+        $this->storage = $storage ?: new FileStorage();
+        $this->siteId = self::isValidId($siteId) ? $siteId : self::DEFAULT_SITE;
+    }
+    
+    /**
+     * Check whether a site ID is safe to use in file paths
+     * 
+     * @param string $siteId Site identifier
+     * @return bool
+     */
+    public static function isValidId($siteId) {
+        return is_string($siteId) && preg_match('/^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/', $siteId) === 1;
+    }
+    
+    /**
+     * Get the site ID
+     * 
+     * @return string
+     */
+    public function getSiteId() {
+        return $this->siteId;
+    }
+    
+    /**
+     * Check whether the site is registered
+     * 
+     * @return bool
+     */
+    public function isRegistered() {
+        return $this->siteId === self::DEFAULT_SITE || isset($this->getSites()[$this->siteId]);
+    }
+    
+    /**
+     * Read a configuration file for the site
+     * 
+     * Site values override the default site's; nested objects are merged
+     * key by key, lists are replaced as a whole.
+     * 
+     * @param string $name Config name without extension (e.g. 'widget')
+     * @return array Resolved configuration
+     * @throws Exception If the default file cannot be read
+     */
+    public function read($name) {
+        $default = $this->storage->read('config/' . $name . '.json');
+        
+        if ($this->siteId === self::DEFAULT_SITE || !$this->isRegistered()) {
+            return $default;
+        }
+        
+        $path = $this->sitePath($name);
+        if (!$this->storage->exists($path)) {
+            return $default;
+        }
+        
+        return $this->merge($default, $this->storage->read($path));
+    }
+    
+    /**
+     * Read a configuration file defined by the site itself, without inheritance
+     * 
+     * @param string $name Config name without extension
+     * @return array|null Site configuration or null if the site has none
+     */
+    public function readOwn($name) {
+        $path = $this->siteId === self::DEFAULT_SITE ? 'config/' . $name . '.json' : $this->sitePath($name);
+        
+        try {
+            return $this->storage->read($path);
+        } catch (Exception $e) {
+            return null;
+        }
+    }
+    
+    /**
+     * Get the site's consent categories from its preference center config
+     * 
+     * 'necessary' always comes first; the others keep their configured order.
+     * 
+     * @return array Category names keyed by category ID
+     */
+    public function getCategories() {
+        try {
+            $categories = $this->read('preference-center')['categories'] ?? [];
+        } catch (Exception $e) {
+            $categories = [];
+        }
+        
+        $names = ['necessary' => 'Strictly Necessary'];
+        foreach ($categories as $id => $category) {
+            $names[$id] = is_array($category) && !empty($category['name']) ? $category['name'] : $id;
+        }
+        
+        return $names;
+    }
+    
+    /**
+     * Write a configuration file for the site
+     * 
+     * @param string $name Config name without extension
+     * @param array $data Configuration data
+     * @return bool Success status
+     * @throws Exception If the site is not registered or the write fails
+     */
+    public function write($name, $data) {
+        if ($this->siteId === self::DEFAULT_SITE) {
+            return $this->storage->write('config/' . $name . '.json', $data);
+        }
+        
+        if (!$this->isRegistered()) {
+            throw new Exception("Unknown site: {$this->siteId}");
+        }
+        
+        return $this->storage->write($this->sitePath($name), $data);
+    }
+    
+    /**
+     * Apply partial changes to a configuration file of the site
+     * 
+     * Changes are merged over what the site stores itself, the same way
+     * site files are merged over the default site: objects key by key,
+     * lists replaced. Keys that are not changed keep being inherited.
+     * 
+     * @param string $name Config name without extension
+     * @param array $changes Changed values
+     * @return bool Success status
+     * @throws Exception If the site is not registered or the write fails
+     */
+    public function update($name, $changes) {
+        return $this->write($name, $this->merge($this->readOwn($name) ?? [], $changes));
+    }
+    
+    /**
+     * Get all registered sites
+     * 
+     * @return array Sites keyed by ID
+     */
+    public function getSites() {
+        try {
+            $registry = $this->storage->read($this->registryFile);
+        } catch (Exception $e) {
+            $registry = [];
+        }
+        
+        $sites = $registry['sites'] ?? [];
+        
+        if (!isset($sites[self::DEFAULT_SITE])) {
+            $sites = [self::DEFAULT_SITE => ['name' => 'Default', 'domains' => [], 'created' => '']] + $sites;
+        }
+        
+        return $sites;
+    }
+    
+    /**
+     * Register a new site
+     * 
+     * @param string $siteId Site identifier
+     * @param string $name Display name
+     * @param array $domains Domains served by the site
+     * @return bool Success status
+     * @throws Exception If the ID is invalid or already registered
+     */
+    public function addSite($siteId, $name = '', $domains = []) {
+        if (!self::isValidId($siteId)) {
+            throw new Exception("Invalid site ID: $siteId");
+        }
+        
+        $sites = $this->getSites();
+        
+        if (isset($sites[$siteId])) {
+            throw new Exception("Site already exists: $siteId");
+        }
+        
+        $sites[$siteId] = [
+            'name' => $name !== '' ? $name : $siteId,
+            'domains' => array_values($domains),
+            'created' => date('c')
+        ];
+        
+        return $this->storage->write($this->registryFile, [
+            'version' => '1.0.0',
+            'sites' => $sites
+        ]);
+    }
+    
+    /**
+     * Get the storage path of a site's configuration file
+     * 
+     * @param string $name Config name without extension
+     * @return string Relative path
+     */
+    private function sitePath($name) {
+        return 'config/sites/' . $this->siteId . '/' . $name . '.json';
+    }
+    
+    /**
+     * Merge site configuration over the default configuration
+     * 
+     * @param array $base Default configuration
+     * @param array $override Site configuration
+     * @return array Merged configuration
+     */
+    private function merge($base, $override) {
+        foreach ($override as $key => $value) {
+            $isObject = is_array($value) && $value !== array_values($value);
+            
+            if ($isObject && isset($base[$key]) && is_array($base[$key])) {
+                $base[$key] = $this->merge($base[$key], $value);
+            } else {
+                $base[$key] = $value;
+            }
+        }
+        
+        return $base;
+    }
+}
@@ -0,0 +1,296 @@
+<?php
+/**
+ * Translations Class
+ * 
+ * Resolves the banner and preference center texts of a site per locale.
+ * The texts in widget.json and preference-center.json are written in the
+ * site's default locale; data/config/translations.json lists the locales
+ * the site offers and holds its own translations ("bundles"). Texts a site
+ * has not translated fall back to the built-in translations in data/i18n/,
+ * which are keyed by the shipped English texts and therefore only apply
+ * to texts that were not changed.
+ */
+
+require_once __DIR__ . '/FileStorage.php';
+require_once __DIR__ . '/SiteConfig.php';
+
+class Translations {
+    private $storage;
+    private $site;
+    private $builtinDir = 'i18n';
+    private $catalogs = [];
+    
+    /**
+     * @param FileStorage $storage Storage instance
+     * @param SiteConfig $site Site whose texts are translated (default site if omitted)
+     */
+    public function __construct(FileStorage $storage = null, SiteConfig $site = null) {
+        $this->storage = $storage ?: new FileStorage();
+        $this->site = $site ?: new SiteConfig($this->storage);
+    }
+    
+    /**
+     * Normalize a locale code ("pt_BR" becomes "pt-br")
+     * 
+     * @param string $locale Locale code
+     * @return string|null Normalized code or null if it is not a valid code
+     */
+    public static function normalizeLocale($locale) {
+        $locale = strtolower(str_replace('_', '-', trim((string)$locale)));
+        return preg_match('/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/', $locale) === 1 ? $locale : null;
+    }
+    
+    /**
+     * Get the site's translation settings
+     * 
+     * @return array defaultLocale, locales (including the default locale),
+     *               fallbacks and bundles, with normalized locale codes
+     */
+    public function getConfig() {
+        try {
+            $config = $this->site->read('translations');
+        } catch (Exception $e) {
+            $config = [];
+        }
+        
+        $defaultLocale = self::normalizeLocale($config['defaultLocale'] ?? 'en') ?: 'en';
+        
+        $locales = [$defaultLocale];
+        foreach ($config['locales'] ?? [] as $locale) {
+            $locale = self::normalizeLocale($locale);
+            if ($locale && !in_array($locale, $locales, true)) {
+                $locales[] = $locale;
+            }
+        }
+        
+        $fallbacks = [];
+        foreach ($config['fallbacks'] ?? [] as $locale => $chain) {
+            $locale = self::normalizeLocale($locale);
+            if ($locale && is_array($chain)) {
+                $fallbacks[$locale] = array_values(array_filter(array_map([self::class, 'normalizeLocale'], $chain)));
+            }
+        }
+        
+        $bundles = [];
+        foreach ($config['bundles'] ?? [] as $locale => $bundle) {
+            $locale = self::normalizeLocale($locale);
+            if ($locale && is_array($bundle)) {
+                $bundles[$locale] = $bundle;
+            }
+        }
+        
+        return [
+            'defaultLocale' => $defaultLocale,
+            'locales' => $locales,
+            'fallbacks' => $fallbacks,
+            'bundles' => $bundles
+        ];
+    }
+    
+    /**
+     * Get the site's texts in its default locale, in bundle format
+     * 
+     * @return array widget, preferenceCenter and categories (name and description per category)
+     */
+    public function getSourceTexts() {
+        $widget = $this->readConfig('widget');
+        $preferenceCenter = $this->readConfig('preference-center');
+        
+        $categories = [];
+        foreach ($preferenceCenter['categories'] ?? [] as $id => $category) {
+            if (is_array($category)) {
+                $categories[$id] = $this->filterTexts(array_intersect_key($category, ['name' => true, 'description' => true]));
+            }
+        }
+        
+        return [
+            'widget' => $this->filterTexts($widget['texts'] ?? []),
+            'preferenceCenter' => $this->filterTexts($preferenceCenter['texts'] ?? []),
+            'categories' => $categories
+        ];
+    }
+    
+    /**
+     * Get the languages that have built-in translations
+     * 
+     * @return array Language names keyed by locale code
+     */
+    public function getBuiltinLanguages() {
+        $languages = [];
+        
+        foreach (glob($this->storage->getBasePath() . '/' . $this->builtinDir . '/*.json') ?: [] as $file) {
+            $locale = self::normalizeLocale(basename($file, '.json'));
+            $catalog = $locale ? $this->getCatalog($locale) : null;
+            if ($catalog) {
+                $languages[$locale] = $catalog['name'] ?? $locale;
+            }
+        }
+        
+        ksort($languages);
+        return $languages;
+    }
+    
+    /**
+     * Get the built-in translation of the site's texts for a locale
+     * 
+     * Regional locales without a catalog of their own use the one of their
+     * language ("de-at" uses "de"), unless the site offers that language
+     * too: then they inherit its texts, including the site's own
+     * translations, through the fallback chain. Only texts whose source
+     * matches a catalog entry are included.
+     * 
+     * @param string $locale Locale code
+     * @return array|null Bundle, or null if there is no catalog for the locale
+     */
+    public function getBuiltin($locale) {
+        $locale = self::normalizeLocale($locale);
+        $catalog = $locale ? $this->getCatalog($locale) : null;
+        
+        $language = $locale ? explode('-', $locale)[0] : null;
+        if (!$catalog && $language !== $locale && !in_array($language, $this->getConfig()['locales'], true)) {
+            $catalog = $this->getCatalog($language);
+        }
+        
+        if (!$catalog) {
+            return null;
+        }
+        
+        $messages = $catalog['messages'] ?? [];
+        $translate = function($texts) use ($messages) {
+            $translated = [];
+            foreach ($texts as $key => $text) {
+                if (isset($messages[$text]) && is_string($messages[$text]) && $messages[$text] !== '') {
+                    $translated[$key] = $messages[$text];
+                }
+            }
+            return $translated;
+        };
+        
+        $source = $this->getSourceTexts();
+        $bundle = [
+            'direction' => ($catalog['direction'] ?? 'ltr') === 'rtl' ? 'rtl' : 'ltr',
+            'widget' => $translate($source['widget']),
+            'preferenceCenter' => $translate($source['preferenceCenter']),
+            'categories' => []
+        ];
+        
+        foreach ($source['categories'] as $id => $texts) {
+            $translated = $translate($texts);
+            if (!empty($translated)) {
+                $bundle['categories'][$id] = $translated;
+            }
+        }
+        
+        return $bundle;
+    }
+    
+    /**
+     * Get the texts of every offered locale except the default one
+     * 
+     * The site's own translations win over built-in ones; empty strings
+     * count as not translated. Texts missing from a bundle are left to the
+     * SDK's fallback chain.
+     * 
+     * @return array Bundles keyed by locale code
+     */
+    public function getBundles() {
+        $config = $this->getConfig();
+        $bundles = [];
+        
+        foreach ($config['locales'] as $locale) {
+            if ($locale === $config['defaultLocale']) {
+                continue;
+            }
+            
+            $own = $config['bundles'][$locale] ?? [];
+            $bundle = $this->getBuiltin($locale) ?? ['widget' => [], 'preferenceCenter' => [], 'categories' => []];
+            
+            if (in_array($own['direction'] ?? null, ['ltr', 'rtl'], true)) {
+                $bundle['direction'] = $own['direction'];
+            }
+            
+            foreach (['widget', 'preferenceCenter'] as $section) {
+                $bundle[$section] = array_merge($bundle[$section], $this->filterTexts($own[$section] ?? []));
+            }
+            
+            foreach ($own['categories'] ?? [] as $id => $texts) {
+                $texts = is_array($texts) ? $this->filterTexts($texts) : [];
+                if (!empty($texts)) {
+                    $bundle['categories'][$id] = array_merge($bundle['categories'][$id] ?? [], $texts);
+                }
+            }
+            
+            $bundles[$locale] = $bundle;
+        }
+        
+        return $bundles;
+    }
+    
+    /**
+     * Get the translation settings sent to the SDK
+     * 
+     * @return array defaultLocale, locales, fallbacks and resolved bundles
+     */
+    public function getClientConfig() {
+        $config = $this->getConfig();
+        
+        // Empty text maps are sent as objects, not lists
+        $bundles = array_map(function($bundle) {
+            foreach (['widget', 'preferenceCenter', 'categories'] as $section) {
+                $bundle[$section] = (object) $bundle[$section];
+            }
+            return $bundle;
+        }, $this->getBundles());
+        
+        return [
+            'defaultLocale' => $config['defaultLocale'],
+            'locales' => $config['locales'],
+            'fallbacks' => (object) $config['fallbacks'],
+            'bundles' => (object) $bundles
+        ];
+    }
+    
+    /**
+     * Load a built-in catalog
+     * 
+     * @param string $locale Normalized locale code
+     * @return array|null Catalog or null if there is none
+     */
+    private function getCatalog($locale) {
+        if (!array_key_exists($locale, $this->catalogs)) {
+            try {
+                $this->catalogs[$locale] = $this->storage->read($this->builtinDir . '/' . $locale . '.json');
+            } catch (Exception $e) {
+                $this->catalogs[$locale] = null;
+            }
+        }
+        
+        return $this->catalogs[$locale];
+    }
+    
+    /**
+     * Read a site configuration file, or an empty one if it cannot be read
+     * 
+     * @param string $name Config name without extension
+     * @return array
+     */
+    private function readConfig($name) {
+        try {
+            return $this->site->read($name);
+        } catch (Exception $e) {
+            return [];
+        }
+    }
+    
+    /**
+     * Keep the non-empty string values of a text map
+     * 
+     * @param array $texts Texts keyed by text key
+     * @return array
+     */
+    private function filterTexts($texts) {
+        return array_filter(is_array($texts) ? $texts : [], function($text) {
+            return is_string($text) && $text !== '';
+        });
+    }
+}